@@ -46,8 +46,14 @@ const MEDICINE_TYPES = ['OTC', 'Prescription'];
 
 const PRODUCT_TYPES = ['tablet', 'capsule', 'syrup', 'cream', 'injection', 'other'];
 
+// Drug schedule - narcotic and psychotropic medicines are controlled and handled more strictly
+const DRUG_SCHEDULES = ['none', 'psychotropic', 'narcotic'];
+const CONTROLLED_DRUG_SCHEDULES = ['psychotropic', 'narcotic'];
+
 module.exports = {
     PRODUCT_CATEGORIES,
     MEDICINE_TYPES,
-    PRODUCT_TYPES
+    PRODUCT_TYPES,
+    DRUG_SCHEDULES,
+    CONTROLLED_DRUG_SCHEDULES
 };
\ No newline at end of file
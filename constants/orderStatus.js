@@ -0,0 +1,92 @@
+const ORDER_STATUSES = [
+    'pending',              // Order placed, waiting for prescription verification (if needed)
+    'prescription_verified', // Prescription verified, processing order
+    'confirmed',            // Order confirmed and being prepared
+    'packed',              // Order packed, ready for delivery
+    'out_for_delivery',    // Out for delivery
+    'delivered',           // Successfully delivered
+    'cancelled',           // Order cancelled
+    'partially_returned',  // Some delivered items returned
+    'returned'             // Order returned
+];
+
+const STAFF = ['admin', 'pharmacist'];
+
+// 'system' is used for automated changes (payment timeouts, approved returns) - it passes the
+// role check but is still held to the allowed transitions
+const SYSTEM = 'system';
+
+// Allowed transitions: current status -> { next status: roles allowed to make the change }
+const ORDER_STATUS_TRANSITIONS = {
+    pending: {
+        prescription_verified: [...STAFF, SYSTEM],
+        confirmed: [...STAFF, SYSTEM],
+        cancelled: [...STAFF, 'customer', SYSTEM]
+    },
+    prescription_verified: {
+        confirmed: [...STAFF, SYSTEM],
+        cancelled: [...STAFF, 'customer', SYSTEM]
+    },
+    confirmed: {
+        packed: STAFF,
+        cancelled: [...STAFF, 'customer', SYSTEM]
+    },
+    packed: {
+        out_for_delivery: STAFF,
+        cancelled: ['admin'],
+        // Split orders: a shipment was cancelled and its items wait to be shipped again
+        confirmed: [SYSTEM]
+    },
+    out_for_delivery: {
+        // Delivery staff can only do this for orders assigned to them (checked in the controller)
+        delivered: [...STAFF, 'delivery'],
+        // Failed delivery
+        cancelled: ['admin'],
+        // Split orders: a shipment failed or was cancelled
+        confirmed: [SYSTEM],
+        packed: [SYSTEM]
+    },
+    delivered: {
+        partially_returned: ['admin', SYSTEM],
+        returned: ['admin', SYSTEM]
+    },
+    partially_returned: {
+        partially_returned: ['admin', SYSTEM],
+        returned: ['admin', SYSTEM]
+    },
+    cancelled: {},
+    returned: {}
+};
+
+// Prescription orders cannot move into these statuses until every prescription is verified
+const PRESCRIPTION_GATED_STATUSES = ['prescription_verified', 'confirmed'];
+
+// Once an order is split into shipments these statuses follow the shipments - in this order
+const FULFILMENT_STATUSES = ['confirmed', 'packed', 'out_for_delivery', 'delivered'];
+
+const SHIPMENT_STATUSES = [
+    'pending',             // Items set aside for the shipment
+    'packed',              // Shipment packed
+    'out_for_delivery',    // Handed to the delivery person
+    'delivered',           // Received by the customer
+    'cancelled'            // Cancelled or delivery failed - its items can be shipped again
+];
+
+// Allowed shipment transitions: current status -> next statuses
+const SHIPMENT_STATUS_TRANSITIONS = {
+    pending: ['packed', 'cancelled'],
+    packed: ['out_for_delivery', 'cancelled'],
+    out_for_delivery: ['delivered', 'cancelled'],
+    delivered: [],
+    cancelled: []
+};
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_STATUS_TRANSITIONS,
+    PRESCRIPTION_GATED_STATUSES,
+    FULFILMENT_STATUSES,
+    SHIPMENT_STATUSES,
+    SHIPMENT_STATUS_TRANSITIONS,
+    SYSTEM_ROLE: SYSTEM
+};
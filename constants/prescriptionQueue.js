@@ -0,0 +1,12 @@
+// Prescription verification queue settings
+
+// How long a pharmacist's claim on an order lasts before others can pick it up
+const PRESCRIPTION_CLAIM_MINUTES = parseInt(process.env.PRESCRIPTION_CLAIM_MINUTES) || 15;
+
+// Target time from order creation to a verification decision - overdue orders are escalated to admins
+const PRESCRIPTION_SLA_MINUTES = parseInt(process.env.PRESCRIPTION_SLA_MINUTES) || 60;
+
+module.exports = {
+    PRESCRIPTION_CLAIM_MINUTES,
+    PRESCRIPTION_SLA_MINUTES
+};
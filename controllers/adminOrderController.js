@@ -1,14 +1,19 @@
 const Order = require('../models/Order');
 const emailService = require('../utils/emailService');
+const { generateInvoicePdf } = require('../utils/invoice');
+const { privateFileUrl } = require('../utils/privateFiles');
 
 // Get all orders
-// getAllOrders: filtering by user's email
+// getAllOrders: filtering by user's email, or ?paymentReview=true for gateway payments held for staff
 exports.getAllOrders = async (req, res, next) => {
     try {
         let query = {};
         if (req.query.name) {
             query = { 'customer.user.name': req.query.name };
         }
+        if (req.query.paymentReview === 'true') {
+            query['payment.needsReview'] = true;
+        }
         const orders = await Order.find(query)
             .populate('customer.user', 'name email phone')
             .populate('items.product', 'name brand')
@@ -25,7 +30,8 @@ exports.getOrderById = async (req, res, next) => {
     try {
         const order = await Order.findById(req.params.orderId)
             .populate('customer.user', 'name email phone')
-            .populate('items.product', 'name brand');
+            .populate('items.product', 'name brand')
+            .populate('prescriptions.prescription');
         if (!order) {
             return res.status(404).json({ success: false, message: 'Order not found' });
         }
@@ -35,6 +41,56 @@ exports.getOrderById = async (req, res, next) => {
     }
 };
 
+// Download PDF tax invoice (Admin view)
+exports.getOrderInvoice = async (req, res, next) => {
+    try {
+        const order = await Order.findById(req.params.orderId)
+            .populate('customer.user', 'name email phone');
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
+        }
+
+        // Invoices are issued when the order is paid or delivered, never by downloading
+        if (!order.invoice?.number) {
+            return res.status(404).json({
+                success: false,
+                message: 'No invoice has been issued for this order yet'
+            });
+        }
+
+        const pdf = await generateInvoicePdf(order);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="Invoice-${order.invoice.number}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Issue the tax invoice for a paid or delivered order that does not have one yet
+exports.issueOrderInvoice = async (req, res, next) => {
+    try {
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
+        }
+
+        await order.issueInvoice();
+
+        res.status(200).json({
+            success: true,
+            message: `Invoice ${order.invoice.number} issued`,
+            data: order.invoice
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Update order status and upload customer signature (Admin only)
 exports.updateOrder = async (req, res, next) => {
     try {
@@ -86,8 +142,16 @@ exports.updateOrder = async (req, res, next) => {
             return res.status(404).json({ success: false, message: "Order not found" });
         }
 
-        // Handle prescription verification
+        // Only the pharmacist (or admin) holding the claim can verify
         if (prescriptionVerification) {
+            await order.holdVerificationClaim(req.user.id);
+        }
+
+        // Item by item prescription review - { items: [{ itemId, action, prescriptionId, prescriptionLine, approvedQuantity, reason }] }
+        if (prescriptionVerification?.items) {
+            await order.reviewPrescriptionItems(prescriptionVerification.items, { actor: req.user.id });
+        } else if (prescriptionVerification) {
+            // Handle prescription verification
             const { action, prescriptionId, notes, rejectionReason } = prescriptionVerification;
             console.log('Prescription verification:', prescriptionVerification);
 
@@ -123,6 +187,14 @@ exports.updateOrder = async (req, res, next) => {
 
                 console.log('Prescription rejected');
             }
+
+            order.completeVerification(req.user.id);
+        }
+
+        // Reject a disallowed status change before applying the rest of the update
+        // (after prescription review, which can satisfy the prescription gate)
+        if (status && status !== order.status) {
+            order.assertTransition(status, req.user.role);
         }
 
         // Handle packing details
@@ -191,14 +263,21 @@ exports.updateOrder = async (req, res, next) => {
         // Store original status for email comparison
         const originalStatus = order.status;
 
+        // Controlled medicines: the original prescription was seen at the door
+        if (status === 'delivered' && [true, 'true'].includes(req.body.prescriptionSighted)) {
+            order.recordPrescriptionSighting(req.user.id, req.body.sightingNotes);
+        }
+
         // Update status if provided
-        if (status) {
-            await order.updateStatus(status, req.user?.id, 'Status updated by admin');
+        if (status && status !== order.status) {
+            await order.updateStatus(status, req.user?.id, 'Status updated by admin', { role: req.user.role });
         }
 
         // Update payment details if provided
         if (paymentStatus) {
             order.payment.status = paymentStatus;
+            // Settling the payment by hand closes any review
+            order.payment.needsReview = false;
         }
         if (amountPaid !== undefined) {
             // This might be used for tracking actual payment amount
@@ -229,10 +308,15 @@ exports.updateOrder = async (req, res, next) => {
 
         // If order is delivered and a file is provided, store path
         if (status === "delivered" && req.file) {
-            order.customerSignature = `/uploads/clientSignatures/${req.file.filename}`;
+            order.customerSignature = privateFileUrl('signatures', req.file.filename);
         }
 
         await order.save();
+
+        // Marked as paid - issue the tax invoice
+        if (order.payment.status === 'paid') {
+            await order.assignInvoiceNumber();
+        }
         await order.populate('customer.user', 'name email phone');
 
         // Send status update email if status was changed
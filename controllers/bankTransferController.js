@@ -0,0 +1,219 @@
+const Order = require('../models/Order');
+const { parseStatement, getOrderReferences, matchStatementEntry } = require('../utils/bankStatement');
+
+// Bank transfer orders that can still be settled
+const OPEN_TRANSFER_FILTER = {
+    'payment.method': 'bank_transfer',
+    'payment.status': { $in: ['pending', 'failed'] },
+    status: { $ne: 'cancelled' }
+};
+
+// @desc    Bank transfer deposit slips awaiting review
+// @route   GET /api/admin/bank-transfers?status=pending_review
+// @access  Private (Admin)
+exports.getTransferProofQueue = async (req, res, next) => {
+    try {
+        const status = req.query.status || 'pending_review';
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {
+            'payment.method': 'bank_transfer',
+            'bankTransfer.proofs.status': status
+        };
+
+        const [orders, total] = await Promise.all([
+            Order.find(filter)
+                .select('orderNumber customer pricing.total payment bankTransfer status createdAt')
+                .populate('customer.user', 'name email phone')
+                .populate('bankTransfer.proofs.reviewedBy', 'name')
+                // Oldest first - first come, first reviewed
+                .sort({ createdAt: 1 })
+                .skip(skip)
+                .limit(limit),
+            Order.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: orders.length,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            },
+            data: orders
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Approve or reject a deposit slip - approval marks the order paid
+// @route   PUT /api/admin/bank-transfers/:orderId/proofs/:proofId
+// @access  Private (Admin)
+exports.reviewTransferProof = async (req, res, next) => {
+    try {
+        const { action, rejectionReason } = req.body;
+
+        if (!['approve', 'reject'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Action must be approve or reject'
+            });
+        }
+
+        if (action === 'reject' && !rejectionReason) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rejection reason is required'
+            });
+        }
+
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const proof = order.bankTransfer.proofs.id(req.params.proofId);
+        if (!proof) {
+            return res.status(404).json({
+                success: false,
+                message: 'Deposit slip not found in order'
+            });
+        }
+
+        if (proof.status !== 'pending_review') {
+            return res.status(400).json({
+                success: false,
+                message: `This deposit slip has already been ${proof.status}`
+            });
+        }
+
+        if (action === 'approve') {
+            await order.markPaid({
+                transactionId: proof.reference,
+                paidAt: proof.transferredAt || new Date()
+            });
+            order.approvePendingTransferProofs(req.user.id);
+        } else {
+            proof.status = 'rejected';
+            proof.reviewedBy = req.user.id;
+            proof.reviewedAt = new Date();
+            proof.rejectionReason = rejectionReason;
+        }
+
+        await order.save();
+
+        res.status(200).json({
+            success: true,
+            message: action === 'approve' ? 'Payment approved' : 'Deposit slip rejected',
+            data: {
+                orderNumber: order.orderNumber,
+                payment: order.payment,
+                proof
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Import a CSV bank statement and settle the bank transfer orders it pays for
+// @route   POST /api/admin/bank-transfers/statement (multipart, field "statement")
+// @access  Private (Admin)
+exports.importBankStatement = async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please upload a CSV bank statement'
+            });
+        }
+
+        const entries = parseStatement(req.file.buffer.toString('utf8'));
+        const openOrders = await Order.find(OPEN_TRANSFER_FILTER);
+        const candidates = openOrders.map(order => ({ order, references: getOrderReferences(order) }));
+
+        const matched = [];
+        const amountMismatch = [];
+        const ambiguous = [];
+        const unmatched = [];
+
+        for (const entry of entries) {
+            const summary = {
+                line: entry.line,
+                date: entry.date,
+                description: entry.description,
+                amount: entry.amount
+            };
+
+            const { byReference, byAmount } = matchStatementEntry(entry, candidates);
+
+            if (byAmount.length === 1) {
+                const { order } = byAmount[0];
+
+                const recorded = await order.markPaid({
+                    transactionId: entry.description,
+                    paidAt: entry.date || new Date()
+                });
+                if (!recorded) {
+                    // Settled by someone else while the import was running
+                    unmatched.push(summary);
+                    continue;
+                }
+
+                order.bankTransfer.statementMatch = {
+                    transactionDate: entry.date,
+                    description: entry.description,
+                    amount: entry.amount,
+                    importedAt: new Date(),
+                    importedBy: req.user.id
+                };
+                order.approvePendingTransferProofs(req.user.id);
+                await order.save();
+
+                // Each order is settled by one line at most
+                candidates.splice(candidates.indexOf(byAmount[0]), 1);
+                matched.push({ ...summary, orderId: order._id, orderNumber: order.orderNumber });
+            } else if (byAmount.length > 1) {
+                ambiguous.push({ ...summary, orderNumbers: byAmount.map(({ order }) => order.orderNumber) });
+            } else if (byReference.length > 0) {
+                amountMismatch.push({
+                    ...summary,
+                    orders: byReference.map(({ order }) => ({
+                        orderNumber: order.orderNumber,
+                        total: order.pricing.total
+                    }))
+                });
+            } else {
+                unmatched.push(summary);
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Matched ${matched.length} of ${entries.length} credit lines`,
+            data: {
+                summary: {
+                    creditLines: entries.length,
+                    matched: matched.length,
+                    amountMismatch: amountMismatch.length,
+                    ambiguous: ambiguous.length,
+                    unmatched: unmatched.length
+                },
+                matched,
+                amountMismatch,
+                ambiguous,
+                unmatched
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
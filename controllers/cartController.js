@@ -1,9 +1,22 @@
 const Cart = require('../models/Cart');
+const Order = require('../models/Order');
 const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const Prescription = require('../models/Prescription');
+const { calculateTax } = require('../utils/tax');
+const { calculatePricing } = require('../utils/pricing');
+const { withTransaction } = require('../utils/transaction');
+
+// Days a prescription stays valid for repeat orders, counted from the prescription date
+const PRESCRIPTION_VALIDITY_DAYS = parseInt(process.env.PRESCRIPTION_VALIDITY_DAYS) || 180;
 
 // Helper function to transform cart data for consistent API responses
-const transformCartResponse = (cart) => {
-    const transformedItems = cart.items.map(item => ({
+// adjustments: { coupon, tax } from getCartAdjustments
+const transformCartResponse = (cart, { coupon = null, tax = null } = {}) => {
+    const discount = coupon?.discount || 0;
+    const totalTax = tax?.totalTax || 0;
+
+    const transformedItems = cart.items.map((item, index) => ({
         _id: item._id,
         product: {
             _id: item.product._id,
@@ -21,6 +34,8 @@ const transformCartResponse = (cart) => {
         purchaseType: item.purchaseType,
         pricePerItem: item.pricePerItem,
         totalPrice: item.totalPrice,
+        taxRate: tax?.lines[index]?.taxRate || 0,
+        taxAmount: tax?.lines[index]?.taxAmount || 0,
         addedAt: item.addedAt
     }));
 
@@ -30,10 +45,60 @@ const transformCartResponse = (cart) => {
         subtotal: cart.subtotal,
         totalItems: cart.totalItems,
         isEmpty: cart.items.length === 0,
-        expiresAt: cart.expiresAt
+        expiresAt: cart.expiresAt,
+        coupon,
+        discount,
+        tax: totalTax,
+        taxMode: tax?.mode || null,
+        total: cart.subtotal - discount + (tax?.mode === 'exclusive' ? totalTax : 0)
     };
 };
 
+// Helper function to describe cart items the way coupons expect them
+const toCouponItems = (items) => items.map(item => ({
+    product: item.product._id || item.product,
+    category: item.product.category,
+    medicineType: item.product.medicineType,
+    totalPrice: item.totalPrice
+}));
+
+// Helper function to work out the coupon discount for a cart
+// A coupon that no longer applies stays on the cart and reports why
+// Returns { coupon, eligibleLines } - eligibleLines marks the cart lines the coupon covers
+const getCouponSummary = async (cart, userId = null) => {
+    if (!cart.coupon) {
+        return { coupon: null, eligibleLines: [] };
+    }
+
+    const coupon = await Coupon.findById(cart.coupon);
+    if (!coupon) {
+        return { coupon: null, eligibleLines: [] };
+    }
+
+    const summary = { code: coupon.code, description: coupon.description };
+    try {
+        const { discount, eligibleLines } = await coupon.evaluate(toCouponItems(cart.items), { userId });
+        return { coupon: { ...summary, discount, valid: true }, eligibleLines };
+    } catch (error) {
+        if (error.status !== 400) throw error;
+        return { coupon: { ...summary, discount: 0, valid: false, message: error.message }, eligibleLines: [] };
+    }
+};
+
+// Helper function to work out the coupon discount and tax shown with a cart
+const getCartAdjustments = async (cart, userId = null) => {
+    const { coupon, eligibleLines } = await getCouponSummary(cart, userId);
+    const tax = await calculateTax(
+        cart.items.map((item, index) => ({
+            product: item.product,
+            amount: item.totalPrice,
+            discountable: Boolean(eligibleLines[index])
+        })),
+        { discount: coupon?.discount || 0 }
+    );
+    return { coupon, tax };
+};
+
 // Helper function to get or create cart
 const getOrCreateCart = async (userId = null, guestId = null) => {
     // Prioritize user ID over guest ID
@@ -65,30 +130,6 @@ const getOrCreateCart = async (userId = null, guestId = null) => {
     return cart;
 };
 
-// Helper function to calculate pricing based on purchase type
-const calculatePricing = (product, purchaseType, quantity) => {
-    let pricePerItem;
-    let stockNeeded;
-
-    if (purchaseType === 'unit' && (product.productType === 'tablet' || product.productType === 'capsule')) {
-        // Buying individual tablets/capsules
-        if (!product.allowUnitSale) {
-            throw new Error('This product cannot be sold as individual units');
-        }
-        pricePerItem = product.price / (product.unitsPerStrip || 10);
-        stockNeeded = Math.ceil(quantity / (product.unitsPerStrip || 10)); // Strips needed
-    } else {
-        // Buying packages (strips, bottles, etc.)
-        pricePerItem = product.price;
-        stockNeeded = quantity;
-    }
-
-    return {
-        pricePerItem: parseFloat(pricePerItem.toFixed(2)),
-        stockNeeded
-    };
-};
-
 // @desc    Get user's cart
 // @route   GET /api/cart
 // @access  Public (supports both authenticated and guest users)
@@ -153,7 +194,7 @@ exports.getCart = async (req, res, next) => {
 
         res.status(200).json({
             success: true,
-            data: transformCartResponse(cart)
+            data: transformCartResponse(cart, await getCartAdjustments(cart, userId))
         });
     } catch (error) {
         next(error);
@@ -232,11 +273,20 @@ exports.addToCart = async (req, res, next) => {
             }
         }
 
-        // Calculate pricing and stock needed
-        const { pricePerItem, stockNeeded } = calculatePricing(product, purchaseType, quantity);
+        // Get or create cart
+        const cart = await getOrCreateCart(userId, guestId);
+
+        // Reserve only the difference between what the cart item already holds and what it will need,
+        // so adding units to an existing line rounds strips up consistently
+        const existingItem = cart.items.find(
+            item => (item.product._id || item.product).toString() === productId.toString() && item.purchaseType === purchaseType
+        );
+        const { pricePerItem } = calculatePricing(product, purchaseType, quantity);
+        const { stockNeeded: totalStockNeeded } = calculatePricing(product, purchaseType, (existingItem?.quantity || 0) + quantity);
+        const stockNeeded = totalStockNeeded - (existingItem?.reservedStock || 0);
 
-        // Check stock availability
-        const availableStock = product.stock - (product.reservedStock || 0);
+        // Quick check for a friendly message - the reservation itself is the authoritative check
+        const availableStock = product.availableStock; // Excludes reserved and expired stock
         if (availableStock < stockNeeded) {
             return res.status(400).json({
                 success: false,
@@ -244,29 +294,41 @@ exports.addToCart = async (req, res, next) => {
             });
         }
 
-        // Get or create cart
-        const cart = await getOrCreateCart(userId, guestId);
-
-        // Reserve stock first, then update cart
-        await product.reserveStock(stockNeeded);
+        // Reserve stock and update the cart together, so a failed cart save cannot leave stock reserved
+        const stockContext = { actor: userId, reference: { kind: 'Cart', id: cart._id } };
+        await withTransaction(async (session) => {
+            // Read the cart again inside the transaction - a retried attempt must not reuse the
+            // quantity read before a concurrent add to the same cart committed
+            const currentCart = await Cart.findById(cart._id).session(session);
+            const currentItem = currentCart.items.find(
+                item => item.product.toString() === productId.toString() && item.purchaseType === purchaseType
+            );
+            const { stockNeeded: totalNeeded } = calculatePricing(product, purchaseType, (currentItem?.quantity || 0) + quantity);
+            const toReserve = totalNeeded - (currentItem?.reservedStock || 0);
+
+            if (toReserve > 0) {
+                await product.reserveStock(toReserve, { ...stockContext, session });
+            }
 
-        try {
-            // Add item to cart (this now waits properly)
-            await cart.addItem(productId, quantity, purchaseType, pricePerItem);
+            try {
+                await currentCart.addItem(productId, quantity, purchaseType, pricePerItem, session);
+            } catch (cartError) {
+                // Without a transaction, release the reserved stock by hand
+                if (!session && toReserve > 0) {
+                    await product.releaseReservedStock(toReserve, stockContext);
+                }
+                throw cartError;
+            }
+        });
 
-            // Get updated cart with populated products
-            const updatedCart = await Cart.findById(cart._id).populate('items.product');
+        // Get updated cart with populated products
+        const updatedCart = await Cart.findById(cart._id).populate('items.product');
 
-            res.status(200).json({
-                success: true,
-                message: 'Item added to cart successfully',
-                data: transformCartResponse(updatedCart)
-            });
-        } catch (cartError) {
-            // If cart update fails, release the reserved stock
-            await product.releaseReservedStock(stockNeeded);
-            throw cartError;
-        }
+        res.status(200).json({
+            success: true,
+            message: 'Item added to cart successfully',
+            data: transformCartResponse(updatedCart, await getCartAdjustments(updatedCart, userId))
+        });
     } catch (error) {
         console.error('Add to cart error:', error);
         next(error);
@@ -335,20 +397,23 @@ exports.updateCartItem = async (req, res, next) => {
             }
         }
 
+        const stockContext = { actor: userId, reference: { kind: 'Cart', id: cart._id } };
+
         if (quantity === 0) {
             // Remove item completely
             const { cart: updatedCart, removedItem } = await cart.removeItem(productId, purchaseType);
 
             // Release reserved stock
-            const { stockNeeded } = calculatePricing(product, purchaseType, removedItem.quantity);
-            await product.releaseReservedStock(stockNeeded);
+            if (removedItem.reservedStock > 0) {
+                await product.releaseReservedStock(removedItem.reservedStock, stockContext);
+            }
 
             const finalCart = await Cart.findById(updatedCart._id).populate('items.product');
 
             return res.status(200).json({
                 success: true,
                 message: 'Item removed from cart',
-                data: transformCartResponse(finalCart)
+                data: transformCartResponse(finalCart, await getCartAdjustments(finalCart, userId))
             });
         }
 
@@ -370,12 +435,11 @@ exports.updateCartItem = async (req, res, next) => {
 
         // Calculate new stock needed
         const { stockNeeded: newStockNeeded } = calculatePricing(product, purchaseType, quantity);
-        const { stockNeeded: currentStockNeeded } = calculatePricing(product, purchaseType, currentItem.quantity);
-        const stockDifference = newStockNeeded - currentStockNeeded;
+        const stockDifference = newStockNeeded - currentItem.reservedStock;
 
         // Check if we need more stock
         if (stockDifference > 0) {
-            const availableStock = product.stock - (product.reservedStock || 0);
+            const availableStock = product.availableStock; // Excludes reserved and expired stock
             if (availableStock < stockDifference) {
                 return res.status(400).json({
                     success: false,
@@ -384,21 +448,29 @@ exports.updateCartItem = async (req, res, next) => {
             }
 
             // Reserve additional stock
-            await product.reserveStock(stockDifference);
-        } else if (stockDifference < 0) {
-            // Release excess stock
-            await product.releaseReservedStock(Math.abs(stockDifference));
-        }
+            await product.reserveStock(stockDifference, stockContext);
 
-        // Update cart item
-        await cart.updateItemQuantity(productId, purchaseType, quantity);
+            try {
+                await cart.updateItemQuantity(productId, purchaseType, quantity);
+            } catch (cartError) {
+                await product.releaseReservedStock(stockDifference, stockContext);
+                throw cartError;
+            }
+        } else {
+            // Update cart item, then release any excess stock
+            await cart.updateItemQuantity(productId, purchaseType, quantity);
+
+            if (stockDifference < 0) {
+                await product.releaseReservedStock(Math.abs(stockDifference), stockContext);
+            }
+        }
 
         const updatedCart = await Cart.findById(cart._id).populate('items.product');
 
         res.status(200).json({
             success: true,
             message: 'Cart updated successfully',
-            data: transformCartResponse(updatedCart)
+            data: transformCartResponse(updatedCart, await getCartAdjustments(updatedCart, userId))
         });
     } catch (error) {
         next(error);
@@ -428,7 +500,10 @@ exports.removeFromCart = async (req, res, next) => {
         if (removedItem.reservedStock > 0) {
             const product = await Product.findById(productId);
             if (product) {
-                await product.releaseReservedStock(removedItem.reservedStock);
+                await product.releaseReservedStock(removedItem.reservedStock, {
+                    actor: userId,
+                    reference: { kind: 'Cart', id: cart._id }
+                });
             }
         }
 
@@ -437,7 +512,7 @@ exports.removeFromCart = async (req, res, next) => {
         res.status(200).json({
             success: true,
             message: 'Item removed from cart',
-            data: transformCartResponse(finalCart)
+            data: transformCartResponse(finalCart, await getCartAdjustments(finalCart, userId))
         });
     } catch (error) {
         next(error);
@@ -467,7 +542,10 @@ exports.clearCart = async (req, res, next) => {
             if (item.reservedStock > 0) {
                 const product = await Product.findById(item.product);
                 if (product) {
-                    await product.releaseReservedStock(item.reservedStock);
+                    await product.releaseReservedStock(item.reservedStock, {
+                        actor: userId,
+                        reference: { kind: 'Cart', id: cart._id }
+                    });
                 }
             }
         }
@@ -523,7 +601,7 @@ exports.checkAvailability = async (req, res, next) => {
         const maxQtyValid = !product.maxOrderQuantity || quantity <= product.maxOrderQuantity;
 
         const { pricePerItem, stockNeeded } = calculatePricing(product, purchaseType, quantity);
-        const availableStock = product.stock - (product.reservedStock || 0);
+        const availableStock = product.availableStock; // Excludes reserved and expired stock
 
         const stockAvailable = availableStock >= stockNeeded;
         const isAvailable = minQtyValid && maxQtyValid && stockAvailable;
@@ -563,4 +641,244 @@ exports.checkAvailability = async (req, res, next) => {
     } catch (error) {
         next(error);
     }
-};
\ No newline at end of file
+};
+// @desc    Apply coupon code to cart
+// @route   POST /api/cart/coupon
+// @access  Public
+exports.applyCoupon = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+        const userId = req.user?.id || null;
+        const guestId = req.headers['x-guest-id'] || req.body.guestId || null;
+
+        if (!code || !code.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Coupon code is required'
+            });
+        }
+
+        const cart = await Cart.findActiveCart(userId, guestId);
+        if (!cart || cart.items.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cart is empty or not found'
+            });
+        }
+
+        const coupon = await Coupon.findByCode(code);
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invalid coupon code'
+            });
+        }
+
+        // Throws a 400 with the reason when the coupon cannot be used
+        await coupon.evaluate(toCouponItems(cart.items), { userId });
+
+        cart.coupon = coupon._id;
+        await cart.save();
+
+        res.status(200).json({
+            success: true,
+            message: `Coupon ${coupon.code} applied`,
+            data: transformCartResponse(cart, await getCartAdjustments(cart, userId))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Remove coupon from cart
+// @route   DELETE /api/cart/coupon
+// @access  Public
+exports.removeCoupon = async (req, res, next) => {
+    try {
+        const userId = req.user?.id || null;
+        const guestId = req.headers['x-guest-id'] || req.body.guestId || null;
+
+        const cart = await Cart.findActiveCart(userId, guestId);
+        if (!cart) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cart not found'
+            });
+        }
+
+        cart.coupon = null;
+        await cart.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon removed',
+            data: transformCartResponse(cart, await getCartAdjustments(cart, userId))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Rebuild the cart from a previous order
+// @route   POST /api/orders/:id/reorder
+// @access  Private
+// Replaces the cart contents with the quantities supplied on the order, at today's prices. Lines that
+// were never supplied, discontinued, out-of-stock and over-limit controlled products are skipped and reported; verified
+// prescriptions that are still valid are carried over to the checkout.
+exports.reorder = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (order.customer.user?.toString() !== userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to reorder this order'
+            });
+        }
+
+        const cart = await getOrCreateCart(userId);
+        const stockContext = { actor: userId, reference: { kind: 'Cart', id: cart._id } };
+
+        // Start from an empty cart, giving back what it held
+        const { removedItems } = await cart.clearCart();
+        for (const item of removedItems) {
+            if (item.reservedStock > 0) {
+                const product = await Product.findById(item.product);
+                if (product) {
+                    await product.releaseReservedStock(item.reservedStock, stockContext);
+                }
+            }
+        }
+
+        const added = [];
+        const skipped = [];
+
+        for (const item of order.items) {
+            const name = item.productSnapshot?.name || 'Unknown product';
+
+            // Only what was actually supplied - cancelled and rejected quantity is not ordered again
+            const suppliedQuantity = item.quantity - (item.cancelledQuantity || 0);
+            if (suppliedQuantity <= 0) {
+                skipped.push({ product: item.product, name, reason: 'not_supplied' });
+                continue;
+            }
+
+            const product = await Product.findById(item.product);
+
+            if (!product || product.status !== 'active') {
+                skipped.push({ product: item.product, name, reason: 'discontinued' });
+                continue;
+            }
+
+            if (item.purchaseType === 'unit' && !product.allowUnitSale) {
+                skipped.push({ product: product._id, name, reason: 'no_longer_sold_as_units' });
+                continue;
+            }
+
+            // Keep within the product's current order limits
+            let quantity = Math.max(suppliedQuantity, product.minOrderQuantity || 1);
+            if (product.maxOrderQuantity) {
+                quantity = Math.min(quantity, product.maxOrderQuantity);
+            }
+
+            const { pricePerItem, stockNeeded } = calculatePricing(product, item.purchaseType, quantity);
+
+            try {
+                await product.reserveStock(stockNeeded, stockContext);
+            } catch (error) {
+                if (error.status !== 400) throw error;
+                skipped.push({
+                    product: product._id,
+                    name,
+                    reason: 'out_of_stock',
+                    availableStock: product.availableStock
+                });
+                continue;
+            }
+
+            try {
+                await cart.addItem(product._id, quantity, item.purchaseType, pricePerItem);
+            } catch (cartError) {
+                await product.releaseReservedStock(stockNeeded, stockContext);
+                if (cartError.code !== 'CONTROLLED_DRUG_RULE') throw cartError;
+                // The quantity ordered before is over today's per-prescription limit
+                skipped.push({ product: product._id, name, reason: 'controlled_limit', message: cartError.message });
+                continue;
+            }
+
+            added.push({
+                product: product._id,
+                name,
+                quantity,
+                previousQuantity: suppliedQuantity,
+                pricePerItem,
+                previousPricePerItem: item.pricePerItem
+            });
+        }
+
+        // Carry over the prescriptions the pharmacist verified, while they are still valid
+        const needsPrescription = added.some(entry =>
+            order.items.find(item => item.product.toString() === entry.product.toString())?.prescriptionRequired
+        );
+        const validFrom = new Date(Date.now() - PRESCRIPTION_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+        const verified = needsPrescription ? order.prescriptions.filter(p => p.verified) : [];
+
+        // Saved prescriptions carry their own validity and refill count
+        const usable = await Prescription.find({
+            _id: { $in: verified.filter(p => p.prescription).map(p => p.prescription) },
+            user: userId,
+            status: 'active',
+            validUntil: { $gte: new Date() }
+        });
+
+        const carriedOver = verified.filter(p => p.prescription
+            ? usable.some(saved => saved._id.equals(p.prescription) && saved.remainingRefills > 0)
+            : p.prescriptionDate >= validFrom);
+
+        if (carriedOver.length > 0) {
+            cart.prescriptions = carriedOver.map(p => (p.prescription
+                ? { prescription: p.prescription, sourceOrder: order._id }
+                : {
+                    imageUrl: p.imageUrl,
+                    fileName: p.fileName,
+                    doctorName: p.doctorName,
+                    hospitalName: p.hospitalName,
+                    prescriptionDate: p.prescriptionDate,
+                    sourceOrder: order._id
+                }));
+            await cart.save();
+        }
+
+        const updatedCart = await Cart.findById(cart._id).populate('items.product');
+
+        res.status(200).json({
+            success: true,
+            message: skipped.length > 0
+                ? `${added.length} item(s) added to your cart, ${skipped.length} unavailable`
+                : 'All items added to your cart',
+            data: {
+                cart: transformCartResponse(updatedCart, await getCartAdjustments(updatedCart, userId)),
+                added,
+                skipped,
+                prescription: {
+                    required: needsPrescription,
+                    carriedOver: carriedOver.length > 0,
+                    // Without a carried over prescription a new one has to be uploaded at checkout
+                    message: needsPrescription && carriedOver.length === 0
+                        ? 'The prescription from this order has expired, has no refills left or was not verified - please upload a new one'
+                        : undefined
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,203 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+const COUPON_FIELDS = [
+    'code',
+    'description',
+    'discountType',
+    'discountValue',
+    'maxDiscount',
+    'minSubtotal',
+    'validFrom',
+    'validUntil',
+    'usageLimit',
+    'perUserLimit',
+    'applicableCategories',
+    'applicableProducts',
+    'otcOnly',
+    'status'
+];
+
+// @desc    Get all coupons
+// @route   GET /api/admin/coupons?status=&search=
+// @access  Private/Admin
+exports.getCoupons = async (req, res, next) => {
+    try {
+        const { search, status } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const query = {};
+        if (status) query.status = status;
+        if (search) {
+            query.code = { $regex: search, $options: 'i' };
+        }
+
+        const coupons = await Coupon.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await Coupon.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: coupons.map(coupon => coupon.toObject({ virtuals: true })),
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get single coupon with its redemptions
+// @route   GET /api/admin/coupons/:id
+// @access  Private/Admin
+exports.getCoupon = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id)
+            .populate('applicableProducts', 'name brand')
+            .populate('createdBy', 'name');
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+            .populate('order', 'orderNumber status pricing.total')
+            .populate('user', 'name email')
+            .sort({ redeemedAt: -1 })
+            .limit(100);
+
+        const totalDiscount = redemptions
+            .filter(redemption => redemption.status === 'redeemed')
+            .reduce((total, redemption) => total + redemption.discountAmount, 0);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...coupon.toObject({ virtuals: true }),
+                redemptions,
+                totalDiscount
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create coupon
+// @route   POST /api/admin/coupons
+// @access  Private/Admin
+exports.createCoupon = async (req, res, next) => {
+    try {
+        const data = {};
+        COUPON_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const existing = await Coupon.findByCode(data.code);
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'A coupon with this code already exists'
+            });
+        }
+
+        const coupon = await Coupon.create({
+            ...data,
+            createdBy: req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: coupon
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update coupon
+// @route   PUT /api/admin/coupons/:id
+// @access  Private/Admin
+exports.updateCoupon = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        // The code is what customers and past orders refer to - only change it before first use
+        if (req.body.code !== undefined && req.body.code.trim().toUpperCase() !== coupon.code && coupon.usageCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'The code of a coupon that has been used cannot be changed'
+            });
+        }
+
+        COUPON_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) coupon[field] = req.body[field];
+        });
+
+        await coupon.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon updated successfully',
+            data: coupon
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete coupon (deactivated instead when it has been used)
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private/Admin
+exports.deleteCoupon = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        const redemptionCount = await CouponRedemption.countDocuments({ coupon: coupon._id });
+
+        if (redemptionCount > 0) {
+            coupon.status = 'inactive';
+            await coupon.save();
+
+            return res.status(200).json({
+                success: true,
+                message: 'Coupon has been used, so it was deactivated instead of deleted'
+            });
+        }
+
+        await coupon.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,147 @@
+const DeliveryZone = require('../models/DeliveryZone');
+const Cart = require('../models/Cart');
+
+const ZONE_FIELDS = [
+    'name',
+    'cities',
+    'areas',
+    'flatFee',
+    'freeDeliveryThreshold',
+    'includedWeightGrams',
+    'perKgFee',
+    'coldChainSurcharge',
+    'coldChainAvailable',
+    'isServiceable',
+    'isDefault',
+    'estimatedDeliveryDays'
+];
+
+// @desc    Quote the delivery fee for an address (uses the current cart when there is one)
+// @route   GET /api/delivery/quote?city=&area=&subtotal=
+// @access  Public
+exports.getDeliveryQuote = async (req, res, next) => {
+    try {
+        const { city, area } = req.query;
+        const userId = req.user?.id || null;
+        const guestId = req.headers['x-guest-id'] || req.query.guestId || null;
+
+        if (!city) {
+            return res.status(400).json({
+                success: false,
+                message: 'City is required'
+            });
+        }
+
+        let items = [];
+        let subtotal = parseFloat(req.query.subtotal) || 0;
+
+        const cart = (userId || guestId) ? await Cart.findActiveCart(userId, guestId) : null;
+        if (cart && cart.items.length > 0) {
+            items = cart.items
+                .filter(item => item.product)
+                .map(item => ({ product: item.product, stockQuantity: item.reservedStock }));
+            subtotal = cart.subtotal;
+        }
+
+        const quote = await DeliveryZone.quote({ city, area, items, subtotal });
+
+        res.status(200).json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get all delivery zones
+// @route   GET /api/admin/delivery-zones
+// @access  Private/Admin
+exports.getDeliveryZones = async (req, res, next) => {
+    try {
+        const zones = await DeliveryZone.find().sort({ isDefault: -1, name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: zones.length,
+            data: zones
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create delivery zone
+// @route   POST /api/admin/delivery-zones
+// @access  Private/Admin
+exports.createDeliveryZone = async (req, res, next) => {
+    try {
+        const data = {};
+        ZONE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const zone = await DeliveryZone.create(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Delivery zone created successfully',
+            data: zone
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update delivery zone
+// @route   PUT /api/admin/delivery-zones/:id
+// @access  Private/Admin
+exports.updateDeliveryZone = async (req, res, next) => {
+    try {
+        const zone = await DeliveryZone.findById(req.params.id);
+
+        if (!zone) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery zone not found'
+            });
+        }
+
+        ZONE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) zone[field] = req.body[field];
+        });
+
+        await zone.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Delivery zone updated successfully',
+            data: zone
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete delivery zone
+// @route   DELETE /api/admin/delivery-zones/:id
+// @access  Private/Admin
+exports.deleteDeliveryZone = async (req, res, next) => {
+    try {
+        const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+
+        if (!zone) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery zone not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Delivery zone deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
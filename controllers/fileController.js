@@ -0,0 +1,79 @@
+const {
+    PRIVATE_FILE_KINDS,
+    isValidFileName,
+    resolvePrivateFilePath,
+    findFileReferences
+} = require('../utils/privateFiles');
+
+// Staff can open any private file
+const STAFF_ROLES = ['admin', 'pharmacist'];
+
+// Whether the requester owns one of the records the file belongs to, or uploaded it
+// Customers by account, guests by order number and phone (or by their session before ordering)
+const canAccessFile = (req, { orders, prescriptions, carts, uploads }) => {
+    if (req.user && STAFF_ROLES.includes(req.user.role)) return true;
+
+    if (req.user) {
+        const userId = req.user._id.toString();
+        return orders.some(order => order.customer?.user?.toString() === userId)
+            || prescriptions.some(prescription => prescription.user?.toString() === userId)
+            || carts.some(cart => cart.status === 'active' && cart.user?.toString() === userId)
+            || uploads.some(upload => upload.user?.toString() === userId);
+    }
+
+    const orderNumber = req.query.orderNumber?.trim().toUpperCase();
+    const { phone } = req.query;
+    if (orderNumber && phone) {
+        const guestOrder = orders.find(order => order.orderNumber === orderNumber
+            && order.customer?.isGuest
+            && order.customer.guestDetails?.phone === phone);
+        if (guestOrder) return true;
+    }
+
+    const guestId = req.headers['x-guest-id'];
+    return Boolean(guestId) && (
+        carts.some(cart => cart.status === 'active' && !cart.user && cart.guestId === guestId)
+        || uploads.some(upload => !upload.user && upload.guestId === guestId)
+    );
+};
+
+// @desc    Download a prescription, delivery signature or bank deposit slip
+// @route   GET /api/files/:kind/:fileName (kind: prescriptions | signatures | payment-proofs)
+// @access  Owner, guest with ?orderNumber=&phone=, or staff
+exports.downloadPrivateFile = async (req, res, next) => {
+    try {
+        const { kind, fileName } = req.params;
+
+        if (!PRIVATE_FILE_KINDS[kind] || !isValidFileName(fileName)) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        const references = await findFileReferences(kind, fileName);
+        if (!canAccessFile(req, references)) {
+            return res.status(req.user ? 403 : 401).json({
+                success: false,
+                message: 'Not authorized to access this file'
+            });
+        }
+
+        const filePath = await resolvePrivateFilePath(kind, fileName);
+        if (!filePath) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        // Patient documents must not be kept by shared caches or proxies
+        res.set({
+            'Cache-Control': 'private, no-store',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.sendFile(filePath);
+    } catch (error) {
+        next(error);
+    }
+};
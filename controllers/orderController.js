@@ -2,18 +2,19 @@ const Order = require('../models/Order');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const User = require('../models/User');
+const Coupon = require('../models/Coupon');
+const DeliveryZone = require('../models/DeliveryZone');
+const CouponRedemption = require('../models/CouponRedemption');
+const CouponUsage = require('../models/CouponUsage');
+const Prescription = require('../models/Prescription');
+const FileUpload = require('../models/FileUpload');
 const emailService = require('../utils/emailService');
-
-// Helper function to calculate delivery fee based on location
-const calculateDeliveryFee = (city, area) => {
-    // Simple delivery fee calculation for Nepal
-    const biratnagar = ['biratnagar', 'itahari'];
-
-    if (biratnagar.includes(city.toLowerCase())) {
-        return 50;
-    }
-    return 100; // Rs. 100 for outside valley
-};
+const { withTransaction } = require('../utils/transaction');
+const { calculateTax } = require('../utils/tax');
+const { generateInvoicePdf } = require('../utils/invoice');
+const { isValidOrderNumber } = require('../utils/orderNumber');
+const { parsePrivateFileUrl } = require('../utils/privateFiles');
+const { PRESCRIPTION_SLA_MINUTES } = require('../constants/prescriptionQueue');
 
 // Helper function to validate prescription requirements
 const validatePrescriptionRequirements = (items, prescriptions) => {
@@ -26,15 +27,39 @@ const validatePrescriptionRequirements = (items, prescriptions) => {
         };
     }
 
+    // Uploaded prescriptions must be files from our prescription upload, not arbitrary links
+    const foreignUpload = prescriptions.find(p => !p.prescription && parsePrivateFileUrl(p.imageUrl)?.kind !== 'prescriptions');
+    if (foreignUpload) {
+        return {
+            valid: false,
+            message: 'Prescription images must be uploaded through the prescription upload'
+        };
+    }
+
     return { valid: true };
 };
 
+// Helper function to hide purchase costs and margins from customers
+const hideCostDetails = (order) => {
+    const orderObj = order.toObject();
+    delete orderObj.revenue;
+    orderObj.items.forEach(item => {
+        delete item.costPricePerItem;
+        delete item.totalCost;
+        if (item.product && typeof item.product === 'object') {
+            delete item.product.costPrice;
+            delete item.product.batches;
+        }
+    });
+    return orderObj;
+};
+
 // @desc    Create order from cart
 // @route   POST /api/orders
 // @access  Public (supports guest orders)
 exports.createOrder = async (req, res, next) => {
     try {
-        const { deliveryAddress, paymentMethod = 'cod', guestDetails, customerNotes, prescriptions = [] } = req.body;
+        const { deliveryAddress, paymentMethod = 'cod', guestDetails, customerNotes, prescriptions = [], prescriptionIds = [] } = req.body;
 
         // Add these debug logs:
         console.log('Full request body:', JSON.stringify(req.body, null, 2));
@@ -62,6 +87,14 @@ exports.createOrder = async (req, res, next) => {
             });
         }
 
+        // Saved prescriptions belong to an account - guests upload theirs with the order
+        if (!Array.isArray(prescriptionIds) || (!userId && prescriptionIds.length > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Saved prescriptions can only be used when signed in'
+            });
+        }
+
         // Get cart
         const cart = await Cart.findActiveCart(userId, guestId);
         if (!cart || cart.items.length === 0) {
@@ -81,6 +114,9 @@ exports.createOrder = async (req, res, next) => {
 
         // Validate stock availability and prepare order items
         const orderItems = [];
+        const reservationTopUps = [];
+        const deliveryItems = [];
+        const controlledUnits = new Map();
         let hasPrescriptionItems = false;
 
         for (const cartItem of cart.items) {
@@ -101,13 +137,9 @@ exports.createOrder = async (req, res, next) => {
                 stockNeeded = cartItem.quantity;
             }
 
-            // Check stock availability
-            if (product.availableStock < stockNeeded) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Insufficient stock for ${product.name}. Available: ${product.availableStock} ${product.stockUnit}`
-                });
-            }
+            // The cart reservation already holds this stock; it only falls short for carts
+            // reserved before quantities were rounded consistently, and is topped up at checkout
+            const reservationShortfall = Math.max(0, stockNeeded - cartItem.reservedStock);
 
             // Check if prescription is required
             const prescriptionRequired = product.medicineType === 'Prescription';
@@ -115,28 +147,77 @@ exports.createOrder = async (req, res, next) => {
                 hasPrescriptionItems = true;
             }
 
-            // Create order item with product snapshot
-            orderItems.push({
-                product: product._id,
-                productSnapshot: {
-                    name: product.name,
-                    brand: product.brand,
-                    category: product.category,
-                    medicineType: product.medicineType,
-                    productType: product.productType,
-                    price: product.price,
-                    image: product.images[0] || ''
-                },
+            // Controlled medicines are checked per product once every cart line is counted
+            if (product.isControlled) {
+                const entry = controlledUnits.get(product._id.toString()) || { product, units: 0 };
+                entry.units += product.getDispensedUnits(cartItem.quantity, cartItem.purchaseType);
+                controlledUnits.set(product._id.toString(), entry);
+            }
+
+            // Create order item with product and cost snapshots
+            orderItems.push(Order.buildItem(product, {
                 quantity: cartItem.quantity,
                 purchaseType: cartItem.purchaseType,
                 pricePerItem: cartItem.pricePerItem,
-                totalPrice: cartItem.totalPrice,
-                prescriptionRequired
-            });
+                totalPrice: cartItem.totalPrice
+            }));
+
+            reservationTopUps.push({ product, quantity: reservationShortfall });
+            deliveryItems.push({ product, stockQuantity: stockNeeded });
+        }
+
+        // Prescriptions carried over by a reorder stand in when none were given
+        const orderPrescriptions = prescriptions.length > 0 || prescriptionIds.length > 0
+            ? [...prescriptions, ...prescriptionIds.map(id => ({ prescription: id }))]
+            : (cart.prescriptions || []).map(p => ({ ...p.toObject(), carriedOverFrom: p.sourceOrder }));
+
+        // Controlled medicines need an account and stay within the per-prescription limit,
+        // counting what earlier orders already supplied against the same prescriptions
+        for (const { product, units } of controlledUnits.values()) {
+            const alreadyDispensed = userId
+                ? await Order.getUnitsDispensedAgainst(product, orderPrescriptions)
+                : 0;
+            product.assertControlledPurchase({ units, isGuest: !userId, alreadyDispensed });
+        }
+
+        // Saved prescriptions must be the customer's own, active, in date and have refills left
+        const vaultIds = [...new Set(orderPrescriptions.filter(p => p.prescription).map(p => p.prescription.toString()))];
+        let savedPrescriptions = [];
+        if (vaultIds.length > 0) {
+            savedPrescriptions = await Prescription.find({ _id: { $in: vaultIds }, user: userId });
+            for (const id of vaultIds) {
+                const prescription = savedPrescriptions.find(p => p._id.toString() === id);
+                let problem = null;
+                if (!prescription) problem = 'was not found';
+                else if (prescription.status !== 'active') problem = 'has been archived';
+                else if (prescription.isExpired) problem = 'has expired';
+                else if (prescription.remainingRefills < 1) problem = 'has no refills left';
+
+                if (problem) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Prescription ${prescription ? `from Dr. ${prescription.doctorName} ` : ''}${problem} - please upload a new one`
+                    });
+                }
+            }
+        }
+
+        // When every prescription is a saved one with its products recorded by a pharmacist,
+        // each prescription medicine has to be one of those products
+        if (savedPrescriptions.length > 0 && orderPrescriptions.every(p => p.prescription) &&
+            savedPrescriptions.every(prescription => prescription.coveredProducts.length > 0)) {
+            const covered = new Set(savedPrescriptions.flatMap(prescription => prescription.coveredProducts.map(id => id.toString())));
+            const uncovered = orderItems.find(item => item.prescriptionRequired && !covered.has(item.product.toString()));
+            if (uncovered) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${uncovered.productSnapshot.name} is not covered by your saved prescriptions - please upload a prescription for it`
+                });
+            }
         }
 
         // Validate prescription requirements
-        const prescriptionValidation = validatePrescriptionRequirements(orderItems, prescriptions);
+        const prescriptionValidation = validatePrescriptionRequirements(orderItems, orderPrescriptions);
         if (!prescriptionValidation.valid) {
             return res.status(400).json({
                 success: false,
@@ -144,10 +225,79 @@ exports.createOrder = async (req, res, next) => {
             });
         }
 
+        // Uploaded prescriptions must be this customer's (or guest session's) own uploads,
+        // otherwise anyone who learns a file link could attach it and then download it
+        const uploadedFileNames = prescriptions
+            .filter(p => !p.prescription)
+            .map(p => parsePrivateFileUrl(p.imageUrl).fileName);
+        const ownUploads = await FileUpload.findUploadedBy('prescriptions', uploadedFileNames, { userId, guestId });
+        if (uploadedFileNames.some(fileName => !ownUploads.has(fileName))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Prescription images must be uploaded by you - please upload the prescription again'
+            });
+        }
+
         // Calculate pricing
         const subtotal = orderItems.reduce((total, item) => total + item.totalPrice, 0);
-        const deliveryFee = calculateDeliveryFee(deliveryAddress.city, deliveryAddress.area);
-        const total = subtotal + deliveryFee;
+
+        // Delivery fee from the configured zones
+        const deliveryQuote = await DeliveryZone.quote({
+            city: deliveryAddress.city,
+            area: deliveryAddress.area,
+            items: deliveryItems,
+            subtotal
+        });
+        if (!deliveryQuote.serviceable) {
+            return res.status(400).json({
+                success: false,
+                message: deliveryQuote.message || 'We do not deliver to this location yet'
+            });
+        }
+        const deliveryFee = deliveryQuote.fee;
+
+        // Apply the cart's coupon - validated again against the final order items
+        // A coupon that no longer applies is dropped with a warning rather than blocking checkout
+        const couponCustomer = { userId, guestEmail: userId ? null : guestDetails.email };
+        const warnings = [];
+        let coupon = null;
+        let discount = 0;
+        let eligibleLines = [];
+        if (cart.coupon) {
+            coupon = await Coupon.findById(cart.coupon);
+            if (coupon) {
+                try {
+                    ({ discount, eligibleLines } = await coupon.evaluate(
+                        orderItems.map(item => ({
+                            product: item.product,
+                            category: item.productSnapshot.category,
+                            medicineType: item.productSnapshot.medicineType,
+                            totalPrice: item.totalPrice
+                        })),
+                        couponCustomer
+                    ));
+                } catch (couponError) {
+                    if (couponError.status !== 400) throw couponError;
+                    warnings.push(`Coupon ${coupon.code} was not applied: ${couponError.message}`);
+                    coupon = null;
+                }
+            } else {
+                warnings.push('The coupon on your cart no longer exists and was not applied');
+            }
+        }
+
+        // Tax line by line - the coupon discount is spread over the lines it covers first
+        const tax = await calculateTax(
+            orderItems.map((item, index) => ({
+                product: deliveryItems[index].product,
+                amount: item.totalPrice,
+                discountable: Boolean(eligibleLines[index])
+            })),
+            { discount }
+        );
+        orderItems.forEach((item, index) => Object.assign(item, tax.lines[index]));
+
+        const total = subtotal + deliveryFee - discount + (tax.mode === 'exclusive' ? tax.totalTax : 0);
 
         // Create order
         const orderData = {
@@ -157,13 +307,17 @@ exports.createOrder = async (req, res, next) => {
                 isGuest: !userId
             },
             items: orderItems,
-            prescriptions: prescriptions.map(p => ({
-                imageUrl: p.imageUrl,
-                fileName: p.fileName,
-                doctorName: p.doctorName,
-                hospitalName: p.hospitalName || '',
-                prescriptionDate: new Date(p.prescriptionDate)
-            })),
+            // Saved prescriptions are referenced, uploaded ones are kept with the order
+            prescriptions: orderPrescriptions.map(p => (p.prescription
+                ? { prescription: p.prescription, carriedOverFrom: p.carriedOverFrom }
+                : {
+                    imageUrl: p.imageUrl,
+                    fileName: p.fileName,
+                    doctorName: p.doctorName,
+                    hospitalName: p.hospitalName || '',
+                    prescriptionDate: new Date(p.prescriptionDate),
+                    carriedOverFrom: p.carriedOverFrom
+                })),
             hasPrescriptionItems,
             prescriptionStatus: hasPrescriptionItems ? 'pending_verification' : 'not_required',
             // Set initial status: confirmed for OTC orders, pending for prescription orders
@@ -180,8 +334,12 @@ exports.createOrder = async (req, res, next) => {
             pricing: {
                 subtotal,
                 deliveryFee,
+                tax: tax.totalTax,
+                taxMode: tax.mode,
+                discount,
                 total
             },
+            coupon: coupon ? { coupon: coupon._id, code: coupon.code, discount } : undefined,
             payment: {
                 method: paymentMethod
             },
@@ -211,17 +369,81 @@ exports.createOrder = async (req, res, next) => {
             });
         }
 
-        await order.save();
+        await withTransaction(async (session) => {
+            // Claim the cart so a double submit or the cleanup job cannot reuse its reservations
+            const claimedCart = await Cart.findOneAndUpdate(
+                { _id: cart._id, status: 'active', expiresAt: { $gte: new Date() } },
+                { $set: { status: 'converted_to_order', updatedAt: new Date() } },
+                { new: true, session }
+            );
+            if (!claimedCart) {
+                throw Object.assign(new Error('Cart has already been checked out or has expired'), { status: 409 });
+            }
 
-        // Convert cart stock reservations to order stock reservations
-        // The stock is already reserved in cart, so we just need to confirm it's still reserved
-        for (const cartItem of cart.items) {
-            const product = await Product.findById(cartItem.product);
-            // Stock is already reserved from cart, no additional reservation needed
-        }
+            const stockContext = { actor: userId, reference: { kind: 'Cart', id: cart._id }, session };
+            const toppedUp = [];
+            let couponRedeemed = false;
+            let couponClaimed = false;
+            let fillsClaimed = false;
+
+            try {
+                for (const { product, quantity } of reservationTopUps) {
+                    if (quantity > 0) {
+                        await product.reserveStock(quantity, stockContext);
+                        toppedUp.push({ product, quantity });
+                    }
+                }
+
+                // Count the coupon use against its global and per-customer limits before the order exists
+                if (coupon) {
+                    await Coupon.redeem(coupon._id, session);
+                    couponRedeemed = true;
+                    couponClaimed = await CouponUsage.claim(coupon, couponCustomer, session);
+                }
+
+                // Each order uses up one refill of every saved prescription it relies on
+                if (vaultIds.length > 0) {
+                    await Prescription.claimFills(vaultIds, { userId, orderId: order._id, session });
+                    fillsClaimed = true;
+                }
 
-        // Clear the cart after successful order creation
-        await cart.clearCart();
+                await order.save({ session });
+
+                if (coupon) {
+                    await CouponRedemption.create([{
+                        coupon: coupon._id,
+                        code: coupon.code,
+                        order: order._id,
+                        user: userId,
+                        guestEmail: couponCustomer.guestEmail,
+                        discountAmount: discount
+                    }], { session });
+                }
+
+                // OTC orders are confirmed straight away, so take the stock off the shelf now
+                if (order.status === 'confirmed') {
+                    await order.confirmSale(userId, session);
+                }
+            } catch (error) {
+                // Without a transaction, undo what was applied before the order existed
+                if (!session && order.isNew) {
+                    for (const { product, quantity } of toppedUp) {
+                        await product.releaseReservedStock(quantity, { ...stockContext, reason: 'cart_release' });
+                    }
+                    if (couponRedeemed) {
+                        await Coupon.updateOne({ _id: coupon._id }, { $inc: { usageCount: -1 } });
+                    }
+                    if (couponClaimed) {
+                        await CouponUsage.release(coupon._id, couponCustomer);
+                    }
+                    if (fillsClaimed) {
+                        await Prescription.releaseFills(order._id);
+                    }
+                    await Cart.updateOne({ _id: cart._id }, { $set: { status: 'active' } });
+                }
+                throw error;
+            }
+        });
 
         // Populate the order for response
         const populatedOrder = await Order.findById(order._id)
@@ -246,7 +468,8 @@ exports.createOrder = async (req, res, next) => {
         res.status(201).json({
             success: true,
             message: 'Order created successfully',
-            data: populatedOrder
+            data: hideCostDetails(populatedOrder),
+            warnings: warnings.length > 0 ? warnings : undefined
         });
 
     } catch (error) {
@@ -266,6 +489,7 @@ exports.getUserOrders = async (req, res, next) => {
         const skip = (page - 1) * limit;
 
         const orders = await Order.find({ 'customer.user': userId })
+            .select('-revenue -items.costPricePerItem -items.totalCost')
             .populate('items.product', 'name brand images')
             .sort({ createdAt: -1 })
             .skip(skip)
@@ -303,6 +527,7 @@ exports.getOrder = async (req, res, next) => {
             .populate('delivery.assignedTo', 'name phone')
             .populate('statusHistory.changedBy', 'name')
             .populate('prescriptions.verifiedBy', 'name')
+            .populate('prescriptions.prescription')
             .populate('dispatchDetails.dispatchedBy', 'name');
 
         if (!order) {
@@ -332,18 +557,63 @@ exports.getOrder = async (req, res, next) => {
         }
 
         console.log('Access granted');
+        const isStaff = ['admin', 'pharmacist'].includes(req.user.role);
         res.status(200).json({
             success: true,
-            data: order
+            data: isStaff ? order : hideCostDetails(order)
         });
     } catch (error) {
         next(error);
     }
 };
 
+// @desc    Download PDF tax invoice for an order
+// @route   GET /api/orders/:id/invoice
+// @access  Private
+exports.getOrderInvoice = async (req, res, next) => {
+    try {
+        const order = await Order.findById(req.params.id)
+            .populate('customer.user', 'name email phone');
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const orderUserId = order.customer.user?._id?.toString();
+        if (!['admin', 'pharmacist'].includes(req.user.role) && orderUserId !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this order'
+            });
+        }
+
+        // Invoices are issued when the order is paid or delivered, never by downloading
+        if (!order.invoice?.number) {
+            return res.status(404).json({
+                success: false,
+                message: 'No invoice has been issued for this order yet'
+            });
+        }
+
+        const pdf = await generateInvoicePdf(order);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="Invoice-${order.invoice.number}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Update order status
 // @route   PUT /api/orders/:id/status
-// @access  Private (Admin/Pharmacist only)
+// @access  Private (Admin/Pharmacist, Delivery for their assigned orders)
 exports.updateOrderStatus = async (req, res, next) => {
     try {
         const { status, notes } = req.body;
@@ -356,14 +626,23 @@ exports.updateOrderStatus = async (req, res, next) => {
             });
         }
 
-        // Update status with audit trail
-        await order.updateStatus(status, req.user.id, notes);
+        // Delivery staff only handle the orders assigned to them
+        if (req.user.role === 'delivery' && order.delivery.assignedTo?.userId?.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'This order is not assigned to you'
+            });
+        }
 
-        // If confirming order, deduct actual stock
-        if (status === 'confirmed') {
-            await order.confirmSale();
+        // Controlled medicines: the original prescription was seen at the door
+        if (status === 'delivered' && [true, 'true'].includes(req.body.prescriptionSighted)) {
+            order.recordPrescriptionSighting(req.user.id, req.body.sightingNotes);
         }
 
+        // Update status with audit trail - rejects transitions the state machine does not allow
+        // Confirming deducts the stock
+        await order.updateStatus(status, req.user.id, notes, { role: req.user.role });
+
         const updatedOrder = await Order.findById(order._id)
             .populate('items.product')
             .populate('customer.user', 'name email phone')
@@ -386,7 +665,7 @@ exports.updateOrderStatus = async (req, res, next) => {
         res.status(200).json({
             success: true,
             message: 'Order status updated successfully',
-            data: updatedOrder
+            data: req.user.role === 'delivery' ? hideCostDetails(updatedOrder) : updatedOrder
         });
     } catch (error) {
         console.error('Update order status error:', error);
@@ -419,13 +698,9 @@ exports.cancelOrder = async (req, res, next) => {
             });
         }
 
-        // Check if order can be cancelled
-        if (['delivered', 'cancelled', 'returned'].includes(order.status)) {
-            return res.status(400).json({
-                success: false,
-                message: 'This order cannot be cancelled'
-            });
-        }
+        // Check if order can be cancelled at this stage by this user
+        const role = order.customer.user?.toString() === req.user.id ? 'customer' : req.user.role;
+        order.assertTransition('cancelled', role);
 
         // Update cancellation details
         order.cancellation = {
@@ -435,12 +710,13 @@ exports.cancelOrder = async (req, res, next) => {
         };
 
         // Update status to cancelled
-        await order.updateStatus('cancelled', req.user.id, `Order cancelled: ${reason}`);
+        await order.updateStatus('cancelled', req.user.id, `Order cancelled: ${reason}`, { role });
 
+        const isStaff = ['admin', 'pharmacist'].includes(req.user.role);
         res.status(200).json({
             success: true,
             message: 'Order cancelled successfully',
-            data: order
+            data: isStaff ? order : hideCostDetails(order)
         });
     } catch (error) {
         next(error);
@@ -450,9 +726,12 @@ exports.cancelOrder = async (req, res, next) => {
 // @desc    Verify prescription
 // @route   PUT /api/orders/:id/verify-prescription
 // @access  Private (Pharmacist/Admin only)
+// Body: { prescriptionId, verified, notes } for a whole prescription, or per item:
+//       { items: [{ itemId, action: 'approve', prescriptionId, prescriptionLine, approvedQuantity, notes }
+//                 { itemId, action: 'reject', reason, notes }] }
 exports.verifyPrescription = async (req, res, next) => {
     try {
-        const { prescriptionId, verified, notes } = req.body;
+        const { prescriptionId, verified, notes, items } = req.body;
 
         const order = await Order.findById(req.params.id);
         if (!order) {
@@ -462,6 +741,26 @@ exports.verifyPrescription = async (req, res, next) => {
             });
         }
 
+        // Only the pharmacist holding the claim can verify
+        await order.holdVerificationClaim(req.user.id);
+
+        // Item by item review - quantities, stock and the total follow what was approved
+        if (items) {
+            await order.reviewPrescriptionItems(items, { actor: req.user.id });
+
+            const reviewedOrder = await Order.findById(order._id)
+                .populate('items.product')
+                .populate('items.prescriptionReview.reviewedBy', 'name')
+                .populate('prescriptions.verifiedBy', 'name')
+                .populate('prescriptions.prescription');
+
+            return res.status(200).json({
+                success: true,
+                message: 'Prescription items reviewed',
+                data: reviewedOrder
+            });
+        }
+
         // Find the prescription
         const prescription = order.prescriptions.id(prescriptionId);
         if (!prescription) {
@@ -486,18 +785,22 @@ exports.verifyPrescription = async (req, res, next) => {
 
         if (verified && allPrescriptionsVerified) {
             order.prescriptionStatus = 'verified';
-            // Auto-update order status if all prescriptions are verified
-            await order.updateStatus('prescription_verified', req.user.id, 'All prescriptions verified');
+            // Auto-update order status if all prescriptions are verified (only pending orders move on)
+            if (order.status === 'pending') {
+                await order.updateStatus('prescription_verified', req.user.id, 'All prescriptions verified', { role: req.user.role });
+            }
         } else if (!verified) {
             order.prescriptionStatus = 'rejected';
-            await order.updateStatus('cancelled', req.user.id, 'Prescription rejected');
+            await order.updateStatus('cancelled', req.user.id, 'Prescription rejected', { role: req.user.role });
         }
 
+        order.completeVerification(req.user.id);
         await order.save();
 
         const updatedOrder = await Order.findById(order._id)
             .populate('items.product')
-            .populate('prescriptions.verifiedBy', 'name');
+            .populate('prescriptions.verifiedBy', 'name')
+            .populate('prescriptions.prescription');
 
         res.status(200).json({
             success: true,
@@ -531,6 +834,7 @@ exports.getAllOrders = async (req, res, next) => {
             .populate('delivery.assignedTo', 'name phone')
             .populate('statusHistory.changedBy', 'name')
             .populate('prescriptions.verifiedBy', 'name')
+            .populate('prescriptions.prescription')
             .populate('dispatchDetails.dispatchedBy', 'name')
             .sort({ createdAt: -1 })
             .skip(skip)
@@ -555,13 +859,204 @@ exports.getAllOrders = async (req, res, next) => {
 // @desc    Get orders requiring prescription verification
 // @route   GET /api/orders/pending-prescriptions
 // @access  Private (Pharmacist/Admin only)
+// Query: claim=mine|unclaimed|all (default all)
+// Each order carries its SLA timer and who, if anyone, has claimed it
 exports.getPendingPrescriptions = async (req, res, next) => {
     try {
+        const { claim = 'all' } = req.query;
+        const now = new Date();
+
         const orders = await Order.findPendingPrescriptionVerification();
 
+        const queue = orders
+            .map(order => {
+                const { claimedBy, claimedAt, claimExpiresAt } = order.prescriptionQueue || {};
+                const claimActive = Boolean(claimedBy) && claimExpiresAt > now;
+
+                return {
+                    ...order.toObject(),
+                    sla: order.getVerificationSla(now),
+                    claim: claimActive
+                        ? {
+                            claimedBy,
+                            claimedAt,
+                            claimExpiresAt,
+                            isMine: claimedBy._id.toString() === req.user.id
+                        }
+                        : null
+                };
+            })
+            .filter(entry => {
+                if (claim === 'mine') return entry.claim?.isMine;
+                if (claim === 'unclaimed') return !entry.claim;
+                return true;
+            });
+
         res.status(200).json({
             success: true,
-            data: orders
+            count: queue.length,
+            overdue: queue.filter(entry => entry.sla.breached).length,
+            data: queue
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Claim an order for prescription verification
+// @route   POST /api/orders/:id/claim
+// @access  Private (Pharmacist/Admin only)
+// Claiming again before the claim runs out extends it
+exports.claimPrescriptionOrder = async (req, res, next) => {
+    try {
+        const order = await Order.claimForVerification(req.params.id, req.user.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Order claimed for verification',
+            data: {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                claimExpiresAt: order.prescriptionQueue.claimExpiresAt,
+                sla: order.getVerificationSla()
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Release a claim so the order goes back to the queue
+// @route   DELETE /api/orders/:id/claim
+// @access  Private (Pharmacist/Admin only)
+exports.releasePrescriptionOrder = async (req, res, next) => {
+    try {
+        const order = await Order.releaseVerificationClaim(req.params.id, req.user.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'You do not hold a claim on this order'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Order returned to the verification queue'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Controlled-substance register for inspections
+// @route   GET /api/orders/controlled-register?startDate=&endDate=&productId=
+// @access  Private (Admin/Pharmacist only)
+exports.getControlledRegister = async (req, res, next) => {
+    try {
+        const { startDate, endDate, productId } = req.query;
+
+        const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const end = endDate ? new Date(endDate) : new Date();
+
+        const entries = await Order.getControlledRegister(start, end, { productId });
+
+        // Quantity handed over per product and purchase type
+        const totals = Object.values(entries.reduce((sum, entry) => {
+            const key = `${entry.product}-${entry.purchaseType}`;
+            sum[key] = sum[key] || {
+                product: entry.product,
+                productName: entry.productName,
+                drugSchedule: entry.drugSchedule,
+                purchaseType: entry.purchaseType,
+                quantity: 0
+            };
+            sum[key].quantity += entry.quantity;
+            return sum;
+        }, {}));
+
+        res.status(200).json({
+            success: true,
+            period: { start, end },
+            count: entries.length,
+            data: {
+                totals,
+                entries
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Prescription verification throughput per pharmacist
+// @route   GET /api/orders/analytics/verifications?startDate=&endDate=
+// @access  Private (Admin only)
+exports.getVerificationStats = async (req, res, next) => {
+    try {
+        const { startDate, endDate } = req.query;
+
+        const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const end = endDate ? new Date(endDate) : new Date();
+
+        const [pharmacists, pending] = await Promise.all([
+            Order.getVerificationStats(start, end),
+            Order.findPendingPrescriptionVerification()
+        ]);
+
+        const now = new Date();
+        const totals = pharmacists.reduce((sum, row) => ({
+            decisions: sum.decisions + row.decisions,
+            withinSla: sum.withinSla + row.withinSla
+        }), { decisions: 0, withinSla: 0 });
+        totals.slaPercent = totals.decisions > 0 ? Math.round((totals.withinSla / totals.decisions) * 1000) / 10 : 0;
+
+        res.status(200).json({
+            success: true,
+            period: { start, end },
+            slaMinutes: PRESCRIPTION_SLA_MINUTES,
+            data: {
+                totals,
+                queue: {
+                    pending: pending.length,
+                    overdue: pending.filter(order => order.getVerificationSla(now).breached).length
+                },
+                pharmacists
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Trace orders supplied from a batch (recall handling)
+// @route   GET /api/orders/batch/:batchNumber
+// @access  Private (Pharmacist/Admin only)
+exports.getOrdersByBatch = async (req, res, next) => {
+    try {
+        const { batchNumber } = req.params;
+        const orders = await Order.findByBatchNumber(batchNumber);
+
+        const data = orders.map(order => ({
+            _id: order._id,
+            orderNumber: order.orderNumber,
+            status: order.status,
+            createdAt: order.createdAt,
+            customer: order.customer.isGuest ? order.customer.guestDetails : order.customer.user,
+            deliveryAddress: order.deliveryAddress,
+            items: order.items
+                .filter(item => item.batchAllocations.some(a => a.batchNumber === batchNumber))
+                .map(item => ({
+                    productName: item.productSnapshot.name,
+                    quantity: item.batchAllocations
+                        .filter(a => a.batchNumber === batchNumber)
+                        .reduce((total, a) => total + a.quantity, 0)
+                }))
+        }));
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
         });
     } catch (error) {
         next(error);
@@ -593,7 +1088,11 @@ exports.assignDeliveryPerson = async (req, res, next) => {
         }
 
         // Update delivery assignment
-        order.delivery.assignedTo = deliveryPersonId;
+        order.delivery.assignedTo = {
+            userId: deliveryPerson._id,
+            name: deliveryPerson.name,
+            phone: deliveryPerson.phone
+        };
         if (estimatedDeliveryTime) {
             order.delivery.estimatedDeliveryTime = new Date(estimatedDeliveryTime);
         }
@@ -649,10 +1148,11 @@ exports.getRevenueAnalytics = async (req, res, next) => {
                 };
         }
 
+        // Net of completed refunds, matching getRevenueStats
         const periodBreakdown = await Order.aggregate([
             {
                 $match: {
-                    status: 'delivered',
+                    status: { $in: ['delivered', 'partially_returned', 'returned'] },
                     'revenue.recorded': true,
                     createdAt: { $gte: start, $lte: end }
                 }
@@ -660,8 +1160,10 @@ exports.getRevenueAnalytics = async (req, res, next) => {
             {
                 $group: {
                     _id: groupBy,
-                    revenue: { $sum: '$revenue.grossRevenue' },
-                    profit: { $sum: '$revenue.profit' },
+                    revenue: { $sum: { $subtract: ['$revenue.grossRevenue', { $ifNull: ['$revenue.refundedAmount', 0] }] } },
+                    cost: { $sum: '$revenue.totalCost' },
+                    profit: { $sum: { $subtract: ['$revenue.profit', { $ifNull: ['$revenue.refundedNetRevenue', 0] }] } },
+                    refunds: { $sum: { $ifNull: ['$revenue.refundedAmount', 0] } },
                     orders: { $sum: 1 }
                 }
             },
@@ -673,9 +1175,14 @@ exports.getRevenueAnalytics = async (req, res, next) => {
             data: {
                 overall: revenueStats[0] || {
                     totalRevenue: 0,
+                    netRevenue: 0,
+                    totalCost: 0,
                     totalProfit: 0,
+                    totalRefunds: 0,
                     totalOrders: 0,
-                    averageOrderValue: 0
+                    costEstimatedOrders: 0,
+                    averageOrderValue: 0,
+                    marginPercent: 0
                 },
                 breakdown: periodBreakdown
             }
@@ -685,6 +1192,46 @@ exports.getRevenueAnalytics = async (req, res, next) => {
     }
 };
 
+// @desc    Get margin report by product or category
+// @route   GET /api/orders/analytics/margins?groupBy=product|category&startDate=&endDate=
+// @access  Private (Admin only)
+exports.getMarginReport = async (req, res, next) => {
+    try {
+        const { startDate, endDate, groupBy = 'product' } = req.query;
+
+        if (!['product', 'category'].includes(groupBy)) {
+            return res.status(400).json({
+                success: false,
+                message: 'groupBy must be either product or category'
+            });
+        }
+
+        const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const end = endDate ? new Date(endDate) : new Date();
+
+        const report = await Order.getMarginReport(start, end, groupBy);
+
+        const totals = report.reduce((sum, row) => ({
+            revenue: sum.revenue + row.revenue,
+            cost: sum.cost + row.cost,
+            profit: sum.profit + row.profit
+        }), { revenue: 0, cost: 0, profit: 0 });
+        totals.marginPercent = totals.revenue > 0 ? (totals.profit / totals.revenue) * 100 : 0;
+
+        res.status(200).json({
+            success: true,
+            groupBy,
+            period: { start, end },
+            data: {
+                totals,
+                rows: report
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Get order analytics
 // @route   GET /api/orders/analytics/orders
 // @access  Private (Admin only)
@@ -773,9 +1320,17 @@ exports.getOrderAnalytics = async (req, res, next) => {
 // @access  Public
 exports.trackOrder = async (req, res, next) => {
     try {
-        const { orderNumber } = req.params;
+        const orderNumber = req.params.orderNumber.trim().toUpperCase();
         const { phone } = req.query; // For verification
 
+        // Catch typos from the check digit before hitting the database
+        if (!isValidOrderNumber(orderNumber)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid order number - please check it and try again'
+            });
+        }
+
         const order = await Order.findOne({ orderNumber })
             .populate('items.product', 'name brand')
             .populate('delivery.assignedTo', 'name phone')
@@ -809,6 +1364,7 @@ exports.trackOrder = async (req, res, next) => {
                 name: item.productSnapshot.name,
                 brand: item.productSnapshot.brand,
                 quantity: item.quantity,
+                cancelledQuantity: item.cancelledQuantity,
                 purchaseType: item.purchaseType
             })),
             deliveryAddress: order.deliveryAddress,
@@ -817,7 +1373,18 @@ exports.trackOrder = async (req, res, next) => {
                 changedAt: h.changedAt,
                 notes: h.notes
             })),
-            dispatchDetails: order.dispatchDetails
+            dispatchDetails: order.dispatchDetails,
+            shipments: order.shipments.map(shipment => ({
+                shipmentNumber: shipment.shipmentNumber,
+                status: shipment.status,
+                items: shipment.items.map(line => ({
+                    name: order.items.id(line.orderItem)?.productSnapshot.name,
+                    quantity: line.quantity
+                })),
+                estimatedDeliveryTime: shipment.delivery.estimatedDeliveryTime,
+                actualDeliveryTime: shipment.delivery.actualDeliveryTime,
+                trackingNumber: shipment.dispatchDetails?.trackingNumber
+            }))
         };
 
         res.status(200).json({
@@ -846,10 +1413,15 @@ exports.updateOrder = async (req, res, next) => {
         const { status, payment, delivery, notes, customerSignature } = req.body;
         const originalStatus = order.status; // Store original status for email comparison
 
+        // Controlled medicines: the original prescription was seen at the door
+        if (status === 'delivered' && [true, 'true'].includes(req.body.prescriptionSighted)) {
+            order.recordPrescriptionSighting(req.user.id, req.body.sightingNotes);
+        }
+
         // Update status if provided and different from current
         if (status && status !== order.status) {
             console.log(`Updating status from ${order.status} to ${status}`);
-            await order.updateStatus(status, req.user.id, notes || `Order status updated to ${status}`);
+            await order.updateStatus(status, req.user.id, notes || `Order status updated to ${status}`, { role: req.user.role });
         } else if (status === order.status) {
             console.log(`Status ${status} is the same as current status, skipping update`);
         }
@@ -872,11 +1444,16 @@ exports.updateOrder = async (req, res, next) => {
 
         // Handle customer signature upload
         if (customerSignature && req.file) {
-            order.customerSignature = req.file.path;
+            order.customerSignature = privateFileUrl('signatures', req.file.filename);
         }
 
         await order.save();
 
+        // Marked as paid - issue the tax invoice
+        if (order.payment.status === 'paid') {
+            await order.assignInvoiceNumber();
+        }
+
         // Return populated order
         const updatedOrder = await Order.findById(order._id)
             .populate('items.product', 'name brand')
@@ -884,6 +1461,7 @@ exports.updateOrder = async (req, res, next) => {
             .populate('delivery.assignedTo', 'name phone')
             .populate('statusHistory.changedBy', 'name')
             .populate('prescriptions.verifiedBy', 'name')
+            .populate('prescriptions.prescription')
             .populate('dispatchDetails.dispatchedBy', 'name');
 
         // Send status update email if status was changed
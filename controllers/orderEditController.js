@@ -0,0 +1,429 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const emailService = require('../utils/emailService');
+const { withTransaction } = require('../utils/transaction');
+const { calculatePricing } = require('../utils/pricing');
+
+// Orders can be edited until they are packed
+const EDITABLE_ORDER_STATUSES = ['pending', 'prescription_verified', 'confirmed'];
+
+const EDIT_ACTIONS = ['add', 'remove', 'substitute', 'quantity'];
+
+const editError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Logged in customers answer for their own orders; guests confirm the phone or email on the order
+const canRespondForOrder = (order, req) => {
+    if (order.customer.user) {
+        return Boolean(req.user) && order.customer.user.toString() === req.user.id;
+    }
+
+    const { phone, email } = req.body;
+    const guest = order.customer.guestDetails || {};
+    return Boolean(
+        (phone && guest.phone === phone) ||
+        (email && guest.email && guest.email.toLowerCase() === String(email).toLowerCase())
+    );
+};
+
+// Load and check the product a change adds to the order, priced as it sells today
+const resolveProduct = async (order, { productId, quantity, purchaseType }) => {
+    const product = await Product.findById(productId);
+    if (!product || product.status !== 'active') {
+        throw editError(`Product ${product?.name || productId} is not available`);
+    }
+
+    // Prescription items are reviewed before the order is confirmed - see editOrderItems
+    if (product.medicineType === 'Prescription' && order.status === 'confirmed') {
+        throw editError(`${product.name} needs a prescription - it can only be added before the order is confirmed`);
+    }
+
+    const qty = Number(quantity);
+    if (!Number.isInteger(qty) || qty < 1) {
+        throw editError(`Quantity for ${product.name} must be a whole number of at least 1`);
+    }
+    if (!['unit', 'package'].includes(purchaseType)) {
+        throw editError('Purchase type must be unit or package');
+    }
+
+    // Controlled medicines follow the same limits as at checkout, counting what the order already holds
+    const orderedUnits = order.items
+        .filter(item => item.product.toString() === product._id.toString())
+        .reduce((total, item) => total + product.getDispensedUnits(item.quantity - (item.cancelledQuantity || 0), item.purchaseType), 0);
+    try {
+        product.assertControlledPurchase({
+            units: orderedUnits + product.getDispensedUnits(qty, purchaseType),
+            isGuest: !order.customer.user,
+            alreadyDispensed: product.isControlled
+                ? await Order.getUnitsDispensedAgainst(product, order.prescriptions, { excludeOrderId: order._id })
+                : 0
+        });
+    } catch (error) {
+        throw editError(error.message);
+    }
+
+    let pricing;
+    try {
+        pricing = calculatePricing(product, purchaseType, qty);
+    } catch (error) {
+        throw editError(error.message);
+    }
+
+    return Order.buildItem(product, { quantity: qty, purchaseType, pricePerItem: pricing.pricePerItem });
+};
+
+// @desc    Add, remove or substitute items on an order that is not packed yet
+// @route   PUT /api/orders/:id/items
+// @access  Private (Admin/Pharmacist)
+// Body: { reason, changes: [
+//   { action: 'add', productId, quantity, purchaseType },
+//   { action: 'remove', itemId },
+//   { action: 'quantity', itemId, quantity },
+//   { action: 'substitute', itemId, productId, quantity, purchaseType }
+// ] }
+// Stock is reserved or released to match, the pricing is recomputed and the customer is
+// emailed the revised order to accept
+exports.editOrderItems = async (req, res, next) => {
+    try {
+        const { changes, reason } = req.body;
+
+        if (!Array.isArray(changes) || changes.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide at least one change'
+            });
+        }
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reason for the change is required'
+            });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!EDITABLE_ORDER_STATUSES.includes(order.status) || order.shipments.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Only orders that are not packed yet can be edited - this order is ${order.status.replace(/_/g, ' ')}`
+            });
+        }
+
+        if (order.payment.status === 'paid') {
+            return res.status(400).json({
+                success: false,
+                message: 'This order has been paid for - cancel unavailable items and refund them instead'
+            });
+        }
+
+        // Check every change before any stock moves
+        const steps = [];
+        const touched = new Set();
+        for (const change of changes) {
+            if (!EDIT_ACTIONS.includes(change.action)) {
+                throw editError(`Action must be one of ${EDIT_ACTIONS.join(', ')}`);
+            }
+
+            let item = null;
+            if (change.action !== 'add') {
+                item = order.items.id(change.itemId);
+                if (!item) {
+                    throw editError(`Item ${change.itemId} is not part of this order`);
+                }
+                if (touched.has(item._id.toString())) {
+                    throw editError(`${item.productSnapshot?.name || 'An item'} can only be changed once per edit`);
+                }
+                touched.add(item._id.toString());
+            }
+
+            const activeQuantity = item ? item.quantity - (item.cancelledQuantity || 0) : 0;
+
+            switch (change.action) {
+                case 'add':
+                    steps.push({ action: 'add', newItem: await resolveProduct(order, change) });
+                    break;
+
+                case 'remove':
+                    steps.push({ action: 'remove', item, from: activeQuantity });
+                    break;
+
+                case 'quantity': {
+                    const qty = Number(change.quantity);
+                    if (!Number.isInteger(qty) || qty < 1) {
+                        throw editError('Quantity must be a whole number of at least 1 - use remove to take an item off');
+                    }
+                    steps.push({ action: 'quantity', item, from: activeQuantity, to: qty });
+                    break;
+                }
+
+                case 'substitute':
+                    steps.push({
+                        action: 'substitute',
+                        item,
+                        from: activeQuantity,
+                        newItem: await resolveProduct(order, {
+                            productId: change.productId,
+                            quantity: change.quantity ?? activeQuantity,
+                            purchaseType: change.purchaseType || item.purchaseType
+                        })
+                    });
+                    break;
+            }
+        }
+
+        const removed = new Set(steps.filter(step => ['remove', 'substitute'].includes(step.action)).map(step => step.item._id.toString()));
+        const added = steps.filter(step => step.newItem).length;
+        if (order.items.length - removed.size + added === 0) {
+            throw editError('An order needs at least one item - cancel the order instead');
+        }
+
+        const previousTotal = order.pricing.total;
+        const context = { actor: req.user.id, reference: { kind: 'Order', id: order._id }, notes: reason };
+        const revisionChanges = [];
+
+        await withTransaction(async (session) => {
+            const increases = [];
+            const decreases = [];
+
+            for (const step of steps) {
+                const product = await Product.findById(step.newItem?.product || step.item.product).session(session);
+
+                if (step.newItem) {
+                    order.items.push(step.newItem);
+                    step.newItemDoc = order.items[order.items.length - 1];
+                    increases.push({ item: step.newItemDoc, product, from: 0, to: step.newItem.quantity });
+                }
+                if (step.action === 'quantity' && step.to > step.from) {
+                    increases.push({ item: step.item, product, from: step.from, to: step.to });
+                }
+                if (step.action === 'quantity' && step.to < step.from) {
+                    decreases.push({ item: step.item, product, from: step.from, to: step.to });
+                }
+                if (['remove', 'substitute'].includes(step.action)) {
+                    const oldProduct = step.action === 'substitute'
+                        ? await Product.findById(step.item.product).session(session)
+                        : product;
+                    decreases.push({ item: step.item, product: oldProduct, from: step.from, to: 0 });
+                }
+            }
+
+            // Change and reprice the order before any stock moves - a failure here leaves the stock untouched
+            for (const step of steps) {
+                const previous = step.item && {
+                    previousProduct: step.item.product,
+                    previousProductName: step.item.productSnapshot?.name,
+                    previousQuantity: step.from
+                };
+
+                switch (step.action) {
+                    case 'add':
+                        revisionChanges.push({
+                            action: 'add',
+                            orderItem: step.newItemDoc._id,
+                            product: step.newItem.product,
+                            productName: step.newItem.productSnapshot.name,
+                            quantity: step.newItem.quantity
+                        });
+                        break;
+
+                    case 'remove':
+                        revisionChanges.push({ action: 'remove', orderItem: step.item._id, ...previous });
+                        order.items.pull(step.item._id);
+                        break;
+
+                    case 'quantity':
+                        // Cancelled quantity stays on the line; the change applies to what is still to be supplied
+                        step.item.quantity = step.to + (step.item.cancelledQuantity || 0);
+                        step.item.totalPrice = step.item.pricePerItem * step.item.quantity;
+                        if (step.item.costPricePerItem !== null && step.item.costPricePerItem !== undefined) {
+                            step.item.totalCost = step.item.costPricePerItem * step.item.quantity;
+                        }
+                        revisionChanges.push({
+                            action: 'quantity',
+                            orderItem: step.item._id,
+                            product: step.item.product,
+                            productName: step.item.productSnapshot?.name,
+                            quantity: step.to,
+                            ...previous
+                        });
+                        break;
+
+                    case 'substitute':
+                        revisionChanges.push({
+                            action: 'substitute',
+                            orderItem: step.newItemDoc._id,
+                            product: step.newItem.product,
+                            productName: step.newItem.productSnapshot.name,
+                            quantity: step.newItem.quantity,
+                            ...previous
+                        });
+                        order.items.pull(step.item._id);
+                        break;
+                }
+            }
+
+            await order.recalculatePricing();
+
+            // A newly added prescription medicine goes back to the pharmacist before the order moves on
+            if (steps.some(step => step.newItem?.prescriptionRequired)) {
+                order.prescriptionStatus = 'pending_verification';
+                order.prescriptionQueue = { escalatedAt: order.prescriptionQueue?.escalatedAt };
+            }
+
+            // A new edit replaces one the customer has not answered yet
+            for (const revision of order.revisions) {
+                if (revision.status === 'pending_acceptance') {
+                    revision.status = 'superseded';
+                }
+            }
+
+            order.revisions.push({
+                revisionNumber: order.revisions.length + 1,
+                changes: revisionChanges,
+                reason,
+                previousTotal,
+                newTotal: order.pricing.total,
+                editedBy: req.user.id
+            });
+
+            await order.validate();
+
+            // Take new stock first - if something is not available nothing has been released yet
+            const applied = [];
+            try {
+                for (const entry of increases) {
+                    await order.adjustItemStock(entry.item, entry.product, entry.from, entry.to, {
+                        ...context,
+                        reason: 'order_edit_reserve',
+                        session
+                    });
+                    applied.push(entry);
+                }
+
+                for (const entry of decreases) {
+                    // A product removed from the catalogue has no stock to give back
+                    if (entry.product) {
+                        await order.adjustItemStock(entry.item, entry.product, entry.from, entry.to, {
+                            ...context,
+                            reason: 'order_edit_release',
+                            session
+                        });
+                        applied.push(entry);
+                    }
+                }
+
+                await order.save({ session });
+            } catch (error) {
+                // Without a transaction, put back the stock moved before the failure
+                if (!session) {
+                    for (const entry of applied.reverse()) {
+                        try {
+                            await order.adjustItemStock(entry.item, entry.product, entry.to, entry.from, {
+                                ...context,
+                                reason: entry.to > entry.from ? 'order_edit_release' : 'order_edit_reserve'
+                            });
+                        } catch (rollbackError) {
+                            console.error(`Could not undo the stock change for ${entry.item.productSnapshot?.name} on order ${order.orderNumber}:`, rollbackError.message);
+                        }
+                    }
+                }
+                throw error;
+            }
+        });
+
+        const revision = order.revisions[order.revisions.length - 1];
+
+        // Ask the customer to accept the revised order
+        try {
+            await order.populate('customer.user', 'name email phone');
+            const customerEmail = order.customer.user?.email || order.customer.guestDetails?.email;
+            if (customerEmail) {
+                await emailService.sendOrderRevision(customerEmail, order, revision);
+            }
+        } catch (emailError) {
+            console.error('Error sending order revision email:', emailError);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Order updated - the customer has been asked to accept the changes',
+            data: {
+                order,
+                revision
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Accept or reject a revised order
+// @route   POST /api/orders/:id/revisions/:revisionId/respond
+// @access  Public (customer, or guest with the order's phone or email)
+// Body: { action: 'accept' | 'reject', note, phone, email }
+exports.respondToRevision = async (req, res, next) => {
+    try {
+        const { action, note } = req.body;
+
+        if (!['accept', 'reject'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Action must be accept or reject'
+            });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!canRespondForOrder(order, req)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to respond for this order'
+            });
+        }
+
+        // Conditional update so a revision is only answered once
+        const updated = await Order.findOneAndUpdate(
+            {
+                _id: order._id,
+                revisions: { $elemMatch: { _id: req.params.revisionId, status: 'pending_acceptance' } }
+            },
+            {
+                $set: {
+                    'revisions.$.status': action === 'accept' ? 'accepted' : 'rejected',
+                    'revisions.$.respondedAt': new Date(),
+                    'revisions.$.customerNote': note
+                }
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            return res.status(400).json({
+                success: false,
+                message: 'Revision not found or already answered'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: action === 'accept'
+                ? 'Thank you - your revised order will be prepared'
+                : 'Revision rejected - our pharmacist will contact you',
+            data: updated.revisions.id(req.params.revisionId)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,357 @@
+const fs = require('fs');
+const Order = require('../models/Order');
+const esewa = require('../utils/esewa');
+const khalti = require('../utils/khalti');
+const { privateFileUrl } = require('../utils/privateFiles');
+
+const AMOUNT_TOLERANCE = 0.01;
+
+// eSewa status API results that mean no money was taken
+const ESEWA_FAILED_STATUSES = ['NOT_FOUND', 'CANCELED'];
+
+// Where the gateway sends the customer back to (this API) and where we then send them (the storefront)
+const getApiUrl = (req) => (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+const redirectToResult = (res, outcome, params = {}) => {
+    const query = new URLSearchParams(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+    );
+    res.redirect(`${getFrontendUrl()}/payment/${outcome}?${query}`);
+};
+
+// Logged in customers pay for their own orders; guests confirm the phone or email on the order
+const canPayForOrder = (order, req) => {
+    if (order.customer.user) {
+        return Boolean(req.user) && order.customer.user.toString() === req.user.id;
+    }
+
+    const { phone, email } = req.body;
+    const guest = order.customer.guestDetails || {};
+    return Boolean(
+        (phone && guest.phone === phone) ||
+        (email && guest.email && guest.email.toLowerCase() === String(email).toLowerCase())
+    );
+};
+
+// Shared checks before handing an order to a gateway
+const findPayableOrder = async (req, method) => {
+    const order = await Order.findById(req.body.orderId);
+
+    if (!order) {
+        throw Object.assign(new Error('Order not found'), { status: 404 });
+    }
+    if (!canPayForOrder(order, req)) {
+        throw Object.assign(new Error('Not authorized to pay for this order'), { status: 403 });
+    }
+    if (order.payment.method !== method) {
+        throw Object.assign(new Error(`This order is not set up for ${method} payment`), { status: 400 });
+    }
+    if (order.payment.status === 'paid') {
+        throw Object.assign(new Error('This order has already been paid'), { status: 400 });
+    }
+    // A payment was already taken for this order - a new attempt would overwrite its reference
+    if (order.payment.needsReview) {
+        throw Object.assign(new Error('A payment for this order is being reviewed by our team'), { status: 409 });
+    }
+    if (['cancelled', 'delivered'].includes(order.status)) {
+        throw Object.assign(new Error(`Cannot pay for an order that is ${order.status}`), { status: 400 });
+    }
+
+    return order;
+};
+
+// @desc    Start an eSewa payment - returns the signed form to POST to eSewa
+// @route   POST /api/payments/esewa/initiate
+// @access  Public (order owner, or guest with the order's phone/email)
+exports.initiateEsewaPayment = async (req, res, next) => {
+    try {
+        if (!req.body.orderId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Order ID is required'
+            });
+        }
+
+        const order = await findPayableOrder(req, 'esewa');
+
+        // A fresh reference per attempt - eSewa rejects a reused transaction_uuid
+        const transactionUuid = `${order.orderNumber}-${Date.now()}`;
+        order.payment.gatewayReference = transactionUuid;
+        order.payment.status = 'pending';
+        await order.save();
+
+        const apiUrl = getApiUrl(req);
+        const form = esewa.buildPaymentForm({
+            amount: order.pricing.total,
+            transactionUuid,
+            successUrl: `${apiUrl}/api/payments/esewa/success`,
+            failureUrl: `${apiUrl}/api/payments/esewa/failure?transaction_uuid=${encodeURIComponent(transactionUuid)}`
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                orderNumber: order.orderNumber,
+                ...form
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    eSewa success redirect - verify the signed response and mark the order paid
+// @route   GET /api/payments/esewa/success?data=<base64>
+// @access  Public (called by eSewa)
+exports.esewaSuccess = async (req, res) => {
+    let order = null;
+
+    try {
+        const data = esewa.verifyCallback(req.query.data);
+
+        order = await Order.findOne({ 'payment.gatewayReference': data.transaction_uuid });
+        if (!order) {
+            throw new Error('No order found for this eSewa transaction');
+        }
+
+        if (data.status !== 'COMPLETE') {
+            throw new Error(`eSewa reported the payment as ${data.status}`);
+        }
+
+        if (Math.abs(data.total_amount - order.pricing.total) > AMOUNT_TOLERANCE) {
+            throw new Error(`Paid amount ${data.total_amount} does not match order total ${order.pricing.total}`);
+        }
+
+        // Confirm with eSewa directly rather than trusting the redirect alone
+        const status = await esewa.checkTransactionStatus({
+            transactionUuid: data.transaction_uuid,
+            totalAmount: order.pricing.total
+        });
+        if (status.status !== 'COMPLETE') {
+            throw new Error(`eSewa status check returned ${status.status}`);
+        }
+
+        await order.markPaid({ transactionId: data.transaction_code || status.ref_id });
+
+        redirectToResult(res, 'success', { order: order.orderNumber, method: 'esewa' });
+    } catch (error) {
+        console.error('eSewa payment verification failed:', error.message);
+
+        // Leave already-paid orders alone - this may be a replayed or tampered redirect
+        if (order && order.payment.status !== 'paid') {
+            await order.markPaymentFailed(error.message).catch(err =>
+                console.error('Error recording failed eSewa payment:', err)
+            );
+        }
+
+        redirectToResult(res, 'failure', {
+            order: order?.orderNumber,
+            method: 'esewa',
+            reason: 'verification_failed'
+        });
+    }
+};
+
+// @desc    eSewa failure redirect - customer cancelled or the payment failed
+// @route   GET /api/payments/esewa/failure?transaction_uuid=
+// @access  Public (called by eSewa)
+// Anyone can open this URL, so the outcome is taken from eSewa's status API rather than the redirect
+exports.esewaFailure = async (req, res) => {
+    let order = null;
+    let outcome = 'failure';
+
+    try {
+        const { transaction_uuid: transactionUuid } = req.query;
+        if (transactionUuid) {
+            order = await Order.findOne({ 'payment.gatewayReference': transactionUuid });
+        }
+
+        if (order && order.payment.status !== 'paid') {
+            const status = await esewa.checkTransactionStatus({
+                transactionUuid,
+                totalAmount: order.pricing.total
+            });
+
+            if (status.status === 'COMPLETE') {
+                // Paid after all - the customer came back through the wrong door
+                await order.markPaid({ transactionId: status.ref_id });
+                outcome = 'success';
+            } else if (ESEWA_FAILED_STATUSES.includes(status.status)) {
+                await order.markPaymentFailed(`Payment ${status.status.toLowerCase().replace(/_/g, ' ')} at eSewa`);
+            }
+            // PENDING or AMBIGUOUS - leave the payment pending for the customer to retry or eSewa to settle
+        }
+    } catch (error) {
+        console.error('Error checking failed eSewa payment:', error);
+    }
+
+    if (outcome === 'success') {
+        return redirectToResult(res, 'success', { order: order.orderNumber, method: 'esewa' });
+    }
+
+    redirectToResult(res, 'failure', {
+        order: order?.orderNumber,
+        method: 'esewa',
+        reason: 'cancelled'
+    });
+};
+
+// @desc    Start a Khalti payment - returns the Khalti payment URL to redirect to
+// @route   POST /api/payments/khalti/initiate
+// @access  Public (order owner, or guest with the order's phone/email)
+exports.initiateKhaltiPayment = async (req, res, next) => {
+    try {
+        if (!req.body.orderId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Order ID is required'
+            });
+        }
+
+        const order = await findPayableOrder(req, 'khalti');
+
+        const paymentDeadline = new Date(order.createdAt.getTime() + khalti.PAYMENT_TIMEOUT_MINUTES * 60 * 1000);
+        if (paymentDeadline <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'The payment window for this order has expired'
+            });
+        }
+
+        await order.populate('customer.user', 'name email phone');
+        const customer = order.customer.user || order.customer.guestDetails || {};
+
+        const payment = await khalti.initiatePayment({
+            amount: order.pricing.total,
+            purchaseOrderId: order.orderNumber,
+            purchaseOrderName: `Order ${order.orderNumber}`,
+            returnUrl: `${getApiUrl(req)}/api/payments/khalti/callback`,
+            websiteUrl: getFrontendUrl(),
+            customerInfo: {
+                name: order.deliveryAddress?.name || customer.name,
+                email: customer.email,
+                phone: order.deliveryAddress?.phone || customer.phone
+            }
+        });
+
+        order.payment.gatewayReference = payment.pidx;
+        order.payment.status = 'pending';
+        await order.save();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                orderNumber: order.orderNumber,
+                pidx: payment.pidx,
+                paymentUrl: payment.payment_url,
+                expiresAt: payment.expires_at
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Khalti return URL - confirm the payment with a lookup before marking the order paid
+// @route   GET /api/payments/khalti/callback?pidx=&status=...
+// @access  Public (called by Khalti)
+exports.khaltiCallback = async (req, res) => {
+    let order = null;
+
+    try {
+        const { pidx } = req.query;
+        if (pidx) {
+            order = await Order.findOne({ 'payment.gatewayReference': pidx });
+        }
+        if (!order) {
+            throw new Error('No order found for this Khalti payment');
+        }
+
+        // The query string is not trusted - only the lookup decides the outcome
+        const lookup = await khalti.confirmOrderPayment(order);
+
+        if (lookup.status === 'Completed') {
+            return redirectToResult(res, 'success', { order: order.orderNumber, method: 'khalti' });
+        }
+
+        if (khalti.isClosedStatus(lookup.status)) {
+            await order.markPaymentFailed(`Khalti payment ${lookup.status.toLowerCase()}`);
+            return redirectToResult(res, 'failure', {
+                order: order.orderNumber,
+                method: 'khalti',
+                reason: 'cancelled'
+            });
+        }
+
+        redirectToResult(res, 'pending', { order: order.orderNumber, method: 'khalti' });
+    } catch (error) {
+        console.error('Khalti payment verification failed:', error.message);
+
+        redirectToResult(res, 'failure', {
+            order: order?.orderNumber,
+            method: 'khalti',
+            reason: 'verification_failed'
+        });
+    }
+};
+
+// @desc    Upload a bank transfer deposit slip for review
+// @route   POST /api/payments/bank-transfer/proof
+// @access  Public (order owner, or guest with the order's phone/email)
+exports.uploadTransferProof = async (req, res, next) => {
+    // Don't keep slips that are not attached to an order
+    const discardUpload = () => req.file && fs.promises.unlink(req.file.path).catch(() => {});
+
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please upload the deposit slip'
+            });
+        }
+
+        if (!req.body.orderId) {
+            await discardUpload();
+            return res.status(400).json({
+                success: false,
+                message: 'Order ID is required'
+            });
+        }
+
+        const order = await findPayableOrder(req, 'bank_transfer');
+
+        if (order.bankTransfer.proofs.some(proof => proof.status === 'pending_review')) {
+            await discardUpload();
+            return res.status(400).json({
+                success: false,
+                message: 'A deposit slip for this order is already awaiting review'
+            });
+        }
+
+        const { reference, amount, transferredAt } = req.body;
+        order.bankTransfer.proofs.push({
+            fileUrl: privateFileUrl('payment-proofs', req.file.filename),
+            fileName: req.file.originalname,
+            reference,
+            amount: amount !== undefined && amount !== '' ? parseFloat(amount) : undefined,
+            transferredAt: transferredAt ? new Date(transferredAt) : undefined
+        });
+        order.payment.status = 'pending';
+        await order.save();
+
+        const proof = order.bankTransfer.proofs[order.bankTransfer.proofs.length - 1];
+
+        res.status(201).json({
+            success: true,
+            message: 'Deposit slip uploaded. We will confirm your payment shortly.',
+            data: {
+                orderNumber: order.orderNumber,
+                proof
+            }
+        });
+    } catch (error) {
+        await discardUpload();
+        next(error);
+    }
+};
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Prescription = require('../models/Prescription');
+const { privateFileUrl } = require('../utils/privateFiles');
+
+// The file is only kept when the prescription is saved
+const discardFile = (req) => req.file
+    ? fs.promises.unlink(req.file.path).catch(() => {})
+    : Promise.resolve();
+
+// coveredProducts may arrive as a JSON string or a single id
+const parseProductIds = (value) => {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+        return [value];
+    }
+};
+
+// @desc    List the user's saved prescriptions
+// @route   GET /api/user/prescriptions?status=active|archived|all
+// @access  Private
+exports.getMyPrescriptions = async (req, res, next) => {
+    try {
+        const { status = 'active' } = req.query;
+
+        const filter = { user: req.user.id };
+        if (status !== 'all') filter.status = status;
+
+        const prescriptions = await Prescription.find(filter)
+            .populate('coveredProducts', 'name brand')
+            .populate('fills.order', 'orderNumber status createdAt')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: prescriptions.length,
+            data: prescriptions
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Save a prescription to the vault
+// @route   POST /api/user/prescriptions (multipart, file in field "prescription")
+// @access  Private
+// Body: { doctorName, doctorNmcNumber, hospitalName, issuedAt, validUntil, notes }
+// Refills and covered products are recorded by a pharmacist (see verifyVaultPrescription)
+exports.uploadPrescription = async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No prescription file uploaded'
+            });
+        }
+
+        const { doctorName, doctorNmcNumber, hospitalName, issuedAt, validUntil, notes } = req.body;
+
+        const issueDate = issuedAt ? new Date(issuedAt) : null;
+        if (!issueDate || isNaN(issueDate) || issueDate > new Date()) {
+            await discardFile(req);
+            return res.status(400).json({
+                success: false,
+                message: 'A valid issue date that is not in the future is required'
+            });
+        }
+
+        const prescription = await Prescription.create({
+            user: req.user.id,
+            fileUrl: privateFileUrl('prescriptions', req.file.filename),
+            fileName: req.file.originalname,
+            doctorName,
+            doctorNmcNumber,
+            hospitalName,
+            issuedAt: issueDate,
+            validUntil: validUntil ? new Date(validUntil) : undefined,
+            notes
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Prescription saved',
+            data: prescription
+        });
+    } catch (error) {
+        await discardFile(req);
+
+        // Handle validation errors
+        if (error.name === 'ValidationError') {
+            const message = Object.values(error.errors).map(val => val.message).join(', ');
+            return res.status(400).json({
+                success: false,
+                message
+            });
+        }
+        next(error);
+    }
+};
+
+// @desc    Archive a prescription so it is no longer offered at checkout
+// @route   PUT /api/user/prescriptions/:id/archive
+// @access  Private
+exports.archivePrescription = async (req, res, next) => {
+    try {
+        const prescription = await Prescription.findOneAndUpdate(
+            { _id: req.params.id, user: req.user.id, status: 'active' },
+            { $set: { status: 'archived', archivedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!prescription) {
+            return res.status(404).json({
+                success: false,
+                message: 'Prescription not found or already archived'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Prescription archived',
+            data: prescription
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Record the checked details of a saved prescription - refills, validity and the products it covers
+// @route   PUT /api/prescriptions/:id/verify
+// @access  Private (Admin/Pharmacist)
+// Body: { allowedRefills, validUntil, coveredProducts, notes }
+exports.verifyVaultPrescription = async (req, res, next) => {
+    try {
+        const prescription = await Prescription.findById(req.params.id);
+        if (!prescription) {
+            return res.status(404).json({
+                success: false,
+                message: 'Prescription not found'
+            });
+        }
+
+        const { allowedRefills, validUntil, notes } = req.body;
+
+        if (allowedRefills !== undefined) {
+            const refills = Number(allowedRefills);
+            if (!Number.isInteger(refills) || refills < 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Allowed refills must be a whole number of at least 1'
+                });
+            }
+            prescription.allowedRefills = refills;
+        }
+
+        // Capped at the longest validity when saved
+        if (validUntil !== undefined) {
+            const validDate = new Date(validUntil);
+            if (isNaN(validDate)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Valid until must be a date'
+                });
+            }
+            prescription.validUntil = validDate;
+        }
+
+        if (req.body.coveredProducts !== undefined) {
+            const coveredProducts = parseProductIds(req.body.coveredProducts);
+            if (coveredProducts.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Covered products must be product IDs'
+                });
+            }
+            prescription.coveredProducts = coveredProducts;
+        }
+
+        prescription.verification = {
+            verifiedBy: req.user.id,
+            verifiedAt: new Date(),
+            notes
+        };
+        await prescription.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Prescription details verified',
+            data: prescription
+        });
+    } catch (error) {
+        // Handle validation errors
+        if (error.name === 'ValidationError') {
+            const message = Object.values(error.errors).map(val => val.message).join(', ');
+            return res.status(400).json({
+                success: false,
+                message
+            });
+        }
+        next(error);
+    }
+};
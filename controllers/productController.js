@@ -1,5 +1,17 @@
 const Product = require('../models/Product');
 
+// Helper function to hide purchase costs from non-admin users
+const toProductResponse = (product, user) => {
+    const productObj = product.toObject({ virtuals: true });
+    if (user?.role !== 'admin') {
+        delete productObj.costPrice;
+        productObj.batches.forEach(batch => {
+            delete batch.costPrice;
+        });
+    }
+    return productObj;
+};
+
 // @desc    Get all products
 // @route   GET /api/products
 // @access  Public
@@ -42,7 +54,7 @@ exports.getProducts = async (req, res, next) => {
 
         // Filter by stock availability
         if (inStock === 'true') {
-            query.$expr = { $gt: [{ $subtract: ['$stock', '$reservedStock'] }, 0] };
+            query.$expr = { $gt: [Product.availableStockExpr(), 0] };
         }
 
         // Price range filter
@@ -68,10 +80,7 @@ exports.getProducts = async (req, res, next) => {
         const total = await Product.countDocuments(query);
 
         // Add computed fields to response
-        const transformedProducts = products.map(product => {
-            const productObj = product.toObject({ virtuals: true });
-            return productObj;
-        });
+        const transformedProducts = products.map(product => toProductResponse(product, req.user));
 
         res.status(200).json({
             success: true,
@@ -120,11 +129,9 @@ exports.getProduct = async (req, res, next) => {
             });
         }
 
-        const productObj = product.toObject({ virtuals: true });
-
         res.status(200).json({
             success: true,
-            data: productObj
+            data: toProductResponse(product, req.user)
         });
     } catch (error) {
         next(error);
@@ -149,10 +156,17 @@ exports.createProduct = async (req, res, next) => {
 
         const product = await Product.create(productData);
 
+        // Start the stock ledger for this product
+        await product.recordMovement({ stock: 0, reservedStock: 0 }, {
+            reason: 'opening_balance',
+            actor: req.user.id,
+            notes: 'Product created'
+        });
+
         res.status(201).json({
             success: true,
             message: 'Product created successfully',
-            data: product
+            data: toProductResponse(product, req.user)
         });
     } catch (error) {
         next(error);
@@ -166,20 +180,12 @@ exports.updateProduct = async (req, res, next) => {
     try {
         let updateFields = { ...req.body };
 
-        // Handle new image uploads
-        if (req.files && req.files.length > 0) {
-            const currentProduct = await Product.findById(req.params.id);
-            if (currentProduct) {
-                const newPaths = req.files.map(file => `/uploads/productImages/${file.filename}`);
-                updateFields.images = [...(currentProduct.images || []), ...newPaths];
-            }
-        }
+        // Stock only changes through the ledgered stock, batch and purchase order endpoints
+        delete updateFields.stock;
+        delete updateFields.reservedStock;
+        delete updateFields.batches;
 
-        const product = await Product.findByIdAndUpdate(
-            req.params.id,
-            updateFields,
-            { new: true, runValidators: true }
-        );
+        const product = await Product.findById(req.params.id);
 
         if (!product) {
             return res.status(404).json({
@@ -188,35 +194,49 @@ exports.updateProduct = async (req, res, next) => {
             });
         }
 
+        // Handle new image uploads
+        if (req.files && req.files.length > 0) {
+            const newPaths = req.files.map(file => `/uploads/productImages/${file.filename}`);
+            updateFields.images = [...(product.images || []), ...newPaths];
+        }
+
+        // Saved as a whole document so rules spanning fields (controlled drug schedules) see the result
+        product.set(updateFields);
+        await product.save();
+
         res.status(200).json({
             success: true,
             message: 'Product updated successfully',
-            data: product
+            data: toProductResponse(product, req.user)
         });
     } catch (error) {
         next(error);
     }
 };
 
-// @desc    Update product stock
+// @desc    Correct product stock (restocking goes through purchase orders)
 // @route   PATCH /api/products/:id/stock
 // @access  Private/Admin
+// Body: { stock, reason } - reason is required and is kept on the stock ledger entry as the adjustment note
 exports.updateStock = async (req, res, next) => {
     try {
-        const { stock } = req.body;
+        const { stock, reason } = req.body;
 
-        if (stock < 0) {
+        if (stock === undefined || stock < 0) {
             return res.status(400).json({
                 success: false,
                 message: 'Stock cannot be negative'
             });
         }
 
-        const product = await Product.findByIdAndUpdate(
-            req.params.id,
-            { stock: stock },
-            { new: true, runValidators: true }
-        );
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required for manual stock adjustments'
+            });
+        }
+
+        const product = await Product.findById(req.params.id);
 
         if (!product) {
             return res.status(404).json({
@@ -225,10 +245,111 @@ exports.updateStock = async (req, res, next) => {
             });
         }
 
+        // Stock held in batches can only change through batch receipts and sales
+        if (stock < product.batchedStock) {
+            return res.status(400).json({
+                success: false,
+                message: `Stock cannot be lower than the ${product.batchedStock} ${product.stockUnit} tracked in batches`
+            });
+        }
+
+        await product.adjustStock(stock, {
+            actor: req.user.id,
+            notes: reason.trim()
+        });
+
         res.status(200).json({
             success: true,
             message: 'Stock updated successfully',
-            data: product
+            data: toProductResponse(product, req.user)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get product batches
+// @route   GET /api/products/:id/batches
+// @access  Private/Admin
+exports.getBatches = async (req, res, next) => {
+    try {
+        const product = await Product.findById(req.params.id).select('name stock stockUnit batches');
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        // Batch purchase costs are only shown to admins
+        const batches = [...product.batches]
+            .sort((a, b) => a.expiryDate - b.expiryDate)
+            .map(batch => {
+                const batchObj = batch.toObject();
+                if (req.user.role !== 'admin') delete batchObj.costPrice;
+                return batchObj;
+            });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                productId: product._id,
+                name: product.name,
+                stock: product.stock,
+                batchedStock: product.batchedStock,
+                untrackedStock: product.untrackedStock,
+                stockUnit: product.stockUnit,
+                batches
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Receive a batch into stock
+// @route   POST /api/products/:id/batches
+// @access  Private/Admin
+exports.addBatch = async (req, res, next) => {
+    try {
+        const { batchNumber, manufactureDate, expiryDate, quantity, supplier } = req.body;
+
+        if (!batchNumber || !expiryDate || !quantity || Number(quantity) <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Batch number, expiry date and a positive quantity are required'
+            });
+        }
+
+        if (manufactureDate && new Date(manufactureDate) >= new Date(expiryDate)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Manufacture date must be before the expiry date'
+            });
+        }
+
+        const product = await Product.findById(req.params.id);
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        await product.addBatch({
+            batchNumber: batchNumber.trim(),
+            manufactureDate,
+            expiryDate,
+            quantity: Number(quantity),
+            supplier
+        }, { actor: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Batch added successfully',
+            data: toProductResponse(product, req.user)
         });
     } catch (error) {
         next(error);
@@ -242,7 +363,7 @@ exports.getLowStockProducts = async (req, res, next) => {
     try {
         const products = await Product.find({
             status: 'active',
-            $expr: { $lte: [{ $subtract: ['$stock', '$reservedStock'] }, 5] }
+            $expr: { $lte: [Product.availableStockExpr(), 5] }
         })
             .select('name brand stock reservedStock price category stockUnit')
             .sort({ stock: 1 });
@@ -0,0 +1,291 @@
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+
+// Helper function to build purchase order lines from request data
+const buildLines = async (lines = []) => {
+    const builtLines = [];
+
+    for (const line of lines) {
+        const product = await Product.findById(line.productId);
+        if (!product) {
+            return { error: `Product ${line.productId} not found` };
+        }
+
+        const quantityOrdered = Number(line.quantityOrdered);
+        if (!quantityOrdered || quantityOrdered < 1) {
+            return { error: `Ordered quantity for ${product.name} must be at least 1` };
+        }
+
+        builtLines.push({
+            product: product._id,
+            productName: product.name,
+            quantityOrdered,
+            costPrice: line.costPrice !== undefined ? Number(line.costPrice) : undefined
+        });
+    }
+
+    return { lines: builtLines };
+};
+
+// @desc    Get purchase orders
+// @route   GET /api/admin/purchase-orders
+// @access  Private/Admin/Pharmacist
+exports.getPurchaseOrders = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const query = {};
+        if (req.query.status) query.status = req.query.status;
+        if (req.query.supplier) query.supplier = req.query.supplier;
+
+        const purchaseOrders = await PurchaseOrder.find(query)
+            .populate('supplier', 'name phone')
+            .populate('createdBy', 'name')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await PurchaseOrder.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: purchaseOrders,
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get single purchase order with goods received history
+// @route   GET /api/admin/purchase-orders/:id
+// @access  Private/Admin/Pharmacist
+exports.getPurchaseOrder = async (req, res, next) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+            .populate('supplier')
+            .populate('lines.product', 'name brand stock stockUnit')
+            .populate('createdBy', 'name')
+            .populate('receipts.receivedBy', 'name')
+            .populate('statusHistory.changedBy', 'name');
+
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: purchaseOrder.toObject({ virtuals: true })
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create purchase order (draft)
+// @route   POST /api/admin/purchase-orders
+// @access  Private/Admin/Pharmacist
+exports.createPurchaseOrder = async (req, res, next) => {
+    try {
+        const { supplierId, lines, expectedDeliveryDate, notes } = req.body;
+
+        const supplier = await Supplier.findById(supplierId);
+        if (!supplier || supplier.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: 'Supplier not found or inactive'
+            });
+        }
+
+        if (!Array.isArray(lines) || lines.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one line is required'
+            });
+        }
+
+        const built = await buildLines(lines);
+        if (built.error) {
+            return res.status(400).json({
+                success: false,
+                message: built.error
+            });
+        }
+
+        const purchaseOrder = new PurchaseOrder({
+            supplier: supplier._id,
+            lines: built.lines,
+            expectedDeliveryDate,
+            notes,
+            createdBy: req.user.id
+        });
+        purchaseOrder.setStatus('draft', req.user.id, 'Purchase order created');
+        await purchaseOrder.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Purchase order created successfully',
+            data: purchaseOrder
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update draft purchase order
+// @route   PUT /api/admin/purchase-orders/:id
+// @access  Private/Admin/Pharmacist
+exports.updatePurchaseOrder = async (req, res, next) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        if (purchaseOrder.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only draft purchase orders can be edited'
+            });
+        }
+
+        const { lines, expectedDeliveryDate, notes } = req.body;
+
+        if (lines) {
+            const built = await buildLines(lines);
+            if (built.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: built.error
+                });
+            }
+            purchaseOrder.lines = built.lines;
+        }
+        if (expectedDeliveryDate !== undefined) purchaseOrder.expectedDeliveryDate = expectedDeliveryDate;
+        if (notes !== undefined) purchaseOrder.notes = notes;
+
+        await purchaseOrder.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Purchase order updated successfully',
+            data: purchaseOrder
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Mark purchase order as sent to supplier
+// @route   PUT /api/admin/purchase-orders/:id/send
+// @access  Private/Admin/Pharmacist
+exports.sendPurchaseOrder = async (req, res, next) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        await purchaseOrder.markSent(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Purchase order marked as sent',
+            data: purchaseOrder
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Receive goods against a purchase order (adds batches to product stock)
+// @route   POST /api/admin/purchase-orders/:id/receive
+// @access  Private/Admin/Pharmacist
+exports.receivePurchaseOrder = async (req, res, next) => {
+    try {
+        const { lines, supplierInvoiceNumber, notes } = req.body;
+
+        if (!Array.isArray(lines) || lines.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one received line is required'
+            });
+        }
+
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        await purchaseOrder.receiveGoods(lines, req.user.id, { supplierInvoiceNumber, notes });
+
+        res.status(200).json({
+            success: true,
+            message: purchaseOrder.status === 'received'
+                ? 'All goods received'
+                : 'Goods partially received',
+            data: purchaseOrder.toObject({ virtuals: true })
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Cancel purchase order
+// @route   PUT /api/admin/purchase-orders/:id/cancel
+// @access  Private/Admin/Pharmacist
+exports.cancelPurchaseOrder = async (req, res, next) => {
+    try {
+        const { reason } = req.body;
+
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        // Goods already received stay in stock; cancelling closes the remaining lines
+        if (['received', 'cancelled'].includes(purchaseOrder.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `A ${purchaseOrder.status} purchase order cannot be cancelled`
+            });
+        }
+
+        purchaseOrder.setStatus('cancelled', req.user.id, reason || 'Purchase order cancelled');
+        await purchaseOrder.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Purchase order cancelled',
+            data: purchaseOrder
+        });
+    } catch (error) {
+        next(error);
+    }
+};
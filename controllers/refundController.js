@@ -0,0 +1,373 @@
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const ReturnRequest = require('../models/ReturnRequest');
+const { getRefundProvider } = require('../utils/refundProviders');
+
+// Orders that can be refunded - money only goes back once the goods are cancelled or returned
+// (lines cancelled on their own can be refunded whatever the order status)
+const REFUNDABLE_ORDER_STATUSES = ['cancelled', 'partially_returned', 'returned'];
+
+// Orders where nothing was kept, so the whole balance can go back in one full refund
+const FULLY_REFUNDABLE_ORDER_STATUSES = ['cancelled', 'returned'];
+
+// Refund method defaults to how the customer paid
+const DEFAULT_REFUND_METHODS = {
+    cod: 'cash',
+    esewa: 'esewa',
+    khalti: 'khalti',
+    bank_transfer: 'bank_transfer'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Send the refund to its provider and book it against the order once the money is back
+const processRefund = async (refund, order, actor) => {
+    const provider = getRefundProvider(refund.method);
+    refund.provider = provider.name;
+
+    try {
+        const result = await provider.refund({ order, refund });
+
+        refund.status = result.status;
+        refund.processedBy = actor;
+        if (result.reference) {
+            refund.providerReference = result.reference;
+        }
+
+        // Refunds still processing get their date when they are confirmed
+        if (result.status === 'completed') {
+            refund.processedAt = new Date();
+            order.applyRefund(refund.amount);
+            await order.save();
+        }
+    } catch (error) {
+        console.error(`Refund ${refund.refundNumber} failed:`, error.message);
+        refund.status = 'failed';
+        refund.failureReason = error.message;
+        await Order.releaseRefund(order._id, refund.amount);
+    }
+
+    return await refund.save();
+};
+
+// @desc    List refunds
+// @route   GET /api/admin/refunds?status=&orderId=
+// @access  Private (Admin)
+exports.getRefunds = async (req, res, next) => {
+    try {
+        const { status, orderId } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (orderId) filter.order = orderId;
+
+        const [refunds, total] = await Promise.all([
+            Refund.find(filter)
+                .populate('requestedBy', 'name')
+                .populate('processedBy', 'name')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Refund.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: refunds.length,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            },
+            data: refunds
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get a single refund
+// @route   GET /api/admin/refunds/:id
+// @access  Private (Admin)
+exports.getRefund = async (req, res, next) => {
+    try {
+        const refund = await Refund.findById(req.params.id)
+            .populate('order', 'orderNumber status pricing payment customer')
+            .populate('requestedBy', 'name')
+            .populate('processedBy', 'name');
+
+        if (!refund) {
+            return res.status(404).json({
+                success: false,
+                message: 'Refund not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: refund
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Issue a full or partial refund for a cancelled or returned order
+// @route   POST /api/admin/refunds
+// @access  Private (Admin)
+// Body: { orderId, type: 'full' | 'partial', items: [{ itemId, quantity }], amount, reason, method, reference, notes, returnRequestId }
+// With returnRequestId and no items, a partial refund covers the items of that approved return
+exports.createRefund = async (req, res, next) => {
+    try {
+        const { orderId, type = 'full', reason, reference, notes, returnRequestId } = req.body;
+        let { items = [] } = req.body;
+
+        if (!['full', 'partial'].includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refund type must be full or partial'
+            });
+        }
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refund reason is required'
+            });
+        }
+
+        const order = await Order.findById(orderId);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        // Otherwise only the cancelled lines can be refunded
+        const orderRefundable = REFUNDABLE_ORDER_STATUSES.includes(order.status);
+        const hasCancelledItems = order.items.some(item => item.cancelledQuantity > 0);
+        if (!orderRefundable && !(type === 'partial' && hasCancelledItems)) {
+            return res.status(400).json({
+                success: false,
+                message: hasCancelledItems
+                    ? 'Only the cancelled items of this order can be refunded - issue a partial refund'
+                    : `Only ${REFUNDABLE_ORDER_STATUSES.join(' or ')} orders can be refunded`
+            });
+        }
+
+        // The customer kept part of a partially returned order
+        if (type === 'full' && !FULLY_REFUNDABLE_ORDER_STATUSES.includes(order.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only the returned and cancelled items of this order can be refunded - issue a partial refund'
+            });
+        }
+
+        if (order.payment.status !== 'paid') {
+            return res.status(400).json({
+                success: false,
+                message: `Nothing to refund - payment status is ${order.payment.status}`
+            });
+        }
+
+        let returnRequest = null;
+        if (returnRequestId) {
+            returnRequest = await ReturnRequest.findOne({
+                _id: returnRequestId,
+                order: order._id,
+                status: 'approved',
+                refund: null
+            });
+            if (!returnRequest) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Return request not found, not approved, or already refunded'
+                });
+            }
+
+            if (items.length === 0) {
+                items = returnRequest.items.map(item => ({ itemId: item.orderItem, quantity: item.quantity }));
+            }
+        }
+
+        const refundable = round(order.pricing.total - (order.payment.refundCommitted || 0));
+        const refundedQuantities = await Refund.getRefundedQuantities(order._id);
+        // Whole lines on cancelled or returned orders, otherwise only what came back or was never sent
+        const refundableQuantity = (item) => (FULLY_REFUNDABLE_ORDER_STATUSES.includes(order.status)
+            ? item.quantity
+            : (item.cancelledQuantity || 0) + (order.status === 'partially_returned' ? (item.returnedQuantity || 0) : 0));
+        const remainingQuantity = (item) => refundableQuantity(item) -
+            (refundedQuantities.get(item._id.toString()) || 0);
+
+        let refundItems = [];
+        let amount;
+
+        if (type === 'full') {
+            // Everything that has not been refunded yet, delivery fee included
+            refundItems = order.items
+                .filter(item => remainingQuantity(item) > 0)
+                .map(item => ({
+                    orderItem: item._id,
+                    product: item.product,
+                    name: item.productSnapshot?.name,
+                    quantity: remainingQuantity(item),
+                    amount: round(order.getItemUnitAmount(item) * remainingQuantity(item))
+                }));
+            amount = refundable;
+        } else {
+            for (const { itemId, quantity } of items) {
+                const item = order.items.id(itemId);
+                if (!item) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Item ${itemId} is not part of this order`
+                    });
+                }
+
+                const qty = parseInt(quantity);
+                if (!qty || qty < 1 || qty > remainingQuantity(item)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Quantity for ${item.productSnapshot?.name || itemId} must be between 1 and ${remainingQuantity(item)}`
+                    });
+                }
+
+                refundItems.push({
+                    orderItem: item._id,
+                    product: item.product,
+                    name: item.productSnapshot?.name,
+                    quantity: qty,
+                    amount: round(order.getItemUnitAmount(item) * qty)
+                });
+            }
+
+            // An explicit amount overrides the item total (e.g. goodwill refunds)
+            amount = req.body.amount !== undefined
+                ? round(parseFloat(req.body.amount))
+                : round(refundItems.reduce((total, item) => total + item.amount, 0));
+        }
+
+        if (!(amount > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: type === 'full'
+                    ? 'This order has already been fully refunded'
+                    : 'Provide the items to refund or a refund amount'
+            });
+        }
+
+        if (amount > refundable) {
+            return res.status(400).json({
+                success: false,
+                message: `Refund amount exceeds the refundable balance of Rs. ${refundable}`
+            });
+        }
+
+        const method = req.body.method || DEFAULT_REFUND_METHODS[order.payment.method];
+
+        // Reserve the amount first so concurrent refunds cannot overshoot the order total
+        const committedOrder = await Order.commitRefund(order._id, amount);
+
+        let refund;
+        try {
+            refund = await Refund.create({
+                order: order._id,
+                orderNumber: order.orderNumber,
+                type,
+                items: refundItems,
+                amount,
+                reason,
+                method,
+                providerReference: reference,
+                notes,
+                returnRequest: returnRequest?._id || null,
+                requestedBy: req.user.id
+            });
+        } catch (error) {
+            await Order.releaseRefund(order._id, amount);
+            throw error;
+        }
+
+        if (returnRequest) {
+            // Claim the return so it is only refunded once - given back below if the refund fails
+            const claimed = await ReturnRequest.findOneAndUpdate(
+                { _id: returnRequest._id, refund: null },
+                { $set: { refund: refund._id } }
+            );
+            if (!claimed) {
+                refund.status = 'failed';
+                refund.failureReason = 'Return request was refunded by another request';
+                await refund.save();
+                await Order.releaseRefund(order._id, amount);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Return request not found, not approved, or already refunded'
+                });
+            }
+        }
+
+        await processRefund(refund, committedOrder, req.user.id);
+
+        // Leave the return open so the refund can be retried
+        if (returnRequest && refund.status === 'failed') {
+            await ReturnRequest.updateOne(
+                { _id: returnRequest._id, refund: refund._id },
+                { $set: { refund: null } }
+            );
+        }
+
+        res.status(201).json({
+            success: true,
+            message: refund.status === 'failed'
+                ? `Refund failed: ${refund.failureReason}`
+                : `Refund ${refund.status}`,
+            data: refund
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Confirm a refund that was submitted to a provider (status processing)
+// @route   PUT /api/admin/refunds/:id/complete
+// @access  Private (Admin)
+exports.completeRefund = async (req, res, next) => {
+    try {
+        const refund = await Refund.findOneAndUpdate(
+            { _id: req.params.id, status: 'processing' },
+            {
+                $set: {
+                    status: 'completed',
+                    processedBy: req.user.id,
+                    processedAt: new Date(),
+                    ...(req.body.reference && { providerReference: req.body.reference })
+                }
+            },
+            { new: true }
+        );
+
+        if (!refund) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refund not found or not awaiting confirmation'
+            });
+        }
+
+        const order = await Order.findById(refund.order);
+        order.applyRefund(refund.amount);
+        await order.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Refund completed',
+            data: refund
+        });
+    } catch (error) {
+        next(error);
+    }
+};
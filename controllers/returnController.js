@@ -0,0 +1,344 @@
+const fs = require('fs');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+
+// Days after delivery during which items can be returned
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// Orders whose items can still be returned
+const RETURNABLE_ORDER_STATUSES = ['delivered', 'partially_returned'];
+
+// Items in this condition can go straight back on the shelf unless the reviewer says otherwise
+const RESTOCKABLE_CONDITIONS = ['unopened', 'wrong_item'];
+
+// Photos are only kept for requests that are created
+const discardPhotos = (req) => Promise.all(
+    (req.files || []).map(file => fs.promises.unlink(file.path).catch(() => {}))
+);
+
+// @desc    Request a return for delivered items
+// @route   POST /api/orders/:id/returns (multipart, photos in field "photos")
+// @access  Private
+// Body: { items: [{ itemId, quantity, condition }], reason, description } - items may be a JSON string
+exports.createReturnRequest = async (req, res, next) => {
+    try {
+        let { items, reason, description } = req.body;
+
+        // items arrives as a JSON string with multipart uploads
+        if (typeof items === 'string') {
+            try {
+                items = JSON.parse(items);
+            } catch (error) {
+                items = null;
+            }
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+            await discardPhotos(req);
+            return res.status(400).json({
+                success: false,
+                message: 'Select at least one item to return'
+            });
+        }
+
+        if (!reason) {
+            await discardPhotos(req);
+            return res.status(400).json({
+                success: false,
+                message: 'Return reason is required'
+            });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            await discardPhotos(req);
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (order.customer.user?.toString() !== req.user.id) {
+            await discardPhotos(req);
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to return items from this order'
+            });
+        }
+
+        if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+            await discardPhotos(req);
+            return res.status(400).json({
+                success: false,
+                message: 'Only delivered orders can be returned'
+            });
+        }
+
+        const deliveredAt = order.delivery.actualDeliveryTime || order.updatedAt;
+        const windowEnd = new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        if (windowEnd < new Date()) {
+            await discardPhotos(req);
+            return res.status(400).json({
+                success: false,
+                message: `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`
+            });
+        }
+
+        const openRequest = await ReturnRequest.exists({ order: order._id, status: 'requested' });
+        if (openRequest) {
+            await discardPhotos(req);
+            return res.status(400).json({
+                success: false,
+                message: 'A return request for this order is already being reviewed'
+            });
+        }
+
+        const returnItems = [];
+        for (const { itemId, quantity, condition } of items) {
+            const item = order.items.id(itemId);
+            if (!item) {
+                await discardPhotos(req);
+                return res.status(400).json({
+                    success: false,
+                    message: `Item ${itemId} is not part of this order`
+                });
+            }
+
+            const returnable = item.quantity - (item.cancelledQuantity || 0) - (item.returnedQuantity || 0);
+            const qty = parseInt(quantity);
+            if (!qty || qty < 1 || qty > returnable) {
+                await discardPhotos(req);
+                return res.status(400).json({
+                    success: false,
+                    message: `You can return between 1 and ${returnable} of ${item.productSnapshot?.name || 'this item'}`
+                });
+            }
+
+            returnItems.push({
+                orderItem: item._id,
+                product: item.product,
+                name: item.productSnapshot?.name,
+                purchaseType: item.purchaseType,
+                quantity: qty,
+                condition
+            });
+        }
+
+        const returnRequest = await ReturnRequest.create({
+            order: order._id,
+            orderNumber: order.orderNumber,
+            customer: req.user.id,
+            items: returnItems,
+            reason,
+            description,
+            photos: (req.files || []).map(file => `/uploads/returnPhotos/${file.filename}`)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Return requested. We will review it shortly.',
+            data: returnRequest
+        });
+    } catch (error) {
+        await discardPhotos(req);
+        next(error);
+    }
+};
+
+// @desc    Return requests for one of the customer's orders
+// @route   GET /api/orders/:id/returns
+// @access  Private
+exports.getOrderReturns = async (req, res, next) => {
+    try {
+        const order = await Order.findById(req.params.id).select('customer');
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (order.customer.user?.toString() !== req.user.id && !['admin', 'pharmacist'].includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this order'
+            });
+        }
+
+        const returns = await ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: returns.length,
+            data: returns
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List return requests
+// @route   GET /api/admin/returns?status=requested
+// @access  Private (Admin)
+exports.getReturnRequests = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+
+        const [returns, total] = await Promise.all([
+            ReturnRequest.find(filter)
+                .populate('customer', 'name email phone')
+                .populate('reviewedBy', 'name')
+                .sort({ createdAt: 1 })
+                .skip(skip)
+                .limit(limit),
+            ReturnRequest.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: returns.length,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            },
+            data: returns
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get a single return request
+// @route   GET /api/admin/returns/:id
+// @access  Private (Admin)
+exports.getReturnRequest = async (req, res, next) => {
+    try {
+        const returnRequest = await ReturnRequest.findById(req.params.id)
+            .populate('customer', 'name email phone')
+            .populate('order', 'orderNumber status pricing payment delivery.actualDeliveryTime')
+            .populate('reviewedBy', 'name')
+            .populate('refund');
+
+        if (!returnRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Return request not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: returnRequest
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Approve or reject a return - approval restocks sellable items and updates the order status
+// @route   PUT /api/admin/returns/:id
+// @access  Private (Admin)
+// Body: { action: 'approve' | 'reject', items: [{ itemId, restock }], notes, rejectionReason }
+exports.reviewReturnRequest = async (req, res, next) => {
+    try {
+        const { action, items = [], notes, rejectionReason } = req.body;
+
+        if (!['approve', 'reject'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Action must be approve or reject'
+            });
+        }
+
+        if (action === 'reject' && !rejectionReason) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rejection reason is required'
+            });
+        }
+
+        // Claim the request so two reviewers cannot both process it
+        const returnRequest = await ReturnRequest.findOneAndUpdate(
+            { _id: req.params.id, status: 'requested' },
+            {
+                $set: {
+                    status: action === 'approve' ? 'approved' : 'rejected',
+                    reviewedBy: req.user.id,
+                    reviewedAt: new Date(),
+                    reviewNotes: notes,
+                    ...(action === 'reject' && { rejectionReason })
+                }
+            },
+            { new: true }
+        );
+
+        if (!returnRequest) {
+            return res.status(400).json({
+                success: false,
+                message: 'Return request not found or already reviewed'
+            });
+        }
+
+        if (action === 'reject') {
+            return res.status(200).json({
+                success: true,
+                message: 'Return request rejected',
+                data: returnRequest
+            });
+        }
+
+        const order = await Order.findById(returnRequest.order);
+
+        // Reviewer decides what is sellable; default by the reported condition
+        const decisions = new Map(items.map(({ itemId, restock }) => [String(itemId), Boolean(restock)]));
+        for (const item of returnRequest.items) {
+            const key = item.orderItem.toString();
+            item.restock = decisions.has(key)
+                ? decisions.get(key)
+                : RESTOCKABLE_CONDITIONS.includes(item.condition);
+        }
+
+        try {
+            const restocked = await order.processReturn(
+                returnRequest.items.map(item => ({
+                    orderItem: item.orderItem,
+                    quantity: item.quantity,
+                    restock: item.restock
+                })),
+                {
+                    actor: req.user.id,
+                    reference: { kind: 'ReturnRequest', id: returnRequest._id },
+                    notes: `Return ${returnRequest.returnNumber} approved`
+                }
+            );
+
+            for (const entry of restocked) {
+                const item = returnRequest.items.find(i => i.orderItem.toString() === entry.orderItem.toString());
+                item.restockedBatches = entry.batches;
+            }
+            await returnRequest.save();
+        } catch (error) {
+            // Put the request back in the queue so it can be reviewed again
+            await ReturnRequest.updateOne(
+                { _id: returnRequest._id },
+                { $set: { status: 'requested' }, $unset: { reviewedBy: 1, reviewedAt: 1 } }
+            );
+            throw error;
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Return approved - order is now ${order.status.replace(/_/g, ' ')}`,
+            data: returnRequest
+        });
+    } catch (error) {
+        next(error);
+    }
+};
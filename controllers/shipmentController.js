@@ -0,0 +1,215 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const emailService = require('../utils/emailService');
+const { privateFileUrl } = require('../utils/privateFiles');
+
+// Details may arrive as JSON strings when sent with FormData
+const parseJsonField = (value) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return undefined;
+    }
+};
+
+// Tell the customer when a shipment moved the order to a new status
+const notifyStatusChange = async (order, previousStatus) => {
+    if (order.status === previousStatus) {
+        return;
+    }
+
+    try {
+        await order.populate('customer.user', 'name email phone');
+        const customerEmail = order.customer.user?.email || order.customer.guestDetails?.email;
+        if (customerEmail) {
+            await emailService.sendOrderStatusUpdate(customerEmail, order, order.status, '');
+        }
+    } catch (emailError) {
+        console.error('Error sending status update email:', emailError);
+    }
+};
+
+// @desc    Put part of a confirmed order into a shipment
+// @route   POST /api/admin/orders/:orderId/shipments
+// @access  Private (Admin)
+// Body: { items: [{ itemId, quantity }], notes }
+exports.createShipment = async (req, res, next) => {
+    try {
+        const { items, notes } = req.body;
+
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const previousStatus = order.status;
+        const shipment = await order.createShipment(items, { actor: req.user.id, notes });
+        await notifyStatusChange(order, previousStatus);
+
+        res.status(201).json({
+            success: true,
+            message: `Shipment ${shipment.shipmentNumber} created`,
+            data: {
+                shipment,
+                orderStatus: order.status
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update a shipment - packing and dispatch details, delivery person and status
+// @route   PUT /api/admin/orders/:orderId/shipments/:shipmentId (multipart, signature in "customerSignature")
+// @access  Private (Admin)
+// Body: { status, notes, packingDetails, dispatchDetails, deliveryPersonId, prescriptionSighted, sightingNotes }
+exports.updateShipment = async (req, res, next) => {
+    try {
+        const { status, notes, deliveryPersonId } = req.body;
+        const packingDetails = parseJsonField(req.body.packingDetails);
+        const dispatchDetails = parseJsonField(req.body.dispatchDetails);
+
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const shipment = order.shipments.id(req.params.shipmentId);
+        if (!shipment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shipment not found'
+            });
+        }
+
+        if (deliveryPersonId) {
+            const deliveryPerson = await User.findById(deliveryPersonId);
+            if (!deliveryPerson || deliveryPerson.role !== 'delivery') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid delivery person'
+                });
+            }
+
+            shipment.delivery.assignedTo = {
+                userId: deliveryPerson._id,
+                name: deliveryPerson.name,
+                phone: deliveryPerson.phone
+            };
+        }
+
+        if (packingDetails) {
+            shipment.packingDetails = {
+                packedAt: packingDetails.packedAt ? new Date(packingDetails.packedAt) : new Date(),
+                packedBy: req.user.id,
+                packedItems: packingDetails.packedItems,
+                packingNotes: packingDetails.packingNotes,
+                packageWeight: packingDetails.packageWeight,
+                packageDimensions: packingDetails.packageDimensions,
+                specialInstructions: packingDetails.specialInstructions,
+                fragileItems: packingDetails.fragileItems || false,
+                coldStorage: packingDetails.coldStorage || false
+            };
+        }
+
+        if (dispatchDetails) {
+            shipment.dispatchDetails = {
+                dispatchedAt: dispatchDetails.dispatchedAt ? new Date(dispatchDetails.dispatchedAt) : new Date(),
+                dispatchedBy: req.user.id,
+                deliveryPersonName: dispatchDetails.deliveryPersonName,
+                deliveryPersonPhone: dispatchDetails.deliveryPersonPhone,
+                vehicleNumber: dispatchDetails.vehicleNumber,
+                estimatedDeliveryTime: dispatchDetails.estimatedDeliveryTime ? new Date(dispatchDetails.estimatedDeliveryTime) : null,
+                routeInstructions: dispatchDetails.routeInstructions,
+                dispatchNotes: dispatchDetails.dispatchNotes,
+                priorityDelivery: dispatchDetails.priorityDelivery || false,
+                trackingNumber: dispatchDetails.trackingNumber
+            };
+
+            // Keep the delivery assignment in step with the dispatch details
+            if (dispatchDetails.deliveryPersonName) {
+                shipment.delivery.assignedTo.name = dispatchDetails.deliveryPersonName;
+                shipment.delivery.assignedTo.phone = dispatchDetails.deliveryPersonPhone;
+            }
+            if (dispatchDetails.estimatedDeliveryTime) {
+                shipment.delivery.estimatedDeliveryTime = new Date(dispatchDetails.estimatedDeliveryTime);
+            }
+        }
+
+        if (status === 'delivered' && req.file) {
+            shipment.customerSignature = privateFileUrl('signatures', req.file.filename);
+        }
+
+        // Controlled medicines: the original prescription was seen at the door
+        if (status === 'delivered' && [true, 'true'].includes(req.body.prescriptionSighted)) {
+            order.recordPrescriptionSighting(req.user.id, req.body.sightingNotes, shipment._id);
+        }
+
+        const previousStatus = order.status;
+        if (status && status !== shipment.status) {
+            await order.updateShipmentStatus(shipment._id, status, req.user.id, notes);
+        } else {
+            await order.save();
+        }
+        await notifyStatusChange(order, previousStatus);
+
+        res.status(200).json({
+            success: true,
+            message: 'Shipment updated successfully',
+            data: {
+                shipment: order.shipments.id(shipment._id),
+                orderStatus: order.status
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Cancel order lines that cannot be fulfilled and release their stock
+// @route   POST /api/admin/orders/:orderId/items/cancel
+// @access  Private (Admin)
+// Body: { items: [{ itemId, quantity }], reason }
+exports.cancelOrderItems = async (req, res, next) => {
+    try {
+        const { items, reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cancellation reason is required'
+            });
+        }
+
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const previousStatus = order.status;
+        await order.cancelItems(items, { actor: req.user.id, reason });
+        await notifyStatusChange(order, previousStatus);
+
+        res.status(200).json({
+            success: true,
+            message: order.status === 'cancelled'
+                ? 'All items cancelled - the order has been cancelled'
+                : 'Items cancelled and their stock released',
+            data: order
+        });
+    } catch (error) {
+        next(error);
+    }
+};
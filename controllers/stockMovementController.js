@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const StockMovement = require('../models/StockMovement');
+const Product = require('../models/Product');
+
+// @desc    Query the stock ledger
+// @route   GET /api/admin/stock-movements?product=&startDate=&endDate=&reason=
+// @access  Private/Admin/Pharmacist
+exports.getStockMovements = async (req, res, next) => {
+    try {
+        const { product, startDate, endDate, reason } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const skip = (page - 1) * limit;
+
+        const query = {};
+        if (product) {
+            if (!mongoose.Types.ObjectId.isValid(product)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid product ID'
+                });
+            }
+            query.product = product;
+        }
+        if (reason) query.reason = reason;
+        if (startDate || endDate) {
+            query.createdAt = {};
+            if (startDate) query.createdAt.$gte = new Date(startDate);
+            if (endDate) query.createdAt.$lte = new Date(endDate);
+        }
+
+        const movements = await StockMovement.find(query)
+            .populate('product', 'name brand stockUnit')
+            .populate('actor', 'name role')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await StockMovement.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: movements,
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Recompute stock from the ledger and flag drift
+// @route   GET /api/admin/stock-movements/reconcile?product=&driftOnly=true
+// @access  Private/Admin
+exports.reconcileStock = async (req, res, next) => {
+    try {
+        const { product, driftOnly } = req.query;
+
+        if (product && !mongoose.Types.ObjectId.isValid(product)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid product ID'
+            });
+        }
+
+        let results = await StockMovement.reconcile(product ? [product] : null);
+        const driftCount = results.filter(result => result.hasDrift).length;
+
+        if (driftOnly === 'true') {
+            results = results.filter(result => result.hasDrift);
+        }
+
+        res.status(200).json({
+            success: true,
+            driftCount,
+            data: results
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Record opening balances for products that have no ledger history yet
+// @route   POST /api/admin/stock-movements/opening-balances
+// @access  Private/Admin
+exports.createOpeningBalances = async (req, res, next) => {
+    try {
+        const productsWithHistory = await StockMovement.distinct('product');
+        const products = await Product.find({ _id: { $nin: productsWithHistory } });
+
+        for (const product of products) {
+            await product.recordMovement({ stock: 0, reservedStock: 0 }, {
+                reason: 'opening_balance',
+                actor: req.user.id,
+                notes: 'Opening balance for existing stock'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Opening balances recorded for ${products.length} products`,
+            count: products.length
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,136 @@
+const Supplier = require('../models/Supplier');
+
+// @desc    Get all suppliers
+// @route   GET /api/admin/suppliers
+// @access  Private/Admin/Pharmacist
+exports.getSuppliers = async (req, res, next) => {
+    try {
+        const { search, status } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (search) {
+            query.name = { $regex: search, $options: 'i' };
+        }
+
+        const suppliers = await Supplier.find(query).sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: suppliers.length,
+            data: suppliers
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get single supplier
+// @route   GET /api/admin/suppliers/:id
+// @access  Private/Admin/Pharmacist
+exports.getSupplier = async (req, res, next) => {
+    try {
+        const supplier = await Supplier.findById(req.params.id);
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: supplier
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create supplier
+// @route   POST /api/admin/suppliers
+// @access  Private/Admin/Pharmacist
+exports.createSupplier = async (req, res, next) => {
+    try {
+        const { name, contactPerson, email, phone, address, panNumber, licenseNumber, paymentTerms, notes } = req.body;
+
+        const supplier = await Supplier.create({
+            name,
+            contactPerson,
+            email,
+            phone,
+            address,
+            panNumber,
+            licenseNumber,
+            paymentTerms,
+            notes
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Supplier created successfully',
+            data: supplier
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update supplier
+// @route   PUT /api/admin/suppliers/:id
+// @access  Private/Admin/Pharmacist
+exports.updateSupplier = async (req, res, next) => {
+    try {
+        const supplier = await Supplier.findById(req.params.id);
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        const fields = ['name', 'contactPerson', 'email', 'phone', 'address', 'panNumber', 'licenseNumber', 'paymentTerms', 'notes', 'status'];
+        fields.forEach(field => {
+            if (req.body[field] !== undefined) supplier[field] = req.body[field];
+        });
+
+        await supplier.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Supplier updated successfully',
+            data: supplier
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Deactivate supplier (soft delete - purchase history keeps referencing it)
+// @route   DELETE /api/admin/suppliers/:id
+// @access  Private/Admin
+exports.deleteSupplier = async (req, res, next) => {
+    try {
+        const supplier = await Supplier.findByIdAndUpdate(
+            req.params.id,
+            { status: 'inactive', updatedAt: Date.now() },
+            { new: true }
+        );
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Supplier deactivated successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
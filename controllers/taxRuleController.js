@@ -0,0 +1,97 @@
+const TaxRule = require('../models/TaxRule');
+const { getTaxMode } = require('../utils/tax');
+
+const TAX_RULE_FIELDS = ['taxClass', 'name', 'rate', 'categories', 'isDefault', 'status'];
+
+// @desc    Get all tax rules
+// @route   GET /api/admin/tax-rules
+// @access  Private/Admin
+exports.getTaxRules = async (req, res, next) => {
+    try {
+        const taxRules = await TaxRule.find().sort({ isDefault: -1, taxClass: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: taxRules.length,
+            pricingMode: getTaxMode(),
+            data: taxRules
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create tax rule
+// @route   POST /api/admin/tax-rules
+// @access  Private/Admin
+exports.createTaxRule = async (req, res, next) => {
+    try {
+        const data = {};
+        TAX_RULE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const taxRule = await TaxRule.create(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Tax rule created successfully',
+            data: taxRule
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update tax rule (applies to orders placed from now on)
+// @route   PUT /api/admin/tax-rules/:id
+// @access  Private/Admin
+exports.updateTaxRule = async (req, res, next) => {
+    try {
+        const taxRule = await TaxRule.findById(req.params.id);
+
+        if (!taxRule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tax rule not found'
+            });
+        }
+
+        TAX_RULE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) taxRule[field] = req.body[field];
+        });
+
+        await taxRule.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Tax rule updated successfully',
+            data: taxRule
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete tax rule
+// @route   DELETE /api/admin/tax-rules/:id
+// @access  Private/Admin
+exports.deleteTaxRule = async (req, res, next) => {
+    try {
+        const taxRule = await TaxRule.findByIdAndDelete(req.params.id);
+
+        if (!taxRule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tax rule not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Tax rule deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
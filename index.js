@@ -8,6 +8,7 @@ const compression = require('compression');
 const http = require('http');
 const path = require("path");
 const connectToDatabase = require('./database/db');
+const { validateOrderNumberFormat } = require('./utils/orderNumber');
 
 // Import all routes
 const authRoutes = require('./routes/auth');
@@ -20,6 +21,9 @@ const userRoutes = require('./routes/user');
 const prescriptionRoutes = require('./routes/prescriptions');
 const heroBannerRoutes = require('./routes/heroBanner');
 const promoBannerRoutes = require('./routes/promoBanner');
+const deliveryRoutes = require('./routes/delivery');
+const paymentRoutes = require('./routes/payments');
+const fileRoutes = require('./routes/files');
 
 // Import the new cron jobs (this will start them automatically)
 const cronJobs = require('./jobs/cronJobs');
@@ -35,6 +39,13 @@ for (const envVar of requiredEnvVars) {
     }
 }
 
+try {
+    validateOrderNumberFormat();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
 // Security middleware
 app.use(helmet({
     crossOriginResourcePolicy: { policy: "cross-origin" }
@@ -106,6 +117,25 @@ app.use('/api/user', publicLimiter, userRoutes); // Lenient for user operations
 app.use('/api/prescriptions', limiter, prescriptionRoutes);
 app.use('/api/hero-banner', heroBannerRoutes); // Public endpoint for banner data
 app.use('/api/promo-banner', promoBannerRoutes); // Public endpoint for promo banner data
+app.use('/api/delivery', publicLimiter, deliveryRoutes); // Public delivery fee quotes
+app.use('/api/payments', publicLimiter, paymentRoutes); // Payment gateway initiation and callbacks
+app.use('/api/files', limiter, fileRoutes); // Authorized prescription, signature and deposit slip downloads
+
+// Prescriptions, signatures and deposit slips are private - older files still in these folders must not be served statically
+// (checked on the decoded, normalized path, as that is what the static handler serves)
+const PRIVATE_UPLOAD_FOLDERS = ['prescriptions', 'clientsignatures', 'paymentproofs'];
+app.use("/uploads", (req, res, next) => {
+    let folder;
+    try {
+        folder = path.posix.normalize(decodeURIComponent(req.path).replace(/\\/g, '/')).split('/').filter(Boolean)[0] || '';
+    } catch (error) {
+        folder = null;
+    }
+    if (folder === null || PRIVATE_UPLOAD_FOLDERS.includes(folder.toLowerCase())) {
+        return res.status(404).json({ success: false, message: 'File not found' });
+    }
+    next();
+});
 
 // Serve static files after API routes
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
@@ -187,6 +217,8 @@ app.use((err, _req, res, _next) => {
     res.status(err.status || 500).json({
         success: false,
         message: err.message || 'Internal Server Error',
+        // Structured details some errors carry (e.g. validNextStates for order status changes)
+        ...(err.details && err.details),
         ...(isDevelopment && { stack: err.stack })
     });
 });
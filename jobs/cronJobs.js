@@ -3,11 +3,184 @@ const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const User = require('../models/User');
+const StockMovement = require('../models/StockMovement');
+const emailService = require('../utils/emailService');
+const khalti = require('../utils/khalti');
+const { PRESCRIPTION_SLA_MINUTES } = require('../constants/prescriptionQueue');
+const { hasFileReferences } = require('../utils/privateFiles');
 const fs = require('fs');
 const path = require('path');
 
+// Folders of private files (including the old public ones) and the kind of file they hold
+const PRIVATE_FILE_DIRS = {
+    'private_uploads/prescriptions': 'prescriptions',
+    'private_uploads/clientSignatures': 'signatures',
+    'private_uploads/paymentProofs': 'payment-proofs',
+    'uploads/prescriptions': 'prescriptions',
+    'uploads/clientSignatures': 'signatures',
+    'uploads/paymentProofs': 'payment-proofs'
+};
+
+// Batches expiring within this many days are reported to pharmacists
+const EXPIRY_ALERT_DAYS = parseInt(process.env.EXPIRY_ALERT_DAYS) || 30;
+
 console.log('🚀 Initializing FixPharmacy background jobs...');
 
+// Scan batches for expired and near-expiry stock, delist expired batches
+// and email the report to pharmacists
+const checkStockExpiry = async () => {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + EXPIRY_ALERT_DAYS * 24 * 60 * 60 * 1000);
+
+    const products = await Product.find({
+        status: 'active',
+        batches: {
+            $elemMatch: {
+                quantity: { $gt: 0 },
+                expiryDate: { $lte: windowEnd }
+            }
+        }
+    });
+
+    const expired = [];
+    const expiring = [];
+
+    for (const product of products) {
+        let delisted = false;
+
+        for (const batch of product.batches) {
+            if (batch.quantity <= 0 || batch.expiryDate > windowEnd) continue;
+
+            const entry = {
+                productId: product._id,
+                productName: product.name,
+                batchNumber: batch.batchNumber,
+                expiryDate: batch.expiryDate,
+                quantity: batch.quantity,
+                stockUnit: product.stockUnit || 'units',
+                daysLeft: Math.ceil((batch.expiryDate - now) / (24 * 60 * 60 * 1000))
+            };
+
+            if (batch.isExpired) {
+                expired.push(entry);
+                // Expired stock is already excluded from availableStock and reservations; record when it was delisted
+                // (a delisted batch stays unsellable even if its expiry date is corrected later)
+                if (!batch.delistedAt) {
+                    batch.delistedAt = now;
+                    delisted = true;
+                }
+            } else {
+                expiring.push(entry);
+            }
+        }
+
+        if (delisted) {
+            await product.save();
+        }
+    }
+
+    expiring.sort((a, b) => a.expiryDate - b.expiryDate);
+
+    if (expired.length > 0 || expiring.length > 0) {
+        const pharmacists = await User.find({ role: 'pharmacist', status: 'active' }).select('email');
+        const recipients = pharmacists.map(user => user.email);
+
+        if (recipients.length > 0) {
+            await emailService.sendStockExpiryReport(recipients, {
+                expired,
+                expiring,
+                windowDays: EXPIRY_ALERT_DAYS
+            });
+        } else {
+            console.log('⚠️  No active pharmacists to send the expiry report to');
+        }
+    }
+
+    return { expired, expiring, windowDays: EXPIRY_ALERT_DAYS };
+};
+
+// Cancel Khalti orders still unpaid after the payment timeout and release their reserved stock
+// Each order is looked up first so a payment whose callback never arrived is still honoured;
+// payments held for review (e.g. a different amount was paid) are left for staff
+const expireUnpaidKhaltiOrders = async () => {
+    const cutoff = new Date(Date.now() - khalti.PAYMENT_TIMEOUT_MINUTES * 60 * 1000);
+
+    const orders = await Order.find({
+        'payment.method': 'khalti',
+        'payment.status': { $in: ['pending', 'failed'] },
+        'payment.needsReview': { $ne: true },
+        status: { $in: ['pending', 'prescription_verified', 'confirmed'] },
+        createdAt: { $lt: cutoff }
+    });
+
+    let cancelled = 0;
+    let confirmed = 0;
+    let heldForReview = 0;
+
+    for (const order of orders) {
+        try {
+            if (order.payment.gatewayReference) {
+                const lookup = await khalti.confirmOrderPayment(order);
+                if (lookup.status === 'Completed') {
+                    confirmed++;
+                    continue;
+                }
+            }
+
+            // updateStatus releases the reserved stock through releaseReservedStock
+            await order.updateStatus(
+                'cancelled',
+                null,
+                `Khalti payment not received within ${khalti.PAYMENT_TIMEOUT_MINUTES} minutes`
+            );
+            cancelled++;
+        } catch (error) {
+            if (order.payment.needsReview) {
+                console.log(`   ⚠️  Order ${order.orderNumber} held for payment review: ${order.payment.reviewReason}`);
+                heldForReview++;
+                continue;
+            }
+            console.error(`   ❌ Failed to expire order ${order.orderNumber}:`, error.message);
+        }
+    }
+
+    return { cancelled, confirmed, heldForReview };
+};
+
+// Email admins about prescription orders waiting longer than the SLA
+// Each order is escalated once - escalatedAt is set after the email is sent
+const escalateOverduePrescriptions = async () => {
+    const orders = await Order.findOverdueVerifications();
+    if (orders.length === 0) {
+        return { escalated: 0 };
+    }
+
+    const admins = await User.find({ role: 'admin', status: 'active' }).select('email');
+    const recipients = admins.map(user => user.email);
+    if (recipients.length === 0) {
+        console.log('⚠️  No active admins to escalate overdue prescriptions to');
+        return { escalated: 0 };
+    }
+
+    const now = new Date();
+    await emailService.sendPrescriptionEscalation(recipients, {
+        orders: orders.map(order => ({
+            orderNumber: order.orderNumber,
+            createdAt: order.createdAt,
+            minutesWaiting: order.getVerificationSla(now).minutesWaiting,
+            claimedBy: order.prescriptionQueue?.claimExpiresAt > now ? order.prescriptionQueue.claimedBy?.name : null
+        })),
+        slaMinutes: PRESCRIPTION_SLA_MINUTES
+    });
+
+    await Order.updateMany(
+        { _id: { $in: orders.map(order => order._id) } },
+        { $set: { 'prescriptionQueue.escalatedAt': now } }
+    );
+
+    return { escalated: orders.length };
+};
+
 // ==========================================
 // CART MANAGEMENT JOBS
 // ==========================================
@@ -60,6 +233,44 @@ cron.schedule('0 */6 * * *', async () => {
     }
 });
 
+// Check for expired and near-expiry batches every day at 7 AM
+cron.schedule('0 7 * * *', async () => {
+    try {
+        console.log('⏰ Checking for expired and near-expiry stock...');
+
+        const { expired, expiring } = await checkStockExpiry();
+
+        if (expired.length > 0 || expiring.length > 0) {
+            console.log(`⚠️  Found ${expired.length} expired and ${expiring.length} near-expiry batches`);
+        } else {
+            console.log(`✅ No batches expiring within ${EXPIRY_ALERT_DAYS} days`);
+        }
+    } catch (error) {
+        console.error('❌ Stock expiry check job failed:', error);
+    }
+});
+
+// Reconcile product stock against the stock ledger every day at 3 AM
+cron.schedule('0 3 * * *', async () => {
+    try {
+        console.log('📒 Reconciling stock against the ledger...');
+
+        const results = await StockMovement.reconcile();
+        const drifted = results.filter(result => result.hasDrift);
+
+        if (drifted.length > 0) {
+            console.log(`⚠️  Found ${drifted.length} products whose stock does not match the ledger:`);
+            drifted.forEach(result => {
+                console.log(`   - ${result.name}: stock ${result.stock} vs ledger ${result.ledgerStock}, reserved ${result.reservedStock} vs ledger ${result.ledgerReserved}`);
+            });
+        } else {
+            console.log('✅ Stock matches the ledger for all products');
+        }
+    } catch (error) {
+        console.error('❌ Stock reconciliation job failed:', error);
+    }
+});
+
 // ==========================================
 // REVENUE & ORDER MANAGEMENT JOBS
 // ==========================================
@@ -86,6 +297,32 @@ cron.schedule('0 * * * *', async () => {
     }
 });
 
+// Cancel unpaid Khalti orders every 5 minutes
+cron.schedule('*/5 * * * *', async () => {
+    try {
+        const { cancelled, confirmed, heldForReview } = await expireUnpaidKhaltiOrders();
+
+        if (cancelled > 0 || confirmed > 0 || heldForReview > 0) {
+            console.log(`✅ Khalti payment timeout: cancelled ${cancelled} unpaid orders, confirmed ${confirmed} late payments, held ${heldForReview} for payment review`);
+        }
+    } catch (error) {
+        console.error('❌ Khalti payment timeout job failed:', error);
+    }
+});
+
+// Escalate prescription verifications past the SLA every 5 minutes
+cron.schedule('*/5 * * * *', async () => {
+    try {
+        const { escalated } = await escalateOverduePrescriptions();
+
+        if (escalated > 0) {
+            console.log(`⏰ Escalated ${escalated} overdue prescription verifications to admins`);
+        }
+    } catch (error) {
+        console.error('❌ Prescription escalation job failed:', error);
+    }
+});
+
 // ==========================================
 // DAILY REPORTING JOBS
 // ==========================================
@@ -163,8 +400,7 @@ cron.schedule('0 1 * * 0', async () => {
         const uploadDirs = [
             'uploads/userProfiles',
             'uploads/productImages',
-            'uploads/prescriptions',
-            'uploads/clientSignatures'
+            ...Object.keys(PRIVATE_FILE_DIRS)
         ];
 
         let totalCleaned = 0;
@@ -198,8 +434,9 @@ cron.schedule('0 1 * * 0', async () => {
                         images: relativePath 
                     });
                     isReferenced = productCount > 0;
+                } else if (PRIVATE_FILE_DIRS[uploadDir]) {
+                    isReferenced = await hasFileReferences(PRIVATE_FILE_DIRS[uploadDir], file);
                 }
-                // Add more checks for prescriptions and signatures as needed
 
                 // Delete if not referenced and file is older than 7 days
                 if (!isReferenced) {
@@ -318,6 +555,19 @@ const manualTriggers = {
         });
     },
 
+    // Manual stock expiry check
+    checkStockExpiry: async () => {
+        console.log('🔧 Manual stock expiry check triggered...');
+        return await checkStockExpiry();
+    },
+
+    // Manual stock ledger reconciliation
+    reconcileStockLedger: async () => {
+        console.log('🔧 Manual stock reconciliation triggered...');
+        const results = await StockMovement.reconcile();
+        return results.filter(result => result.hasDrift);
+    },
+
     // Manual revenue recording
     recordPendingRevenue: async () => {
         console.log('🔧 Manual revenue recording triggered...');
@@ -333,6 +583,18 @@ const manualTriggers = {
         return orders.length;
     },
 
+    // Manual Khalti payment timeout check
+    expireUnpaidKhaltiOrders: async () => {
+        console.log('🔧 Manual Khalti payment timeout check triggered...');
+        return await expireUnpaidKhaltiOrders();
+    },
+
+    // Manual prescription escalation check
+    escalateOverduePrescriptions: async () => {
+        console.log('🔧 Manual prescription escalation triggered...');
+        return await escalateOverduePrescriptions();
+    },
+
     // Manual orphaned image cleanup
     cleanupOrphanedImages: async () => {
         console.log('🔧 Manual orphaned image cleanup triggered...');
@@ -340,8 +602,7 @@ const manualTriggers = {
         const uploadDirs = [
             'uploads/userProfiles',
             'uploads/productImages',
-            'uploads/prescriptions',
-            'uploads/clientSignatures'
+            ...Object.keys(PRIVATE_FILE_DIRS)
         ];
 
         let totalCleaned = 0;
@@ -370,6 +631,8 @@ const manualTriggers = {
                         images: relativePath 
                     });
                     isReferenced = productCount > 0;
+                } else if (PRIVATE_FILE_DIRS[uploadDir]) {
+                    isReferenced = await hasFileReferences(PRIVATE_FILE_DIRS[uploadDir], file);
                 }
 
                 if (!isReferenced) {
@@ -441,7 +704,11 @@ const manualTriggers = {
 console.log('✅ All FixPharmacy background jobs initialized successfully!');
 console.log('📅 Schedule:');
 console.log('   🧹 Cart cleanup: Every 10 minutes');
+console.log('   💳 Khalti payment timeout: Every 5 minutes');
+console.log('   🚨 Prescription verification escalation: Every 5 minutes');
 console.log('   📦 Low stock check: Every 6 hours');
+console.log('   ⏰ Stock expiry check: 7 AM daily');
+console.log('   📒 Stock reconciliation: 3 AM daily');
 console.log('   💰 Revenue recording: Every hour');
 console.log('   📊 Daily report: 11 PM daily');
 console.log('   🖼️  Image cleanup: Sunday 1 AM');
@@ -1,4 +1,7 @@
-const { prescriptionUpload, handleUploadError } = require('../utils/multer');
+const { prescriptionUpload, handleUploadError, verifyUploads } = require('../utils/multer');
+const { privateFileUrl } = require('../utils/privateFiles');
+const Cart = require('../models/Cart');
+const FileUpload = require('../models/FileUpload');
 
 // Middleware for single prescription upload
 const uploadPrescription = prescriptionUpload.single('prescription');
@@ -8,6 +11,34 @@ const uploadMultiplePrescriptions = prescriptionUpload.array('prescriptions', 5)
 
 // Note: Error handling is now imported from utils/multer.js for consistency
 
+// Only signed-in customers, or guests with an active cart, may upload prescriptions
+// Runs after optionalAuth; guests identify their cart with the x-guest-id header
+const requirePrescriptionUploader = async (req, res, next) => {
+    try {
+        if (req.user) return next();
+
+        const guestId = req.headers['x-guest-id'];
+        const hasCart = guestId && await Cart.exists({ guestId, user: null, status: 'active' });
+        if (!hasCart) {
+            return res.status(401).json({
+                success: false,
+                message: 'Sign in or start a cart to upload a prescription'
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Remember who uploaded each file - checkout only accepts a customer's own uploads
+const recordUploads = (req, files) => FileUpload.insertMany(files.map(file => ({
+    kind: 'prescriptions',
+    fileName: file.filename,
+    user: req.user?._id || null,
+    guestId: req.user ? null : req.headers['x-guest-id']
+})));
+
 // Prescription upload controller
 const uploadPrescriptionFile = async (req, res, next) => {
     try {
@@ -18,7 +49,8 @@ const uploadPrescriptionFile = async (req, res, next) => {
             });
         }
 
-        const fileUrl = `/uploads/prescriptions/${req.file.filename}`;
+        await recordUploads(req, [req.file]);
+        const fileUrl = privateFileUrl('prescriptions', req.file.filename);
 
         res.status(200).json({
             success: true,
@@ -45,10 +77,11 @@ const uploadMultiplePrescriptionFiles = async (req, res, next) => {
             });
         }
 
+        await recordUploads(req, req.files);
         const uploadedFiles = req.files.map(file => ({
             fileName: file.filename,
             originalName: file.originalname,
-            fileUrl: `/uploads/prescriptions/${file.filename}`,
+            fileUrl: privateFileUrl('prescriptions', file.filename),
             fileSize: file.size
         }));
 
@@ -66,6 +99,8 @@ module.exports = {
     uploadPrescription,
     uploadMultiplePrescriptions,
     handleUploadError,
+    verifyUploads,
+    requirePrescriptionUploader,
     uploadPrescriptionFile,
     uploadMultiplePrescriptionFiles
 };
\ No newline at end of file
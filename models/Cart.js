@@ -66,6 +66,33 @@ const CartSchema = new mongoose.Schema({
         default: 0
     },
 
+    // Prescriptions carried over from a previous order by reorder - used at checkout
+    // when the customer does not upload new ones
+    prescriptions: [{
+        _id: false,
+        // Saved prescription from the vault; the fields below are for ones copied from older orders
+        prescription: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Prescription'
+        },
+        imageUrl: String,
+        fileName: String,
+        doctorName: String,
+        hospitalName: String,
+        prescriptionDate: Date,
+        sourceOrder: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order'
+        }
+    }],
+
+    // Coupon applied to the cart - re-validated whenever the cart is shown and at checkout
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        default: null
+    },
+
     expiresAt: {
         type: Date,
         default: function () {
@@ -108,10 +135,29 @@ CartSchema.methods.extendExpiration = function () {
     this.updatedAt = new Date();
 };
 
+// Controlled medicines: guests cannot buy them and the whole cart stays within the per-prescription limit
+// newQuantity is what the line for purchaseType will hold after the change
+CartSchema.methods.assertControlledQuantity = function (product, purchaseType, newQuantity) {
+    if (!product.isControlled) {
+        return;
+    }
+
+    const units = this.items
+        .filter(item => (item.product._id || item.product).toString() === product._id.toString() &&
+            item.purchaseType !== purchaseType)
+        .reduce(
+            (total, item) => total + product.getDispensedUnits(item.quantity, item.purchaseType),
+            product.getDispensedUnits(newQuantity, purchaseType)
+        );
+
+    product.assertControlledPurchase({ units, isGuest: !this.user });
+};
+
 // Method to add item to cart
-CartSchema.methods.addItem = async function (productId, quantity, purchaseType, pricePerItem) {
+// The caller reserves the stock first with product.reserveStock, which never counts expired or delisted batches
+CartSchema.methods.addItem = async function (productId, quantity, purchaseType, pricePerItem, session = null) {
     const Product = mongoose.model('Product');
-    const product = await Product.findById(productId);
+    const product = await Product.findById(productId).session(session);
     
     if (!product) {
         throw new Error('Product not found');
@@ -130,6 +176,12 @@ CartSchema.methods.addItem = async function (productId, quantity, purchaseType,
             item.purchaseType === purchaseType
     );
 
+    this.assertControlledQuantity(
+        product,
+        purchaseType,
+        quantity + (existingItemIndex > -1 ? this.items[existingItemIndex].quantity : 0)
+    );
+
     if (existingItemIndex > -1) {
         // Calculate new stock needed for the updated quantity
         const newTotalQuantity = this.items[existingItemIndex].quantity + quantity;
@@ -156,10 +208,11 @@ CartSchema.methods.addItem = async function (productId, quantity, purchaseType,
 
     this.calculateTotals();
     this.extendExpiration();
-    return await this.save();
+    return await this.save({ session });
 };
 
 // Method to update item quantity
+// As with addItem, any extra stock must already be reserved with product.reserveStock
 CartSchema.methods.updateItemQuantity = async function (productId, purchaseType, newQuantity) {
     const Product = mongoose.model('Product');
     const product = await Product.findById(productId);
@@ -180,6 +233,8 @@ CartSchema.methods.updateItemQuantity = async function (productId, purchaseType,
     if (newQuantity <= 0) {
         this.items.splice(itemIndex, 1);
     } else {
+        this.assertControlledQuantity(product, purchaseType, newQuantity);
+
         const item = this.items[itemIndex];
         
         // Calculate stock needed based on purchase type
@@ -222,6 +277,8 @@ CartSchema.methods.removeItem = async function (productId, purchaseType) {
 CartSchema.methods.clearCart = async function () {
     const removedItems = [...this.items];
     this.items = [];
+    this.coupon = null;
+    this.prescriptions = [];
     this.calculateTotals();
     return { cart: await this.save(), removedItems };
 };
@@ -247,22 +304,35 @@ CartSchema.statics.cleanupExpiredCarts = async function () {
     const expiredCarts = await this.find({
         status: 'active',
         expiresAt: { $lt: new Date() }
-    }).populate('items.product');
+    }).select('_id');
 
     const Product = mongoose.model('Product');
+    let cleaned = 0;
+
+    for (const { _id } of expiredCarts) {
+        // Claim the cart atomically so a checkout in progress keeps its reservations
+        const cart = await this.findOneAndUpdate(
+            { _id, status: 'active', expiresAt: { $lt: new Date() } },
+            { $set: { status: 'expired', updatedAt: new Date() } },
+            { new: true }
+        );
+        if (!cart) continue;
 
-    for (const cart of expiredCarts) {
         for (const item of cart.items) {
-            if (item.product && item.reservedStock > 0) {
-                await item.product.releaseReservedStock(item.reservedStock);
+            if (item.reservedStock > 0) {
+                const product = await Product.findById(item.product);
+                if (product) {
+                    await product.releaseReservedStock(item.reservedStock, {
+                        reason: 'cart_expiry_release',
+                        reference: { kind: 'Cart', id: cart._id }
+                    });
+                }
             }
         }
-
-        cart.status = 'expired';
-        await cart.save();
+        cleaned++;
     }
 
-    return expiredCarts.length;
+    return cleaned;
 };
 
 // Pre-save middleware
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Counter Schema for collision-free sequential numbers (purchase orders, invoices, etc.)
+const CounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+// Atomically increment and return the next value for a key
+CounterSchema.statics.next = async function (key) {
+    const counter = await this.findOneAndUpdate(
+        { key },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
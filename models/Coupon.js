@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const { PRODUCT_CATEGORIES } = require('../constants/categories');
+require('./CouponRedemption');
+require('./CouponUsage');
+
+// Coupon problems are shown to the customer, so they carry a 400 status for the global error handler
+const couponError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const CouponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Please add a coupon code'],
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+
+    // Discount
+    discountType: {
+        type: String,
+        enum: ['percentage', 'flat'],
+        required: [true, 'Please specify the discount type']
+    },
+    discountValue: {
+        type: Number,
+        required: [true, 'Please add a discount value'],
+        min: 0,
+        validate: {
+            validator: function (value) {
+                return this.discountType !== 'percentage' || value <= 100;
+            },
+            message: 'Percentage discount cannot exceed 100'
+        }
+    },
+    // Cap for percentage discounts (null = no cap)
+    maxDiscount: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Minimum eligible subtotal before the coupon applies
+    minSubtotal: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+
+    // Validity window
+    validFrom: {
+        type: Date,
+        default: Date.now
+    },
+    validUntil: {
+        type: Date,
+        default: null
+    },
+
+    // Usage limits (null = unlimited)
+    usageLimit: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    perUserLimit: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    usageCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Restrictions - empty lists mean the coupon applies to everything
+    applicableCategories: [{
+        type: String,
+        enum: PRODUCT_CATEGORIES
+    }],
+    applicableProducts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    // Only over-the-counter items count towards the discount
+    otcOnly: {
+        type: Boolean,
+        default: false
+    },
+
+    status: {
+        type: String,
+        enum: ['active', 'inactive'],
+        default: 'active'
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+CouponSchema.index({ code: 1 }, { unique: true });
+CouponSchema.index({ status: 1, validUntil: 1 });
+
+// Virtual to check if the global usage limit has been reached
+CouponSchema.virtual('isExhausted').get(function () {
+    return this.usageLimit !== null && this.usageCount >= this.usageLimit;
+});
+
+// Pre-save middleware
+CouponSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+
+    if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+        return next(new Error('Coupon end date must be after its start date'));
+    }
+
+    next();
+});
+
+// Instance Methods
+
+// Check whether an item counts towards the coupon
+// item: { product, category, medicineType }
+CouponSchema.methods.appliesToItem = function (item) {
+    if (this.otcOnly && item.medicineType !== 'OTC') {
+        return false;
+    }
+
+    const hasCategoryRule = this.applicableCategories.length > 0;
+    const hasProductRule = this.applicableProducts.length > 0;
+    if (!hasCategoryRule && !hasProductRule) {
+        return true;
+    }
+
+    const productId = (item.product?._id || item.product)?.toString();
+    return (hasCategoryRule && this.applicableCategories.includes(item.category)) ||
+        (hasProductRule && this.applicableProducts.some(id => id.toString() === productId));
+};
+
+// Work out the discount for a set of items, without the validity and usage checks
+// (also used to re-price an order that already redeemed the coupon)
+// Returns { discount, eligibleSubtotal, eligibleLines } - eligibleLines[i] is whether items[i] counts;
+// throws when the items do not qualify
+CouponSchema.methods.calculateDiscount = function (items) {
+    const eligibleLines = items.map(item => this.appliesToItem(item));
+    const eligibleSubtotal = items
+        .filter((item, index) => eligibleLines[index])
+        .reduce((total, item) => total + item.totalPrice, 0);
+
+    if (eligibleSubtotal === 0) {
+        throw couponError('This coupon does not apply to any items in your cart');
+    }
+    if (eligibleSubtotal < this.minSubtotal) {
+        throw couponError(`Add items worth Rs. ${(this.minSubtotal - eligibleSubtotal).toFixed(2)} more to use this coupon`);
+    }
+
+    let discount = this.discountType === 'percentage'
+        ? eligibleSubtotal * this.discountValue / 100
+        : this.discountValue;
+
+    if (this.maxDiscount !== null) {
+        discount = Math.min(discount, this.maxDiscount);
+    }
+    discount = Math.round(Math.min(discount, eligibleSubtotal) * 100) / 100;
+
+    return { discount, eligibleSubtotal, eligibleLines };
+};
+
+// Validate the coupon for a customer and work out the discount
+// items: [{ product, category, medicineType, totalPrice }]
+// customer: { userId, guestEmail } - used for the per-user limit
+// Returns { discount, eligibleSubtotal, eligibleLines }; throws when the coupon cannot be used
+CouponSchema.methods.evaluate = async function (items, customer = {}) {
+    const now = new Date();
+
+    if (this.status !== 'active') {
+        throw couponError('This coupon is no longer active');
+    }
+    if (this.validFrom && this.validFrom > now) {
+        throw couponError('This coupon is not valid yet');
+    }
+    if (this.validUntil && this.validUntil < now) {
+        throw couponError('This coupon has expired');
+    }
+    if (this.isExhausted) {
+        throw couponError('This coupon has reached its usage limit');
+    }
+
+    if (this.perUserLimit !== null) {
+        const CouponRedemption = mongoose.model('CouponRedemption');
+        const used = await CouponRedemption.countForCustomer(this._id, customer);
+        if (used >= this.perUserLimit) {
+            throw couponError('You have already used this coupon the maximum number of times');
+        }
+    }
+
+    return this.calculateDiscount(items);
+};
+
+// Static Methods
+
+// Find a coupon by the code a customer typed
+CouponSchema.statics.findByCode = function (code) {
+    return this.findOne({ code: String(code || '').trim().toUpperCase() });
+};
+
+// Count a redemption against the global limit
+// Conditional update so concurrent checkouts cannot exceed the limit
+CouponSchema.statics.redeem = async function (couponId, session = null) {
+    const coupon = await this.findOneAndUpdate(
+        {
+            _id: couponId,
+            status: 'active',
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usageCount: 1 }, $set: { updatedAt: new Date() } },
+        { new: true, session }
+    );
+
+    if (!coupon) {
+        throw couponError('This coupon has reached its usage limit');
+    }
+    return coupon;
+};
+
+module.exports = mongoose.model('Coupon', CouponSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Coupon Redemption Schema - one entry per order that used a coupon
+const CouponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+
+    // Registered customer, or the guest email for guest checkouts
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    guestEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: null
+    },
+
+    discountAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+
+    // Reversed when the order is cancelled, so the use no longer counts
+    status: {
+        type: String,
+        enum: ['redeemed', 'reversed'],
+        default: 'redeemed'
+    },
+    reversedAt: Date,
+
+    redeemedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+CouponRedemptionSchema.index({ order: 1 }, { unique: true });
+CouponRedemptionSchema.index({ coupon: 1, user: 1 });
+CouponRedemptionSchema.index({ coupon: 1, guestEmail: 1 });
+
+// Static Methods
+
+// Count how many times a customer has used a coupon
+CouponRedemptionSchema.statics.countForCustomer = function (couponId, { userId = null, guestEmail = null } = {}) {
+    if (!userId && !guestEmail) {
+        return Promise.resolve(0);
+    }
+
+    const query = { coupon: couponId, status: 'redeemed' };
+    if (userId) {
+        query.user = userId;
+    } else {
+        query.guestEmail = guestEmail.toLowerCase();
+    }
+
+    return this.countDocuments(query);
+};
+
+module.exports = mongoose.model('CouponRedemption', CouponRedemptionSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const couponError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Coupon Usage Schema - how many times one customer has redeemed a coupon
+// A counter per customer, so the per-user limit can be claimed with a single conditional update
+const CouponUsageSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+
+    // Registered customer, or the guest email for guest checkouts
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    guestEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: null
+    },
+
+    // Redemptions that still count (reversed ones are given back)
+    count: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+CouponUsageSchema.index({ coupon: 1, user: 1, guestEmail: 1 }, { unique: true });
+
+// Counter key for a customer - null when the customer cannot be identified
+const customerKey = (couponId, { userId = null, guestEmail = null } = {}) => {
+    if (userId) return { coupon: couponId, user: userId, guestEmail: null };
+    if (guestEmail) return { coupon: couponId, user: null, guestEmail: guestEmail.toLowerCase() };
+    return null;
+};
+
+// Static Methods
+
+// Count one use against the coupon's per-user limit
+// The counter starts from the customer's earlier redemptions the first time it is used
+CouponUsageSchema.statics.claim = async function (coupon, customer = {}, session = null) {
+    const key = customerKey(coupon._id, customer);
+    if (coupon.perUserLimit === null || !key) {
+        return false;
+    }
+
+    const CouponRedemption = mongoose.model('CouponRedemption');
+    const used = await CouponRedemption.countDocuments({ ...key, status: 'redeemed' }).session(session);
+    await this.updateOne(key, { $setOnInsert: { count: used } }, { upsert: true, session });
+
+    const usage = await this.findOneAndUpdate(
+        { ...key, count: { $lt: coupon.perUserLimit } },
+        { $inc: { count: 1 }, $set: { updatedAt: new Date() } },
+        { new: true, session }
+    );
+
+    if (!usage) {
+        throw couponError('You have already used this coupon the maximum number of times');
+    }
+    return true;
+};
+
+// Give a use back when a redemption is reversed or the checkout is rolled back
+CouponUsageSchema.statics.release = async function (couponId, customer = {}, session = null) {
+    const key = customerKey(couponId, customer);
+    if (!key) {
+        return;
+    }
+
+    await this.updateOne(
+        { ...key, count: { $gt: 0 } },
+        { $inc: { count: -1 }, $set: { updatedAt: new Date() } },
+        { session }
+    );
+};
+
+module.exports = mongoose.model('CouponUsage', CouponUsageSchema);
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+
+// Fee used when no delivery zones have been configured yet
+// `node seedDatabase.js` creates the starting zones (Rs 50 Biratnagar/Itahari, Rs 100 elsewhere)
+const FALLBACK_DELIVERY_FEE = 100;
+
+// Delivery Zone Schema - fee rules for a set of cities/areas
+const DeliveryZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please add a zone name'],
+        trim: true
+    },
+
+    // Stored lowercase for matching; an empty area list covers the whole city
+    cities: {
+        type: [{ type: String, lowercase: true, trim: true }],
+        default: []
+    },
+    areas: {
+        type: [{ type: String, lowercase: true, trim: true }],
+        default: []
+    },
+
+    // Base fee for an order delivered to this zone
+    flatFee: {
+        type: Number,
+        required: [true, 'Please add a delivery fee'],
+        min: 0
+    },
+    // Subtotal from which the base and weight fees are waived (null = never free)
+    freeDeliveryThreshold: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+
+    // Weight surcharge: perKgFee for every started kg above includedWeightGrams
+    includedWeightGrams: {
+        type: Number,
+        min: 0,
+        default: 2000
+    },
+    perKgFee: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+
+    // Extra charge when any item must travel refrigerated - never waived
+    coldChainSurcharge: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Can cold-chain items be delivered to this zone at all?
+    coldChainAvailable: {
+        type: Boolean,
+        default: true
+    },
+
+    // Zone is known but currently not delivered to
+    isServiceable: {
+        type: Boolean,
+        default: true
+    },
+    // Used for addresses that match no other zone
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+
+    estimatedDeliveryDays: {
+        type: Number,
+        min: 0,
+        default: 1
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+DeliveryZoneSchema.index({ cities: 1 });
+DeliveryZoneSchema.index({ isDefault: 1 });
+
+// Pre-save middleware
+DeliveryZoneSchema.pre('save', async function (next) {
+    try {
+        this.updatedAt = Date.now();
+
+        if (!this.isDefault && this.cities.length === 0) {
+            return next(new Error('A delivery zone needs at least one city unless it is the default zone'));
+        }
+
+        // Only one zone can be the fallback
+        if (this.isDefault && this.isModified('isDefault')) {
+            await this.constructor.updateMany(
+                { _id: { $ne: this._id }, isDefault: true },
+                { $set: { isDefault: false } }
+            );
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Static Methods
+
+// Find the zone for an address: an area match beats a whole-city zone, which beats the default zone
+DeliveryZoneSchema.statics.findForAddress = async function (city, area) {
+    const normalizedCity = (city || '').trim().toLowerCase();
+    const normalizedArea = (area || '').trim().toLowerCase();
+
+    const cityZones = normalizedCity ? await this.find({ cities: normalizedCity }) : [];
+
+    const areaZone = cityZones.find(zone => zone.areas.includes(normalizedArea));
+    if (areaZone) return areaZone;
+
+    const wholeCityZone = cityZones.find(zone => zone.areas.length === 0);
+    if (wholeCityZone) return wholeCityZone;
+
+    return this.findOne({ isDefault: true });
+};
+
+// Work out the delivery fee for an address and a set of items
+// items: [{ product, stockQuantity }] - stockQuantity in the product's stock unit
+DeliveryZoneSchema.statics.quote = async function ({ city, area, items = [], subtotal = 0 }) {
+    const zone = await this.findForAddress(city, area);
+
+    const totalWeightGrams = items.reduce(
+        (total, item) => total + (item.product.weight || 0) * item.stockQuantity,
+        0
+    );
+    const needsColdChain = items.some(item => item.product.requiresColdChain);
+
+    if (!zone) {
+        const hasZones = await this.exists({});
+        return {
+            zone: null,
+            serviceable: !hasZones,
+            message: hasZones ? 'We do not deliver to this location yet' : undefined,
+            baseFee: hasZones ? 0 : FALLBACK_DELIVERY_FEE,
+            weightSurcharge: 0,
+            coldChainSurcharge: 0,
+            freeDeliveryApplied: false,
+            totalWeightGrams,
+            fee: hasZones ? 0 : FALLBACK_DELIVERY_FEE
+        };
+    }
+
+    const quote = {
+        zone: { _id: zone._id, name: zone.name },
+        serviceable: zone.isServiceable && (!needsColdChain || zone.coldChainAvailable),
+        estimatedDeliveryDays: zone.estimatedDeliveryDays,
+        baseFee: zone.flatFee,
+        weightSurcharge: 0,
+        coldChainSurcharge: needsColdChain ? zone.coldChainSurcharge : 0,
+        freeDeliveryApplied: false,
+        freeDeliveryThreshold: zone.freeDeliveryThreshold,
+        totalWeightGrams
+    };
+
+    if (!zone.isServiceable) {
+        quote.message = `Delivery to ${zone.name} is currently unavailable`;
+    } else if (needsColdChain && !zone.coldChainAvailable) {
+        quote.message = `Refrigerated items cannot be delivered to ${zone.name}`;
+    }
+
+    const excessGrams = totalWeightGrams - zone.includedWeightGrams;
+    if (excessGrams > 0 && zone.perKgFee > 0) {
+        quote.weightSurcharge = Math.ceil(excessGrams / 1000) * zone.perKgFee;
+    }
+
+    if (zone.freeDeliveryThreshold !== null && subtotal >= zone.freeDeliveryThreshold) {
+        quote.freeDeliveryApplied = true;
+        quote.baseFee = 0;
+        quote.weightSurcharge = 0;
+    }
+
+    quote.fee = quote.baseFee + quote.weightSurcharge + quote.coldChainSurcharge;
+    return quote;
+};
+
+module.exports = mongoose.model('DeliveryZone', DeliveryZoneSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// File Upload Schema - who uploaded a private file
+// Checkout only accepts prescription files the customer (or guest session) uploaded themselves
+const FileUploadSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['prescriptions', 'signatures'],
+        required: true
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+
+    // Registered customer, or the guest session (x-guest-id) for guest uploads
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    guestId: {
+        type: String,
+        default: null
+    },
+
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+FileUploadSchema.index({ kind: 1, fileName: 1 }, { unique: true });
+
+// Static Methods
+
+// Names out of `fileNames` that this customer or guest session uploaded
+FileUploadSchema.statics.findUploadedBy = async function (kind, fileNames, { userId = null, guestId = null } = {}) {
+    if (fileNames.length === 0 || (!userId && !guestId)) {
+        return new Set();
+    }
+
+    // A customer who signs in at checkout may have uploaded while still browsing as a guest
+    const owners = [];
+    if (userId) owners.push({ user: userId });
+    if (guestId) owners.push({ guestId, user: null });
+
+    const query = { kind, fileName: { $in: fileNames }, $or: owners };
+
+    const uploads = await this.find(query).select('fileName').lean();
+    return new Set(uploads.map(upload => upload.fileName));
+};
+
+module.exports = mongoose.model('FileUpload', FileUploadSchema);
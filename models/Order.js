@@ -1,25 +1,52 @@
 const mongoose = require('mongoose');
+require('./Counter');
+require('./Coupon');
+require('./DeliveryZone');
+require('./Prescription');
+const {
+    ORDER_STATUSES,
+    ORDER_STATUS_TRANSITIONS,
+    PRESCRIPTION_GATED_STATUSES,
+    FULFILMENT_STATUSES,
+    SHIPMENT_STATUSES,
+    SHIPMENT_STATUS_TRANSITIONS,
+    SYSTEM_ROLE
+} = require('../constants/orderStatus');
+const { PRESCRIPTION_CLAIM_MINUTES, PRESCRIPTION_SLA_MINUTES } = require('../constants/prescriptionQueue');
+const { CONTROLLED_DRUG_SCHEDULES } = require('../constants/categories');
+const { generateOrderNumber } = require('../utils/orderNumber');
+const { calculateTax } = require('../utils/tax');
+
+// Copied prescription details are only needed when the order does not reference the vault
+const requiredWithoutVault = function () {
+    return !this.prescription;
+};
 
 // Prescription Schema for handling prescription uploads
+// Orders from signed-in customers reference a saved prescription; guest orders keep a copy
 const PrescriptionSchema = new mongoose.Schema({
+    prescription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Prescription'
+    },
     imageUrl: {
         type: String,
-        required: true
+        required: requiredWithoutVault
     },
     fileName: {
         type: String,
-        required: true
+        required: requiredWithoutVault
     },
     doctorName: {
         type: String,
-        required: true
+        required: requiredWithoutVault
     },
     hospitalName: {
         type: String
     },
     prescriptionDate: {
         type: Date,
-        required: true
+        required: requiredWithoutVault
     },
     verified: {
         type: Boolean,
@@ -37,9 +64,111 @@ const PrescriptionSchema = new mongoose.Schema({
     },
     rejectionReason: {
         type: String
+    },
+    // Set when the prescription was carried over from an earlier order by a reorder
+    carriedOverFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    }
+});
+
+// Bank transfer deposit slip uploaded by the customer
+const TransferProofSchema = new mongoose.Schema({
+    fileUrl: {
+        type: String,
+        required: true
+    },
+    fileName: String,
+    // Bank transaction / deposit reference as written on the slip
+    reference: {
+        type: String,
+        trim: true
+    },
+    amount: {
+        type: Number,
+        min: 0
+    },
+    transferredAt: Date,
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    },
+    status: {
+        type: String,
+        enum: ['pending_review', 'approved', 'rejected'],
+        default: 'pending_review'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    rejectionReason: String
+});
+
+// Original prescription seen at the door - required to deliver controlled medicines
+const prescriptionSightingDefinition = () => ({
+    sightedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    sightedAt: Date,
+    notes: String
+});
+
+// Packing and dispatch details - used for the whole order and for each shipment
+const packingDetailsDefinition = () => ({
+    packedAt: Date,
+    packedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    packedItems: [{
+        itemId: String,
+        productName: String,
+        quantity: Number,
+        packedQuantity: Number,
+        batchNumber: String,
+        expiryDate: Date,
+        notes: String
+    }],
+    packingNotes: String,
+    packageWeight: String,
+    packageDimensions: {
+        length: String,
+        width: String,
+        height: String
+    },
+    specialInstructions: String,
+    fragileItems: {
+        type: Boolean,
+        default: false
+    },
+    coldStorage: {
+        type: Boolean,
+        default: false
     }
 });
 
+const dispatchDetailsDefinition = () => ({
+    dispatchedAt: Date,
+    dispatchedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    deliveryPersonName: String,
+    deliveryPersonPhone: String,
+    vehicleNumber: String,
+    estimatedDeliveryTime: Date,
+    routeInstructions: String,
+    dispatchNotes: String,
+    priorityDelivery: {
+        type: Boolean,
+        default: false
+    },
+    trackingNumber: String
+});
+
 // Order Item Schema
 const OrderItemSchema = new mongoose.Schema({
     product: {
@@ -53,6 +182,7 @@ const OrderItemSchema = new mongoose.Schema({
         brand: String,
         category: String,
         medicineType: String,
+        drugSchedule: String,
         productType: String,
         price: Number,
         image: String
@@ -78,9 +208,222 @@ const OrderItemSchema = new mongoose.Schema({
     prescriptionRequired: {
         type: Boolean,
         default: false
+    },
+    // Tax snapshot at time of order
+    taxClass: {
+        type: String,
+        default: null
+    },
+    taxRate: {
+        type: Number,
+        default: 0
+    },
+    taxAmount: {
+        type: Number,
+        default: 0
+    },
+    // Cost snapshot at time of order - null when the product had no cost price
+    costPricePerItem: {
+        type: Number,
+        default: null
+    },
+    totalCost: {
+        type: Number,
+        default: null
+    },
+    // Batches the stock was taken from (recorded when the sale is confirmed)
+    batchAllocations: [{
+        _id: false,
+        batchNumber: String,
+        expiryDate: Date,
+        quantity: Number,
+        returnedQuantity: {   // Put back into this batch by approved returns
+            type: Number,
+            default: 0
+        }
+    }],
+    // Quantity taken back through approved returns
+    returnedQuantity: {
+        type: Number,
+        default: 0
+    },
+    // Quantity that could not be fulfilled and was cancelled - its stock has been released
+    cancelledQuantity: {
+        type: Number,
+        default: 0
+    },
+    cancellationReason: String,
+    // Pharmacist's review of a prescription-only item - not set until it has been reviewed
+    prescriptionReview: {
+        status: {
+            type: String,
+            enum: ['approved', 'rejected']
+        },
+        // Entry in the order's prescriptions that covers the item
+        prescription: mongoose.Schema.Types.ObjectId,
+        // The line on the prescription, as written by the doctor
+        prescriptionLine: String,
+        orderedQuantity: Number,
+        approvedQuantity: Number,
+        rejectionReason: String,
+        notes: String,
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date
+    }
+});
+
+// Shipment Schema - part of an order sent out on its own, so in-stock items need not wait for the rest
+const ShipmentSchema = new mongoose.Schema({
+    shipmentNumber: String,
+    items: [{
+        _id: false,
+        orderItem: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: 1
+        }
+    }],
+    status: {
+        type: String,
+        enum: SHIPMENT_STATUSES,
+        default: 'pending'
+    },
+    packingDetails: packingDetailsDefinition(),
+    dispatchDetails: dispatchDetailsDefinition(),
+    delivery: {
+        assignedTo: {
+            userId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User' // Delivery person
+            },
+            name: String,
+            phone: String
+        },
+        estimatedDeliveryTime: Date,
+        actualDeliveryTime: Date,
+        deliveryAttempts: {
+            type: Number,
+            default: 0
+        },
+        lastAttemptAt: Date,
+        deliveryNotes: String,
+        prescriptionSighting: prescriptionSightingDefinition()
+    },
+    customerSignature: String,
+    cancellationReason: String,
+    statusHistory: [{
+        status: String,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        },
+        notes: String
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
     }
 });
 
+// Cost ratio assumed for items ordered before cost prices were recorded
+const LEGACY_COST_RATIO = 0.7;
+
+// Rounding slack when comparing refunded amounts with the order total
+const REFUND_TOLERANCE = 0.01;
+
+// Delivered orders keep their recorded revenue after being returned; refunds are subtracted
+const REVENUE_STATUSES = ['delivered', 'partially_returned', 'returned'];
+
+// Revision Schema - a change staff made to the items, sent to the customer for acceptance
+const OrderRevisionSchema = new mongoose.Schema({
+    revisionNumber: Number,
+    changes: [{
+        _id: false,
+        action: {
+            type: String,
+            enum: ['add', 'remove', 'substitute', 'quantity'],
+            required: true
+        },
+        orderItem: mongoose.Schema.Types.ObjectId,
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        productName: String,
+        quantity: Number,
+        // What the line was before the change
+        previousProduct: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        previousProductName: String,
+        previousQuantity: Number
+    }],
+    reason: String,
+    previousTotal: Number,
+    newTotal: Number,
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    editedAt: {
+        type: Date,
+        default: Date.now
+    },
+    status: {
+        type: String,
+        enum: ['pending_acceptance', 'accepted', 'rejected', 'superseded'],
+        default: 'pending_acceptance'
+    },
+    respondedAt: Date,
+    customerNote: String
+});
+
+// Order statuses in which unfulfillable lines can still be cancelled
+// (a split order stays confirmed while any quantity is waiting for a shipment)
+const LINE_CANCELLABLE_STATUSES = ['pending', 'prescription_verified', 'confirmed'];
+
+// Order statuses in which prescription items are reviewed one by one
+const PRESCRIPTION_REVIEW_STATUSES = ['pending', 'prescription_verified'];
+
+// Order status that matches each shipment status
+const SHIPMENT_ORDER_STATUS = {
+    pending: 'confirmed',
+    packed: 'packed',
+    out_for_delivery: 'out_for_delivery',
+    delivered: 'delivered'
+};
+
+// Helper to convert an order item quantity into product stock units
+const getStockQuantity = (item, product, quantity = item.quantity) => {
+    if (item.purchaseType === 'unit' && ['tablet', 'capsule'].includes(product.productType)) {
+        const unitsPerStrip = Number(product.unitsPerStrip) || 1;
+        return Math.ceil(quantity / unitsPerStrip);
+    }
+    return quantity;
+};
+
+// Quantity of an item still to be supplied - ordered less cancelled
+const getActiveQuantity = (item) => item.quantity - (item.cancelledQuantity || 0);
+
+// Narcotic or psychotropic item, going by the schedule when it was ordered
+const isControlledItem = (item) => Boolean(item) && CONTROLLED_DRUG_SCHEDULES.includes(item.productSnapshot?.drugSchedule);
+
 // Main Order Schema
 const OrderSchema = new mongoose.Schema({
     // Order Identification - REMOVED required: true to let pre-save generate it
@@ -132,6 +475,22 @@ const OrderSchema = new mongoose.Schema({
         enum: ['not_required', 'pending_verification', 'verified', 'rejected'],
         default: 'not_required'
     },
+    // Verification queue - the pharmacist working on the order, escalation and the final decision
+    prescriptionQueue: {
+        claimedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        claimedAt: Date,
+        claimExpiresAt: Date,
+        // Admins were emailed that verification is past the SLA
+        escalatedAt: Date,
+        completedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        completedAt: Date
+    },
 
     // Delivery Address
     deliveryAddress: {
@@ -178,6 +537,12 @@ const OrderSchema = new mongoose.Schema({
             type: Number,
             default: 0
         },
+        // inclusive: item prices already contain the tax; exclusive: tax is added to the total
+        taxMode: {
+            type: String,
+            enum: ['inclusive', 'exclusive'],
+            default: 'inclusive'
+        },
         discount: {
             type: Number,
             default: 0
@@ -188,19 +553,21 @@ const OrderSchema = new mongoose.Schema({
         }
     },
 
+    // Coupon applied at checkout
+    coupon: {
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        code: String,
+        discount: Number
+    },
+
     // Order Status
+    // Order Status - changes go through updateStatus, which enforces constants/orderStatus.js
     status: {
         type: String,
-        enum: [
-            'pending',              // Order placed, waiting for prescription verification (if needed)
-            'prescription_verified', // Prescription verified, processing order
-            'confirmed',            // Order confirmed and being prepared
-            'packed',              // Order packed, ready for delivery
-            'out_for_delivery',    // Out for delivery
-            'delivered',           // Successfully delivered
-            'cancelled',           // Order cancelled
-            'returned'             // Order returned
-        ],
+        enum: ORDER_STATUSES,
         default: 'pending'
     },
 
@@ -217,7 +584,37 @@ const OrderSchema = new mongoose.Schema({
             default: 'pending'
         },
         transactionId: String,
-        paidAt: Date
+        // Our reference for the current gateway attempt (eSewa transaction_uuid, Khalti pidx)
+        gatewayReference: String,
+        failureReason: String,
+        // The gateway reported a payment we could not reconcile (e.g. a different amount) - staff settle it by hand
+        needsReview: {
+            type: Boolean,
+            default: false
+        },
+        reviewReason: String,
+        paidAt: Date,
+        // Refunds issued or in progress - guards against refunding more than was paid
+        refundCommitted: {
+            type: Number,
+            default: 0
+        }
+    },
+
+    // Bank transfer reconciliation
+    bankTransfer: {
+        proofs: [TransferProofSchema],
+        // Bank statement line the payment was matched to
+        statementMatch: {
+            transactionDate: Date,
+            description: String,
+            amount: Number,
+            importedAt: Date,
+            importedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        }
     },
 
     // Delivery Information
@@ -243,7 +640,8 @@ const OrderSchema = new mongoose.Schema({
             default: 0
         },
         lastAttemptAt: Date,
-        deliveryNotes: String
+        deliveryNotes: String,
+        prescriptionSighting: prescriptionSightingDefinition()
     },
 
     // Order Notes
@@ -254,6 +652,12 @@ const OrderSchema = new mongoose.Schema({
         internalNotes: String
     },
 
+    // Tax invoice - numbered separately from the order number, in sequence per year
+    invoice: {
+        number: String,
+        issuedAt: Date
+    },
+
     // Revenue Tracking
     revenue: {
         recorded: {
@@ -262,8 +666,21 @@ const OrderSchema = new mongoose.Schema({
         },
         recordedAt: Date,
         grossRevenue: Number, // Total amount received
-        netRevenue: Number,   // After delivery costs, etc.
-        profit: Number        // Revenue minus product costs
+        netRevenue: Number,   // After delivery fee and tax
+        totalCost: Number,    // Cost of the goods sold
+        profit: Number,       // Revenue minus product costs
+        costEstimated: {      // True when some items had no cost snapshot
+            type: Boolean,
+            default: false
+        },
+        refundedAmount: {     // Completed refunds
+            type: Number,
+            default: 0
+        },
+        refundedNetRevenue: { // Share of netRevenue given back by those refunds
+            type: Number,
+            default: 0
+        }
     },
 
     // Cancellation Information
@@ -282,57 +699,21 @@ const OrderSchema = new mongoose.Schema({
     },
 
     // Packing Details
-    packingDetails: {
-        packedAt: Date,
-        packedBy: {
-            type: mongoose.Schema.Types.ObjectId,
-            ref: 'User'
-        },
-        packedItems: [{
-            itemId: String,
-            productName: String,
-            quantity: Number,
-            packedQuantity: Number,
-            batchNumber: String,
-            expiryDate: Date,
-            notes: String
-        }],
-        packingNotes: String,
-        packageWeight: String,
-        packageDimensions: {
-            length: String,
-            width: String,
-            height: String
-        },
-        specialInstructions: String,
-        fragileItems: {
-            type: Boolean,
-            default: false
-        },
-        coldStorage: {
-            type: Boolean,
-            default: false
-        }
-    },
+    packingDetails: packingDetailsDefinition(),
 
     // Dispatch Details
-    dispatchDetails: {
-        dispatchedAt: Date,
-        dispatchedBy: {
-            type: mongoose.Schema.Types.ObjectId,
-            ref: 'User'
-        },
-        deliveryPersonName: String,
-        deliveryPersonPhone: String,
-        vehicleNumber: String,
-        estimatedDeliveryTime: Date,
-        routeInstructions: String,
-        dispatchNotes: String,
-        priorityDelivery: {
-            type: Boolean,
-            default: false
-        },
-        trackingNumber: String
+    dispatchDetails: dispatchDetailsDefinition(),
+
+    // Split shipments - set when the order is sent out in parts
+    shipments: [ShipmentSchema],
+
+    // Item changes made by staff after the order was placed
+    revisions: [OrderRevisionSchema],
+
+    // Set once confirmSale has deducted stock from the shelf
+    stockDeducted: {
+        type: Boolean,
+        default: false
     },
 
     // Legacy fields for backward compatibility
@@ -370,23 +751,28 @@ OrderSchema.index({ status: 1 });
 OrderSchema.index({ createdAt: -1 });
 OrderSchema.index({ 'delivery.assignedTo': 1 });
 OrderSchema.index({ prescriptionStatus: 1 });
+OrderSchema.index({ 'prescriptionQueue.completedAt': 1, 'prescriptionQueue.completedBy': 1 });
+OrderSchema.index({ 'items.batchAllocations.batchNumber': 1 });
+OrderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
+OrderSchema.index({ 'payment.gatewayReference': 1 }, { sparse: true });
+OrderSchema.index({ 'bankTransfer.proofs.status': 1 });
+OrderSchema.index({ 'shipments.status': 1 });
 
 // Pre-save middleware - FIXED to properly generate orderNumber
-OrderSchema.pre('save', function (next) {
+OrderSchema.pre('save', async function (next) {
     // Generate order number if not exists and this is a new document
     if (this.isNew && !this.orderNumber) {
-        const date = new Date();
-        const year = date.getFullYear().toString().slice(-2);
-        const month = (date.getMonth() + 1).toString().padStart(2, '0');
-        const day = date.getDate().toString().padStart(2, '0');
-        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-        this.orderNumber = `FP${year}${month}${day}${random}`;
+        try {
+            this.orderNumber = await generateOrderNumber();
+        } catch (error) {
+            return next(error);
+        }
 
         console.log('Generated order number:', this.orderNumber);
     }
 
-    // Check if order has prescription items
-    this.hasPrescriptionItems = this.items.some(item => item.prescriptionRequired);
+    // Check if order has prescription items (rejected or cancelled ones no longer need a prescription)
+    this.hasPrescriptionItems = this.items.some(item => item.prescriptionRequired && getActiveQuantity(item) > 0);
 
     // Set prescription status based on items
     if (this.hasPrescriptionItems && this.prescriptionStatus === 'not_required') {
@@ -395,7 +781,8 @@ OrderSchema.pre('save', function (next) {
 
     // Calculate totals
     this.pricing.subtotal = this.items.reduce((total, item) => total + item.totalPrice, 0);
-    this.pricing.total = this.pricing.subtotal + this.pricing.deliveryFee + this.pricing.tax - this.pricing.discount;
+    const addedTax = this.pricing.taxMode === 'exclusive' ? this.pricing.tax : 0;
+    this.pricing.total = this.pricing.subtotal + this.pricing.deliveryFee + addedTax - this.pricing.discount;
 
     // Update timestamp
     this.updatedAt = new Date();
@@ -405,8 +792,115 @@ OrderSchema.pre('save', function (next) {
 
 // Instance Methods
 
+// Statuses the order can move to next, for a role
+OrderSchema.methods.getValidNextStatuses = function (role = SYSTEM_ROLE) {
+    const transitions = ORDER_STATUS_TRANSITIONS[this.status] || {};
+    const prescriptionsVerified = !this.hasPrescriptionItems || this.prescriptionStatus === 'verified';
+
+    return Object.entries(transitions)
+        .filter(([, roles]) => role === SYSTEM_ROLE || roles.includes(role))
+        .map(([status]) => status)
+        .filter(status => prescriptionsVerified || !PRESCRIPTION_GATED_STATUSES.includes(status))
+        .filter(status => status !== 'packed' || !this.hasOpenRevision());
+};
+
+// True while the customer has not accepted the latest change to the items
+OrderSchema.methods.hasOpenRevision = function () {
+    const latest = this.revisions[this.revisions.length - 1];
+    return ['pending_acceptance', 'rejected'].includes(latest?.status);
+};
+
+// Throw a structured error unless the role may move the order to newStatus
+// The error carries details { currentStatus, requestedStatus, validNextStates } for the response
+OrderSchema.methods.assertTransition = function (newStatus, role = SYSTEM_ROLE) {
+    const transitionError = (status, code, message) => Object.assign(new Error(message), {
+        status,
+        code,
+        details: {
+            code,
+            currentStatus: this.status,
+            requestedStatus: newStatus,
+            validNextStates: this.getValidNextStatuses(role)
+        }
+    });
+
+    if (!ORDER_STATUSES.includes(newStatus)) {
+        throw transitionError(400, 'INVALID_STATUS', `Unknown order status: ${newStatus}`);
+    }
+
+    const allowedRoles = (ORDER_STATUS_TRANSITIONS[this.status] || {})[newStatus];
+    if (!allowedRoles) {
+        throw transitionError(
+            400,
+            'INVALID_STATUS_TRANSITION',
+            `Cannot change order status from ${this.status} to ${newStatus}`
+        );
+    }
+
+    if (role !== SYSTEM_ROLE && !allowedRoles.includes(role)) {
+        throw transitionError(
+            403,
+            'STATUS_TRANSITION_FORBIDDEN',
+            `A ${role} cannot change order status from ${this.status} to ${newStatus}`
+        );
+    }
+
+    if (PRESCRIPTION_GATED_STATUSES.includes(newStatus) &&
+        this.hasPrescriptionItems &&
+        this.prescriptionStatus !== 'verified') {
+        throw transitionError(
+            400,
+            'PRESCRIPTION_NOT_VERIFIED',
+            `Prescriptions must be verified before the order can be ${newStatus.replace(/_/g, ' ')}`
+        );
+    }
+
+    if (newStatus === 'packed' && this.hasOpenRevision()) {
+        const rejected = this.revisions[this.revisions.length - 1].status === 'rejected';
+        throw transitionError(
+            400,
+            'REVISION_NOT_ACCEPTED',
+            rejected
+                ? 'The customer rejected the revised order - edit it again or cancel it'
+                : 'The customer has not accepted the revised order yet'
+        );
+    }
+
+    // Controlled medicines are handed over only against the original prescription
+    // (split orders check each shipment instead)
+    if (newStatus === 'delivered' && this.shipments.length === 0 &&
+        this.hasControlledItems() && !this.delivery.prescriptionSighting?.sightedAt) {
+        throw transitionError(
+            400,
+            'PRESCRIPTION_NOT_SIGHTED',
+            'This order contains controlled medicines - confirm the original prescription was seen before delivering'
+        );
+    }
+
+    // Split orders move through fulfilment with their shipments
+    if (this.shipments.length > 0 && role !== SYSTEM_ROLE &&
+        FULFILMENT_STATUSES.includes(newStatus) && newStatus !== 'confirmed') {
+        throw transitionError(
+            400,
+            'STATUS_FOLLOWS_SHIPMENTS',
+            'This order is split into shipments - update the shipments instead'
+        );
+    }
+
+    if (newStatus === 'cancelled' && this.shipments.some(shipment => shipment.status === 'delivered')) {
+        throw transitionError(
+            400,
+            'SHIPMENT_DELIVERED',
+            'Part of this order has been delivered - cancel the remaining items instead'
+        );
+    }
+};
+
 // Update order status with history tracking
-OrderSchema.methods.updateStatus = async function (newStatus, updatedBy, notes = '') {
+// role is the acting user's role; automated callers leave it as 'system'
+OrderSchema.methods.updateStatus = async function (newStatus, updatedBy, notes = '', { role = SYSTEM_ROLE } = {}) {
+    this.assertTransition(newStatus, role);
+
     const oldStatus = this.status;
     this.status = newStatus;
 
@@ -419,6 +913,11 @@ OrderSchema.methods.updateStatus = async function (newStatus, updatedBy, notes =
 
     // Handle status-specific actions
     switch (newStatus) {
+        case 'confirmed':
+            // Take the stock off the shelf and record the batches used, whichever path confirmed the order
+            await this.confirmSale(updatedBy);
+            break;
+
         case 'delivered':
             this.delivery.actualDeliveryTime = new Date();
             this.payment.status = 'paid'; // For COD orders
@@ -428,27 +927,62 @@ OrderSchema.methods.updateStatus = async function (newStatus, updatedBy, notes =
             break;
 
         case 'cancelled':
+            // Nothing more goes out
+            for (const shipment of this.shipments) {
+                if (shipment.status !== 'cancelled') {
+                    shipment.status = 'cancelled';
+                    shipment.statusHistory.push({ status: 'cancelled', changedBy: updatedBy, notes: 'Order cancelled' });
+                }
+            }
             // Release reserved stock
-            await this.releaseReservedStock();
+            await this.releaseReservedStock(updatedBy);
+            // Nothing was dispensed - the prescription refills can be used again
+            await mongoose.model('Prescription').releaseFills(this._id);
+            // Give the coupon use back to the customer
+            await this.reverseCouponRedemption();
             break;
     }
 
-    return await this.save();
+    await this.save();
+
+    // Goods handed over - issue the tax invoice
+    if (newStatus === 'delivered') {
+        await this.assignInvoiceNumber();
+    }
+    return this;
 };
 
 // Record revenue when order is delivered
 OrderSchema.methods.recordRevenue = async function () {
     if (this.status === 'delivered' && !this.revenue.recorded) {
-        this.revenue.grossRevenue = this.pricing.total;
-        this.revenue.netRevenue = this.pricing.total - this.pricing.deliveryFee;
+        // Cancelled lines are not collected on cash on delivery - prepaid orders refund them instead
+        let uncollected = 0;
+        let uncollectedNet = 0;
+        if (this.payment.method === 'cod') {
+            for (const item of this.items) {
+                uncollected += (item.cancelledQuantity || 0) * this.getItemUnitAmount(item);
+                uncollectedNet += (item.cancelledQuantity || 0) * this.getItemUnitAmount(item, { includeTax: false });
+            }
+        }
+
+        this.revenue.grossRevenue = this.pricing.total - uncollected;
+        this.revenue.netRevenue = this.pricing.total - this.pricing.deliveryFee - (this.pricing.tax || 0) - uncollectedNet;
 
-        // Calculate profit (you might want to store cost price in product)
+        // Cost of goods from the snapshots taken at order time, for what was actually supplied
         let totalCost = 0;
+        let costEstimated = false;
         for (const item of this.items) {
-            // Assuming 70% of price is cost (you can modify this logic)
-            totalCost += item.totalPrice * 0.7;
+            const suppliedShare = getActiveQuantity(item) / item.quantity;
+            if (item.totalCost !== null && item.totalCost !== undefined) {
+                totalCost += item.totalCost * suppliedShare;
+            } else {
+                totalCost += item.totalPrice * LEGACY_COST_RATIO * suppliedShare;
+                costEstimated = true;
+            }
         }
 
+        this.revenue.totalCost = totalCost;
+        this.revenue.costEstimated = costEstimated;
         this.revenue.profit = this.revenue.netRevenue - totalCost;
         this.revenue.recorded = true;
         this.revenue.recordedAt = new Date();
@@ -457,50 +991,908 @@ OrderSchema.methods.recordRevenue = async function () {
     }
 };
 
-// Release reserved stock (for cancelled orders)
-OrderSchema.methods.releaseReservedStock = async function () {
-    const Product = mongoose.model('Product');
+// Issue the next invoice number if the order does not have one yet
+// Written with a conditional update so concurrent requests cannot give one order two fiscal numbers
+OrderSchema.methods.assignInvoiceNumber = async function () {
+    if (this.invoice?.number) {
+        return this;
+    }
 
-    for (const item of this.items) {
+    const current = await this.constructor.findById(this._id).select('invoice').lean();
+    let invoice = current?.invoice;
+
+    if (!invoice?.number) {
+        const Counter = mongoose.model('Counter');
+        const year = new Date().getFullYear();
+        const seq = await Counter.next(`invoice-${year}`);
+
+        const updated = await this.constructor.findOneAndUpdate(
+            { _id: this._id, 'invoice.number': { $exists: false } },
+            {
+                $set: {
+                    invoice: {
+                        number: `INV-${year}-${seq.toString().padStart(6, '0')}`,
+                        issuedAt: new Date()
+                    }
+                }
+            },
+            { new: true, projection: { invoice: 1 } }
+        ).lean();
+
+        // Another request issued it first - use theirs
+        invoice = updated
+            ? updated.invoice
+            : (await this.constructor.findById(this._id).select('invoice').lean()).invoice;
+    }
+
+    this.invoice = invoice;
+    this.unmarkModified('invoice');
+    return this;
+};
+
+// Invoices are issued once the goods are delivered or the order is paid for
+OrderSchema.methods.issueInvoice = async function () {
+    if (this.invoice?.number) {
+        return this;
+    }
+
+    if (this.status !== 'delivered' && this.payment.status !== 'paid') {
+        throw Object.assign(
+            new Error('An invoice can be issued once the order has been paid for or delivered'),
+            { status: 400 }
+        );
+    }
+
+    return await this.assignInvoiceNumber();
+};
+
+// Record a confirmed online payment
+// Conditional update so a repeated gateway callback is only applied once; resolves true when this call recorded it
+OrderSchema.methods.markPaid = async function ({ transactionId, paidAt = new Date() } = {}) {
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, 'payment.status': { $ne: 'paid' } },
+        {
+            $set: {
+                'payment.status': 'paid',
+                'payment.transactionId': transactionId,
+                'payment.paidAt': paidAt
+            },
+            $unset: { 'payment.failureReason': 1 }
+        },
+        { new: true }
+    );
+
+    if (updated) {
+        this.payment = updated.payment;
+        // Paid for - issue the tax invoice, which doubles as the receipt
+        await this.assignInvoiceNumber();
+    }
+    return Boolean(updated);
+};
+
+// Record a failed or abandoned gateway attempt - the customer can retry
+OrderSchema.methods.markPaymentFailed = async function (reason) {
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, 'payment.status': 'pending' },
+        { $set: { 'payment.status': 'failed', 'payment.failureReason': reason } },
+        { new: true }
+    );
+
+    if (updated) {
+        this.payment = updated.payment;
+    }
+    return Boolean(updated);
+};
+
+// Hold a gateway payment for staff - it is left out of the unpaid order sweep until settled
+OrderSchema.methods.flagPaymentForReview = async function (reason) {
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, 'payment.status': { $in: ['pending', 'failed'] } },
+        { $set: { 'payment.needsReview': true, 'payment.reviewReason': reason } },
+        { new: true }
+    );
+
+    if (updated) {
+        this.payment = updated.payment;
+    }
+    return Boolean(updated);
+};
+
+// Close any deposit slips still awaiting review once a bank transfer is settled
+// The caller saves
+OrderSchema.methods.approvePendingTransferProofs = function (reviewedBy) {
+    for (const proof of this.bankTransfer?.proofs || []) {
+        if (proof.status === 'pending_review') {
+            proof.status = 'approved';
+            proof.reviewedBy = reviewedBy;
+            proof.reviewedAt = new Date();
+        }
+    }
+};
+
+// Reserve part of the paid amount for a refund
+// Conditional update so concurrent refunds can never add up to more than the order total
+OrderSchema.statics.commitRefund = async function (orderId, amount) {
+    const updated = await this.findOneAndUpdate(
+        {
+            _id: orderId,
+            $expr: {
+                $lte: [
+                    { $add: [{ $ifNull: ['$payment.refundCommitted', 0] }, amount] },
+                    { $add: ['$pricing.total', REFUND_TOLERANCE] }
+                ]
+            }
+        },
+        { $inc: { 'payment.refundCommitted': amount } },
+        { new: true }
+    );
+
+    if (!updated) {
+        throw Object.assign(
+            new Error('Refund amount exceeds the amount that can still be refunded'),
+            { status: 400 }
+        );
+    }
+    return updated;
+};
+
+// Give back a reservation made by commitRefund (refund failed)
+OrderSchema.statics.releaseRefund = function (orderId, amount) {
+    return this.updateOne({ _id: orderId }, { $inc: { 'payment.refundCommitted': -amount } });
+};
+
+// What the customer pays for one unit of an item: its price less its share of the order
+// discount, plus tax when tax was added on top of prices
+OrderSchema.methods.getItemUnitAmount = function (item, { includeTax = true } = {}) {
+    const { subtotal, discount = 0, taxMode } = this.pricing;
+    const discountRatio = subtotal > 0 ? Math.min(1, discount / subtotal) : 0;
+    const lineTax = includeTax && taxMode === 'exclusive' ? (item.taxAmount || 0) : 0;
+    return (item.totalPrice * (1 - discountRatio) + lineTax) / item.quantity;
+};
+
+// Book a completed refund against the order's payment and revenue (caller saves)
+OrderSchema.methods.applyRefund = function (amount) {
+    const round = (value) => Math.round(value * 100) / 100;
+
+    this.revenue.refundedAmount = round((this.revenue.refundedAmount || 0) + amount);
+
+    // Revenue is only recorded for delivered orders - give back the same share of net revenue
+    if (this.revenue.recorded && this.revenue.grossRevenue > 0) {
+        const netShare = amount * (this.revenue.netRevenue / this.revenue.grossRevenue);
+        this.revenue.refundedNetRevenue = round((this.revenue.refundedNetRevenue || 0) + netShare);
+    }
+
+    const fullyRefunded = this.revenue.refundedAmount >= this.pricing.total - REFUND_TOLERANCE;
+    if (fullyRefunded) {
+        this.payment.status = 'refunded';
+    }
+
+    if (this.status === 'cancelled') {
+        this.cancellation.refundAmount = this.revenue.refundedAmount;
+        this.cancellation.refundProcessed = fullyRefunded;
+    }
+};
+
+// Take back returned items, restock the sellable ones and move the order to returned / partially_returned
+// returnItems: [{ orderItem, quantity, restock }] - only whole packages can go back on the shelf
+// Resolves with the restocked items and the batches they went back into
+OrderSchema.methods.processReturn = async function (returnItems, { actor = null, reference = null, notes = '' } = {}) {
+    const Product = mongoose.model('Product');
+    const restocked = [];
+
+    for (const { orderItem, quantity, restock } of returnItems) {
+        const item = this.items.id(orderItem);
+        item.returnedQuantity = (item.returnedQuantity || 0) + quantity;
+
+        if (!restock || item.purchaseType !== 'package') {
+            continue;
+        }
+
+        // Back into the batches the sale came from, as far as they have not been returned already
+        const batches = [];
+        let remaining = quantity;
+        for (const allocation of item.batchAllocations) {
+            const returnable = allocation.quantity - (allocation.returnedQuantity || 0);
+            const take = Math.min(returnable, remaining);
+            if (take <= 0) continue;
+
+            allocation.returnedQuantity = (allocation.returnedQuantity || 0) + take;
+            batches.push({ batchNumber: allocation.batchNumber, quantity: take });
+            remaining -= take;
+            if (remaining === 0) break;
+        }
+
+        const product = await Product.findById(item.product);
+        if (product) {
+            await product.restoreStock(quantity, batches, {
+                reason: 'customer_return_restock',
+                actor,
+                reference,
+                notes
+            });
+            restocked.push({ orderItem, quantity, batches });
+        }
+    }
+
+    const fullyReturned = this.items.every(item => (item.returnedQuantity || 0) >= getActiveQuantity(item));
+    await this.updateStatus(fullyReturned ? 'returned' : 'partially_returned', actor, notes);
+
+    return restocked;
+};
+
+// Move an item's stock from one quantity to another (caller saves)
+// Before the sale is confirmed only the reservation changes; afterwards stock is deducted from,
+// or put back into, batches and the item's batch allocations follow.
+// context.reason is recorded for both directions (sales deductions stay order_sale)
+OrderSchema.methods.adjustItemStock = async function (item, product, fromQuantity, toQuantity, context = {}) {
+    // Units are held by the strip - only whole strips are reserved or released
+    const change = getStockQuantity(item, product, toQuantity) - getStockQuantity(item, product, fromQuantity);
+
+    if (change > 0) {
+        await product.reserveStock(change, context);
+        if (this.stockDeducted) {
+            let allocations;
+            try {
+                allocations = await product.deductStock(change, { ...context, reason: 'order_sale' });
+            } catch (error) {
+                // Without a transaction the reservation would be left behind
+                if (!context.session) {
+                    await product.releaseReservedStock(change, context);
+                }
+                throw error;
+            }
+            for (const allocation of allocations) {
+                const existing = item.batchAllocations.find(a => a.batchNumber === allocation.batchNumber);
+                if (existing) {
+                    existing.quantity += allocation.quantity;
+                } else {
+                    item.batchAllocations.push(allocation);
+                }
+            }
+        }
+    } else if (change < 0 && this.stockDeducted) {
+        // The later-expiring batches go back on the shelf first
+        const batches = [];
+        let toReturn = -change;
+        for (let i = item.batchAllocations.length - 1; i >= 0 && toReturn > 0; i--) {
+            const allocation = item.batchAllocations[i];
+            const take = Math.min(allocation.quantity - (allocation.returnedQuantity || 0), toReturn);
+            if (take <= 0) continue;
+
+            allocation.quantity -= take;
+            batches.push({ batchNumber: allocation.batchNumber, quantity: take });
+            toReturn -= take;
+        }
+        item.batchAllocations = item.batchAllocations.filter(allocation => allocation.quantity > 0);
+
+        await product.restoreStock(-change, batches, context);
+    } else if (change < 0) {
+        await product.releaseReservedStock(-change, context);
+    }
+};
+
+// Recompute the pricing after the items changed - tax, coupon discount and delivery fee (caller saves)
+OrderSchema.methods.recalculatePricing = async function () {
+    const Product = mongoose.model('Product');
+    const products = await Promise.all(this.items.map(item => Product.findById(item.product)));
+    const subtotal = this.items.reduce((total, item) => total + item.totalPrice, 0);
+
+    // The coupon was redeemed with the order, so only its discount rules are applied again
+    let discount = 0;
+    let eligibleLines = [];
+    if (this.coupon?.coupon) {
+        const coupon = await mongoose.model('Coupon').findById(this.coupon.coupon);
+        if (coupon) {
+            try {
+                ({ discount, eligibleLines } = coupon.calculateDiscount(this.items.map(item => ({
+                    product: item.product,
+                    category: item.productSnapshot.category,
+                    medicineType: item.productSnapshot.medicineType,
+                    totalPrice: item.totalPrice
+                }))));
+            } catch (error) {
+                // The revised items no longer qualify for the coupon
+                discount = 0;
+            }
+        }
+        this.coupon.discount = discount;
+    }
+
+    const deliveryQuote = await mongoose.model('DeliveryZone').quote({
+        city: this.deliveryAddress.city,
+        area: this.deliveryAddress.area,
+        items: this.items
+            .map((item, index) => ({ product: products[index], stockQuantity: getActiveQuantity(item) }))
+            .filter(entry => entry.product),
+        subtotal
+    });
+    if (!deliveryQuote.serviceable) {
+        throw Object.assign(
+            new Error(deliveryQuote.message || 'The revised items cannot be delivered to this address'),
+            { status: 400 }
+        );
+    }
+
+    // Products removed from the catalogue keep the tax class they were ordered with
+    const tax = await calculateTax(
+        this.items.map((item, index) => ({
+            product: products[index] || { taxClass: item.taxClass, category: item.productSnapshot.category },
+            amount: item.totalPrice,
+            discountable: Boolean(eligibleLines[index])
+        })),
+        { discount }
+    );
+    this.items.forEach((item, index) => item.set(tax.lines[index]));
+
+    this.pricing.subtotal = subtotal;
+    this.pricing.deliveryFee = deliveryQuote.fee;
+    this.pricing.discount = discount;
+    this.pricing.tax = tax.totalTax;
+    this.pricing.taxMode = tax.mode;
+    this.pricing.total = subtotal + deliveryQuote.fee - discount + (tax.mode === 'exclusive' ? tax.totalTax : 0);
+};
+
+// Quantity of each order item (by item id) in shipments that have not been cancelled
+OrderSchema.methods.getShippedQuantities = function () {
+    const shipped = new Map();
+    for (const shipment of this.shipments) {
+        if (shipment.status === 'cancelled') continue;
+
+        for (const line of shipment.items) {
+            const key = line.orderItem.toString();
+            shipped.set(key, (shipped.get(key) || 0) + line.quantity);
+        }
+    }
+    return shipped;
+};
+
+// Quantity of an item that is neither cancelled nor in a shipment
+OrderSchema.methods.getUnshippedQuantity = function (item, shipped = this.getShippedQuantities()) {
+    return getActiveQuantity(item) - (shipped.get(item._id.toString()) || 0);
+};
+
+// Check [{ itemId, quantity }] against the quantity not yet in a shipment
+// Resolves each line to its order item; throws a 400 error for anything else
+OrderSchema.methods.resolveUnshippedLines = function (lines) {
+    const lineError = (message) => Object.assign(new Error(message), { status: 400 });
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+        throw lineError('Select at least one item');
+    }
+
+    const shipped = this.getShippedQuantities();
+    const requested = new Map();
+
+    return lines.map(({ itemId, quantity }) => {
+        const item = this.items.id(itemId);
+        if (!item) {
+            throw lineError(`Item ${itemId} is not part of this order`);
+        }
+
+        const key = item._id.toString();
+        const available = this.getUnshippedQuantity(item, shipped) - (requested.get(key) || 0);
+        const qty = Number(quantity);
+        if (!Number.isInteger(qty) || qty < 1 || qty > available) {
+            throw lineError(`Quantity for ${item.productSnapshot?.name || itemId} must be between 1 and ${available}`);
+        }
+
+        requested.set(key, (requested.get(key) || 0) + qty);
+        return { item, quantity: qty };
+    });
+};
+
+// Put part of a confirmed order into a new shipment
+// lines: [{ itemId, quantity }] - only quantity not already in a shipment can be added
+OrderSchema.methods.createShipment = async function (lines, { actor = null, notes = '' } = {}) {
+    if (this.status !== 'confirmed' || !this.stockDeducted) {
+        throw Object.assign(
+            new Error(`Shipments can only be created for confirmed orders - this order is ${this.status.replace(/_/g, ' ')}`),
+            { status: 400 }
+        );
+    }
+
+    const resolved = this.resolveUnshippedLines(lines);
+
+    this.shipments.push({
+        shipmentNumber: `${this.orderNumber}-${this.shipments.length + 1}`,
+        items: resolved.map(({ item, quantity }) => ({ orderItem: item._id, quantity })),
+        createdBy: actor,
+        statusHistory: [{ status: 'pending', changedBy: actor, notes: notes || 'Shipment created' }]
+    });
+    const shipment = this.shipments[this.shipments.length - 1];
+
+    await this.syncStatusWithShipments(actor);
+    await this.save();
+    return shipment;
+};
+
+// Move a shipment along, then bring the order status in line
+OrderSchema.methods.updateShipmentStatus = async function (shipmentId, newStatus, actor = null, notes = '') {
+    const shipment = this.shipments.id(shipmentId);
+    if (!shipment) {
+        throw Object.assign(new Error('Shipment not found'), { status: 404 });
+    }
+
+    const validNextStates = SHIPMENT_STATUS_TRANSITIONS[shipment.status] || [];
+    if (!validNextStates.includes(newStatus)) {
+        const code = 'INVALID_SHIPMENT_TRANSITION';
+        throw Object.assign(
+            new Error(`Cannot change shipment status from ${shipment.status} to ${newStatus}`),
+            {
+                status: 400,
+                code,
+                details: { code, currentStatus: shipment.status, requestedStatus: newStatus, validNextStates }
+            }
+        );
+    }
+
+    if (newStatus === 'delivered' && !shipment.delivery.prescriptionSighting?.sightedAt &&
+        shipment.items.some(line => isControlledItem(this.items.id(line.orderItem)))) {
+        const code = 'PRESCRIPTION_NOT_SIGHTED';
+        throw Object.assign(
+            new Error('This shipment contains controlled medicines - confirm the original prescription was seen before delivering'),
+            { status: 400, code, details: { code, shipment: shipment.shipmentNumber } }
+        );
+    }
+
+    shipment.status = newStatus;
+    shipment.statusHistory.push({ status: newStatus, changedBy: actor, notes });
+
+    switch (newStatus) {
+        case 'out_for_delivery':
+            shipment.delivery.deliveryAttempts = (shipment.delivery.deliveryAttempts || 0) + 1;
+            shipment.delivery.lastAttemptAt = new Date();
+            break;
+
+        case 'delivered':
+            shipment.delivery.actualDeliveryTime = new Date();
+            break;
+
+        case 'cancelled':
+            // The items are free to go into another shipment
+            shipment.cancellationReason = notes;
+            break;
+    }
+
+    await this.syncStatusWithShipments(actor);
+    await this.save();
+    return shipment;
+};
+
+// Cancel lines (or part of them) that cannot be fulfilled and release their stock
+// lines: [{ itemId, quantity }] - quantity already in a shipment has to stay with it
+OrderSchema.methods.cancelItems = async function (lines, { actor = null, reason = '' } = {}) {
+    if (!LINE_CANCELLABLE_STATUSES.includes(this.status)) {
+        throw Object.assign(
+            new Error(`Items cannot be cancelled once the order is ${this.status.replace(/_/g, ' ')}`),
+            { status: 400 }
+        );
+    }
+
+    const resolved = this.resolveUnshippedLines(lines);
+    const Product = mongoose.model('Product');
+    const context = { actor, reference: { kind: 'Order', id: this._id }, notes: reason };
+
+    for (const { item, quantity } of resolved) {
         const product = await Product.findById(item.product);
         if (product) {
-            // Calculate how much stock to release
-            let stockToRelease;
-            if (item.purchaseType === 'unit' && ['tablet', 'capsule'].includes(product.productType)) {
-                const unitsPerStrip = Number(product.unitsPerStrip) || 1;
-                stockToRelease = Math.ceil(item.quantity / unitsPerStrip);
+            await this.adjustItemStock(item, product, getActiveQuantity(item), getActiveQuantity(item) - quantity, {
+                reason: this.stockDeducted ? 'order_cancel_restock' : 'order_cancel_release',
+                ...context
+            });
+        }
+
+        item.cancelledQuantity = (item.cancelledQuantity || 0) + quantity;
+        item.cancellationReason = reason;
+    }
+
+    await this.syncStatusWithShipments(actor);
+    return await this.save();
+};
+
+// Review prescription items one by one and save the order
+// reviews: [{ itemId, action: 'approve', prescriptionId, prescriptionLine, approvedQuantity, notes }
+//           { itemId, action: 'reject', reason, notes }]
+// Quantity that is not approved is cancelled and its stock released. Unpaid orders are repriced;
+// paid ones keep their total and the cancelled quantity is refunded as usual.
+// Once every prescription item is reviewed the prescription status is settled and the order moves on.
+OrderSchema.methods.reviewPrescriptionItems = async function (reviews, { actor = null } = {}) {
+    const reviewError = (message) => Object.assign(new Error(message), { status: 400 });
+
+    if (!PRESCRIPTION_REVIEW_STATUSES.includes(this.status)) {
+        throw reviewError(`Prescription items cannot be reviewed once the order is ${this.status.replace(/_/g, ' ')}`);
+    }
+    if (!Array.isArray(reviews) || reviews.length === 0) {
+        throw reviewError('Provide at least one item to review');
+    }
+
+    // Check every review before any stock moves
+    const resolved = [];
+    for (const review of reviews) {
+        const item = this.items.id(review?.itemId);
+        if (!item) {
+            throw reviewError(`Item ${review?.itemId} is not part of this order`);
+        }
+        const name = item.productSnapshot?.name || 'An item';
+        if (!item.prescriptionRequired) {
+            throw reviewError(`${name} does not need a prescription`);
+        }
+        if (item.prescriptionReview?.status) {
+            throw reviewError(`${name} has already been reviewed`);
+        }
+        if (resolved.some(entry => entry.item._id.equals(item._id))) {
+            throw reviewError(`${name} can only be reviewed once`);
+        }
+
+        const activeQuantity = getActiveQuantity(item);
+        if (review.action === 'approve') {
+            const orderPrescription = this.prescriptions.id(review.prescriptionId);
+            if (!orderPrescription) {
+                throw reviewError(`Choose the prescription that covers ${name}`);
+            }
+            // A saved prescription with its products recorded only covers those products
+            if (orderPrescription.prescription) {
+                const saved = await mongoose.model('Prescription').findById(orderPrescription.prescription).select('coveredProducts');
+                if (saved?.coveredProducts.length > 0 && !saved.coveredProducts.some(id => id.equals(item.product))) {
+                    throw reviewError(`${name} is not one of the products recorded on that prescription`);
+                }
+            }
+            const approvedQuantity = review.approvedQuantity === undefined ? activeQuantity : Number(review.approvedQuantity);
+            if (!Number.isInteger(approvedQuantity) || approvedQuantity < 1 || approvedQuantity > activeQuantity) {
+                throw reviewError(`Approved quantity for ${name} must be between 1 and ${activeQuantity}`);
+            }
+            resolved.push({ item, review, activeQuantity, approvedQuantity });
+        } else if (review.action === 'reject') {
+            if (!review.reason) {
+                throw reviewError(`Give a reason for rejecting ${name}`);
+            }
+            resolved.push({ item, review, activeQuantity, approvedQuantity: 0 });
+        } else {
+            throw reviewError('Action must be approve or reject');
+        }
+    }
+
+    const repriced = this.payment.status !== 'paid';
+    const reviewedAt = new Date();
+    const stockChanges = [];
+
+    for (const { item, review, activeQuantity, approvedQuantity } of resolved) {
+        if (approvedQuantity < activeQuantity) {
+            const reason = approvedQuantity > 0
+                ? `Prescription covers ${approvedQuantity} of ${activeQuantity}`
+                : `Prescription rejected: ${review.reason}`;
+            stockChanges.push({ item, activeQuantity, approvedQuantity, reason });
+
+            if (repriced && approvedQuantity > 0) {
+                // Charge for the approved quantity only
+                item.quantity = approvedQuantity + (item.cancelledQuantity || 0);
+                item.totalPrice = item.pricePerItem * item.quantity;
+                if (item.costPricePerItem !== null && item.costPricePerItem !== undefined) {
+                    item.totalCost = item.costPricePerItem * item.quantity;
+                }
             } else {
-                stockToRelease = item.quantity;
+                item.cancelledQuantity = (item.cancelledQuantity || 0) + activeQuantity - approvedQuantity;
+                item.cancellationReason = reason;
+                // A rejected line on an unpaid order is not charged at all
+                if (repriced) {
+                    item.totalPrice = 0;
+                }
             }
+        }
 
-            await product.releaseReservedStock(stockToRelease);
+        item.prescriptionReview = {
+            status: approvedQuantity > 0 ? 'approved' : 'rejected',
+            prescription: approvedQuantity > 0 ? review.prescriptionId : undefined,
+            prescriptionLine: review.prescriptionLine,
+            orderedQuantity: activeQuantity,
+            approvedQuantity,
+            rejectionReason: approvedQuantity > 0 ? undefined : review.reason,
+            notes: review.notes,
+            reviewedBy: actor,
+            reviewedAt
+        };
+
+        // A prescription that covers an approved item has been checked
+        if (approvedQuantity > 0) {
+            const prescription = this.prescriptions.id(review.prescriptionId);
+            if (!prescription.verified) {
+                prescription.verified = true;
+                prescription.verifiedBy = actor;
+                prescription.verifiedAt = reviewedAt;
+            }
         }
     }
+
+    if (repriced) {
+        await this.recalculatePricing();
+    }
+
+    // Save the reviews before any stock moves - the version check makes a concurrent review of
+    // the same order fail here instead of releasing the stock a second time
+    this.increment();
+    try {
+        await this.save();
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            throw Object.assign(
+                new Error('This order was changed while you were reviewing it - reload it and review again'),
+                { status: 409 }
+            );
+        }
+        throw error;
+    }
+
+    const Product = mongoose.model('Product');
+    const context = {
+        actor,
+        reference: { kind: 'Order', id: this._id },
+        reason: this.stockDeducted ? 'order_cancel_restock' : 'order_cancel_release'
+    };
+
+    for (const { item, activeQuantity, approvedQuantity, reason } of stockChanges) {
+        const product = await Product.findById(item.product);
+        if (product) {
+            await this.adjustItemStock(item, product, activeQuantity, approvedQuantity, { ...context, notes: reason });
+        }
+    }
+
+    // Settle the prescription status once nothing is left to review
+    const prescriptionItems = this.items.filter(item => item.prescriptionRequired);
+    if (prescriptionItems.every(item => item.prescriptionReview?.status || getActiveQuantity(item) === 0)) {
+        this.hasPrescriptionItems = prescriptionItems.some(item => getActiveQuantity(item) > 0);
+        this.prescriptionStatus = this.hasPrescriptionItems ? 'verified' : 'rejected';
+
+        this.completeVerification(actor);
+
+        if (this.items.every(item => getActiveQuantity(item) === 0)) {
+            return await this.updateStatus('cancelled', actor, 'All prescription items rejected');
+        }
+        if (this.status === 'pending') {
+            return await this.updateStatus('prescription_verified', actor, 'Prescription items reviewed');
+        }
+    }
+
+    return await this.save();
 };
 
-// Confirm sale and deduct actual stock
-OrderSchema.methods.confirmSale = async function () {
+// True while the order still has controlled medicines to supply
+OrderSchema.methods.hasControlledItems = function () {
+    return this.items.some(item => isControlledItem(item) && getActiveQuantity(item) > 0);
+};
+
+// Record that the original prescription was seen at delivery, for the order or one shipment (caller saves)
+OrderSchema.methods.recordPrescriptionSighting = function (actor, notes = '', shipmentId = null) {
+    const target = shipmentId ? this.shipments.id(shipmentId) : this;
+    if (!target) {
+        throw Object.assign(new Error('Shipment not found'), { status: 404 });
+    }
+
+    target.delivery.prescriptionSighting = {
+        sightedBy: actor,
+        sightedAt: new Date(),
+        notes
+    };
+};
+
+// Throw if another pharmacist's live claim locks the order
+OrderSchema.methods.assertVerificationClaim = function (userId) {
+    const { claimedBy, claimExpiresAt } = this.prescriptionQueue || {};
+    if (claimedBy && claimedBy.toString() !== userId.toString() && claimExpiresAt > new Date()) {
+        throw Object.assign(new Error('Another pharmacist is verifying this order'), {
+            status: 409,
+            details: {
+                code: 'ORDER_CLAIMED',
+                claimedBy,
+                claimExpiresAt
+            }
+        });
+    }
+};
+
+// Throw unless the user holds a live claim on the order - verifications are only recorded by the claimant
+// Conditional update that also renews the claim, so it cannot lapse to another pharmacist while the
+// verification is being saved (claimForVerification only takes over expired claims)
+OrderSchema.methods.holdVerificationClaim = async function (userId) {
+    const now = new Date();
+    const claimExpiresAt = new Date(now.getTime() + PRESCRIPTION_CLAIM_MINUTES * 60 * 1000);
+
+    const held = await this.constructor.findOneAndUpdate(
+        {
+            _id: this._id,
+            'prescriptionQueue.claimedBy': userId,
+            'prescriptionQueue.claimExpiresAt': { $gt: now }
+        },
+        { $set: { 'prescriptionQueue.claimExpiresAt': claimExpiresAt } },
+        { new: true, projection: { prescriptionQueue: 1 } }
+    ).lean();
+
+    if (!held) {
+        const current = await this.constructor.findById(this._id).select('prescriptionQueue').lean();
+        this.prescriptionQueue = current?.prescriptionQueue;
+        this.unmarkModified('prescriptionQueue');
+        this.assertVerificationClaim(userId);
+
+        throw Object.assign(new Error('Claim this order before verifying it'), {
+            status: 409,
+            details: { code: 'ORDER_NOT_CLAIMED' }
+        });
+    }
+
+    this.prescriptionQueue.claimExpiresAt = claimExpiresAt;
+    this.unmarkModified('prescriptionQueue.claimExpiresAt');
+};
+
+// Record who settled the prescription check and free the order from the queue (caller saves)
+OrderSchema.methods.completeVerification = function (actor) {
+    if (this.prescriptionStatus === 'pending_verification' || this.prescriptionQueue?.completedAt) {
+        return;
+    }
+
+    this.prescriptionQueue = {
+        escalatedAt: this.prescriptionQueue?.escalatedAt,
+        completedBy: actor,
+        completedAt: new Date()
+    };
+};
+
+// Time left to verify the order, measured from when it was placed
+OrderSchema.methods.getVerificationSla = function (now = new Date()) {
+    const dueAt = new Date(this.createdAt.getTime() + PRESCRIPTION_SLA_MINUTES * 60 * 1000);
+    return {
+        dueAt,
+        minutesWaiting: Math.floor((now - this.createdAt) / 60000),
+        minutesRemaining: Math.ceil((dueAt - now) / 60000),
+        breached: now > dueAt
+    };
+};
+
+// Bring the order status in line with its shipments and cancelled lines
+// A split order is as far along as its least advanced part - quantity still waiting for a
+// shipment keeps it confirmed. An order with every line cancelled is cancelled.
+OrderSchema.methods.syncStatusWithShipments = async function (actor = null) {
+    if (this.items.every(item => getActiveQuantity(item) === 0)) {
+        if (this.status !== 'cancelled') {
+            await this.updateStatus('cancelled', actor, 'All items cancelled');
+        }
+        return this;
+    }
+
+    // Orders that are not split are moved along by hand
+    if (this.shipments.length === 0 || !FULFILMENT_STATUSES.includes(this.status)) {
+        return this;
+    }
+
+    const shipped = this.getShippedQuantities();
+    const stages = this.shipments
+        .filter(shipment => shipment.status !== 'cancelled')
+        .map(shipment => FULFILMENT_STATUSES.indexOf(SHIPMENT_ORDER_STATUS[shipment.status]));
+    if (this.items.some(item => this.getUnshippedQuantity(item, shipped) > 0)) {
+        stages.push(FULFILMENT_STATUSES.indexOf('confirmed'));
+    }
+
+    const current = FULFILMENT_STATUSES.indexOf(this.status);
+    const target = Math.min(...stages);
+
+    if (target < current) {
+        await this.updateStatus(FULFILMENT_STATUSES[target], actor, 'Shipment cancelled - items waiting to be shipped again');
+    }
+
+    // Step through each status so its side effects (revenue, invoice) run as usual
+    for (let stage = current + 1; stage <= target; stage++) {
+        await this.updateStatus(FULFILMENT_STATUSES[stage], actor, 'Updated from shipments');
+    }
+
+    return this;
+};
+
+// Release reserved stock (for cancelled orders)
+OrderSchema.methods.releaseReservedStock = async function (actor = null, session = null) {
     const Product = mongoose.model('Product');
+    const context = { actor, reference: { kind: 'Order', id: this._id }, session };
 
     for (const item of this.items) {
-        const product = await Product.findById(item.product);
+        // Cancelled lines have already been released
+        if (getActiveQuantity(item) === 0) continue;
+
+        const product = await Product.findById(item.product).session(session);
         if (product) {
-            // Calculate how much stock to deduct
-            let stockToDeduct;
-            if (item.purchaseType === 'unit' && ['tablet', 'capsule'].includes(product.productType)) {
-                const unitsPerStrip = Number(product.unitsPerStrip) || 1;
-                stockToDeduct = Math.ceil(item.quantity / unitsPerStrip);
+            const stockToRelease = getStockQuantity(item, product, getActiveQuantity(item));
+
+            if (this.stockDeducted) {
+                // Sale was already confirmed - put the stock back into the batches it came from
+                await product.restoreStock(stockToRelease, item.batchAllocations, context);
             } else {
-                stockToDeduct = item.quantity;
+                await product.releaseReservedStock(stockToRelease, { reason: 'order_cancel_release', ...context });
             }
+        }
+    }
+
+    this.stockDeducted = false;
+};
+
+// Reverse the coupon redemption so the use no longer counts against the limits
+OrderSchema.methods.reverseCouponRedemption = async function () {
+    if (!this.coupon?.coupon) {
+        return;
+    }
+
+    const CouponRedemption = mongoose.model('CouponRedemption');
+    const redemption = await CouponRedemption.findOneAndUpdate(
+        { order: this._id, status: 'redeemed' },
+        { $set: { status: 'reversed', reversedAt: new Date() } }
+    );
+
+    if (redemption) {
+        await mongoose.model('Coupon').updateOne(
+            { _id: redemption.coupon, usageCount: { $gt: 0 } },
+            { $inc: { usageCount: -1 } }
+        );
+        await mongoose.model('CouponUsage').release(redemption.coupon, {
+            userId: redemption.user,
+            guestEmail: redemption.guestEmail
+        });
+    }
+};
 
-            await product.deductStock(stockToDeduct);
+// Confirm sale and deduct actual stock
+OrderSchema.methods.confirmSale = async function (actor = null, session = null) {
+    if (this.stockDeducted) {
+        return this;
+    }
+
+    const Product = mongoose.model('Product');
+    const context = { actor, reference: { kind: 'Order', id: this._id }, session };
+
+    for (const item of this.items) {
+        if (getActiveQuantity(item) === 0) continue;
+
+        const product = await Product.findById(item.product).session(session);
+        if (product) {
+            const stockToDeduct = getStockQuantity(item, product, getActiveQuantity(item));
+
+            // Deduct first-expiry-first-out and record which batches were used
+            item.batchAllocations = await product.deductStock(stockToDeduct, context);
         }
     }
+
+    this.stockDeducted = true;
+    return await this.save({ session });
 };
 
 // Static Methods
 
+// Order item for a product, with the product and cost snapshots taken now
+OrderSchema.statics.buildItem = function (product, { quantity, purchaseType, pricePerItem, totalPrice = pricePerItem * quantity }) {
+    // Snapshot cost so margins stay correct when purchase prices change
+    let costPricePerItem = null;
+    if (product.costPrice !== null && product.costPrice !== undefined) {
+        costPricePerItem = purchaseType === 'unit' && ['tablet', 'capsule'].includes(product.productType)
+            ? product.costPrice / (product.unitsPerStrip || 1)
+            : product.costPrice;
+    }
+
+    return {
+        product: product._id,
+        productSnapshot: {
+            name: product.name,
+            brand: product.brand,
+            category: product.category,
+            medicineType: product.medicineType,
+            drugSchedule: product.drugSchedule || 'none',
+            productType: product.productType,
+            price: product.price,
+            image: product.images[0] || ''
+        },
+        quantity,
+        purchaseType,
+        pricePerItem,
+        totalPrice,
+        prescriptionRequired: product.medicineType === 'Prescription',
+        costPricePerItem,
+        totalCost: costPricePerItem !== null ? costPricePerItem * quantity : null
+    };
+};
+
 // Find orders by customer
 OrderSchema.statics.findByCustomer = function (userId) {
     return this.find({ 'customer.user': userId })
@@ -515,22 +1907,279 @@ OrderSchema.statics.findByStatus = function (status) {
         .sort({ createdAt: -1 });
 };
 
-// Find orders requiring prescription verification
+// Units of a product already supplied on other orders filled against any of these prescriptions
+// prescriptions are order prescription entries - { prescription } for saved ones, { imageUrl } for uploads
+OrderSchema.statics.getUnitsDispensedAgainst = async function (product, prescriptions, { excludeOrderId = null } = {}) {
+    const vaultIds = prescriptions.filter(p => p.prescription).map(p => p.prescription);
+    const imageUrls = prescriptions.filter(p => !p.prescription && p.imageUrl).map(p => p.imageUrl);
+    if (vaultIds.length === 0 && imageUrls.length === 0) {
+        return 0;
+    }
+
+    const sharedPrescription = [];
+    if (vaultIds.length > 0) sharedPrescription.push({ 'prescriptions.prescription': { $in: vaultIds } });
+    if (imageUrls.length > 0) sharedPrescription.push({ 'prescriptions.imageUrl': { $in: imageUrls } });
+
+    const filter = { status: { $ne: 'cancelled' }, 'items.product': product._id, $or: sharedPrescription };
+    if (excludeOrderId) {
+        filter._id = { $ne: excludeOrderId };
+    }
+
+    const orders = await this.find(filter).select('items');
+    return orders.reduce((total, order) => total + order.items
+        .filter(item => item.product.equals(product._id))
+        .reduce((units, item) => units + product.getDispensedUnits(getActiveQuantity(item), item.purchaseType), 0), 0);
+};
+
+// Find orders requiring prescription verification - oldest first, as they are closest to the SLA
+// Orders edited after verification come back here when a prescription item was added
 OrderSchema.statics.findPendingPrescriptionVerification = function () {
     return this.find({
+        status: { $in: PRESCRIPTION_REVIEW_STATUSES },
         prescriptionStatus: 'pending_verification',
         hasPrescriptionItems: true
     })
-        .populate('items.product customer.user')
+        .populate('items.product customer.user prescriptions.prescription')
+        .populate('prescriptionQueue.claimedBy', 'name')
         .sort({ createdAt: 1 });
 };
 
+// Claim an order for verification so no one else works on it for PRESCRIPTION_CLAIM_MINUTES
+// Conditional update so two pharmacists cannot hold the same order; claiming again extends your own claim
+OrderSchema.statics.claimForVerification = async function (orderId, userId) {
+    const now = new Date();
+    const order = await this.findOneAndUpdate(
+        {
+            _id: orderId,
+            status: { $in: PRESCRIPTION_REVIEW_STATUSES },
+            prescriptionStatus: 'pending_verification',
+            $or: [
+                { 'prescriptionQueue.claimedBy': null },
+                { 'prescriptionQueue.claimedBy': userId },
+                { 'prescriptionQueue.claimExpiresAt': { $lt: now } }
+            ]
+        },
+        {
+            $set: {
+                'prescriptionQueue.claimedBy': userId,
+                'prescriptionQueue.claimedAt': now,
+                'prescriptionQueue.claimExpiresAt': new Date(now.getTime() + PRESCRIPTION_CLAIM_MINUTES * 60 * 1000)
+            }
+        },
+        { new: true }
+    );
+
+    if (order) {
+        return order;
+    }
+
+    // Work out why the claim failed
+    const existing = await this.findById(orderId);
+    if (!existing) {
+        throw Object.assign(new Error('Order not found'), { status: 404 });
+    }
+    if (!PRESCRIPTION_REVIEW_STATUSES.includes(existing.status) || existing.prescriptionStatus !== 'pending_verification') {
+        throw Object.assign(new Error('This order is not waiting for prescription verification'), { status: 400 });
+    }
+    existing.assertVerificationClaim(userId);
+    throw Object.assign(new Error('Order could not be claimed - please try again'), { status: 409 });
+};
+
+// Give up a claim so the order goes back to the queue
+OrderSchema.statics.releaseVerificationClaim = function (orderId, userId) {
+    return this.findOneAndUpdate(
+        { _id: orderId, 'prescriptionQueue.claimedBy': userId },
+        {
+            $unset: {
+                'prescriptionQueue.claimedBy': 1,
+                'prescriptionQueue.claimedAt': 1,
+                'prescriptionQueue.claimExpiresAt': 1
+            }
+        },
+        { new: true }
+    );
+};
+
+// Pending prescription orders past the SLA that admins have not been told about yet
+OrderSchema.statics.findOverdueVerifications = function () {
+    return this.find({
+        status: { $in: PRESCRIPTION_REVIEW_STATUSES },
+        prescriptionStatus: 'pending_verification',
+        hasPrescriptionItems: true,
+        createdAt: { $lt: new Date(Date.now() - PRESCRIPTION_SLA_MINUTES * 60 * 1000) },
+        'prescriptionQueue.escalatedAt': null
+    })
+        .populate('prescriptionQueue.claimedBy', 'name')
+        .sort({ createdAt: 1 });
+};
+
+// Controlled-substance register - every handover of a narcotic or psychotropic medicine in the period,
+// with the patient, prescriber, batches, verifying pharmacist and who saw the original prescription.
+// Split orders are listed per delivered shipment.
+OrderSchema.statics.getControlledRegister = async function (startDate, endDate, { productId = null } = {}) {
+    const itemMatch = { 'productSnapshot.drugSchedule': { $in: CONTROLLED_DRUG_SCHEDULES } };
+    if (productId) {
+        itemMatch.product = productId;
+    }
+    const deliveredInPeriod = { status: 'delivered', changedAt: { $gte: startDate, $lte: endDate } };
+
+    const orders = await this.find({
+        items: { $elemMatch: itemMatch },
+        $or: [
+            { statusHistory: { $elemMatch: deliveredInPeriod } },
+            { 'shipments.statusHistory': { $elemMatch: deliveredInPeriod } }
+        ]
+    })
+        .populate('prescriptions.prescription', 'doctorName doctorNmcNumber hospitalName issuedAt')
+        .populate('prescriptions.verifiedBy', 'name')
+        .populate('prescriptionQueue.completedBy', 'name')
+        .populate('delivery.prescriptionSighting.sightedBy', 'name')
+        .populate('shipments.delivery.prescriptionSighting.sightedBy', 'name');
+
+    const inPeriod = (date) => date >= startDate && date <= endDate;
+    const deliveredAt = (history) => history.filter(entry => entry.status === 'delivered').pop()?.changedAt;
+
+    const rows = [];
+    for (const order of orders) {
+        // The prescription a pharmacist mapped the item to, otherwise every prescription on the order
+        const prescriberFor = (item) => {
+            const mapped = item.prescriptionReview?.prescription && order.prescriptions.id(item.prescriptionReview.prescription);
+            const prescriptions = mapped ? [mapped] : order.prescriptions;
+            return prescriptions.map(p => ({
+                doctorName: p.prescription?.doctorName || p.doctorName,
+                doctorNmcNumber: p.prescription?.doctorNmcNumber,
+                hospitalName: p.prescription?.hospitalName || p.hospitalName,
+                prescriptionDate: p.prescription?.issuedAt || p.prescriptionDate
+            }));
+        };
+
+        // Handovers: each delivered shipment, or the whole order
+        const handovers = order.shipments.length > 0
+            ? order.shipments
+                .filter(shipment => shipment.status === 'delivered')
+                .map(shipment => ({
+                    shipmentNumber: shipment.shipmentNumber,
+                    dispensedAt: deliveredAt(shipment.statusHistory) || shipment.delivery.actualDeliveryTime,
+                    sighting: shipment.delivery.prescriptionSighting,
+                    lines: shipment.items.map(line => ({ item: order.items.id(line.orderItem), quantity: line.quantity }))
+                }))
+            : [{
+                shipmentNumber: null,
+                dispensedAt: deliveredAt(order.statusHistory),
+                sighting: order.delivery.prescriptionSighting,
+                lines: order.items.map(item => ({ item, quantity: getActiveQuantity(item) }))
+            }];
+
+        for (const handover of handovers) {
+            if (!handover.dispensedAt || !inPeriod(handover.dispensedAt)) continue;
+
+            for (const { item, quantity } of handover.lines) {
+                if (!isControlledItem(item) || quantity <= 0) continue;
+                if (productId && item.product.toString() !== productId.toString()) continue;
+
+                rows.push({
+                    dispensedAt: handover.dispensedAt,
+                    orderNumber: order.orderNumber,
+                    shipmentNumber: handover.shipmentNumber,
+                    patient: {
+                        name: order.deliveryAddress.name,
+                        phone: order.deliveryAddress.phone,
+                        address: [order.deliveryAddress.street, order.deliveryAddress.area, order.deliveryAddress.city]
+                            .filter(Boolean).join(', ')
+                    },
+                    product: item.product,
+                    productName: item.productSnapshot.name,
+                    drugSchedule: item.productSnapshot.drugSchedule,
+                    quantity,
+                    purchaseType: item.purchaseType,
+                    returnedQuantity: item.returnedQuantity || 0,
+                    batches: item.batchAllocations.map(allocation => ({
+                        batchNumber: allocation.batchNumber,
+                        expiryDate: allocation.expiryDate,
+                        quantity: allocation.quantity
+                    })),
+                    prescribers: prescriberFor(item),
+                    verifiedBy: order.prescriptionQueue?.completedBy?.name ||
+                        order.prescriptions.find(p => p.verifiedBy)?.verifiedBy?.name || null,
+                    prescriptionSightedBy: handover.sighting?.sightedBy?.name || null,
+                    prescriptionSightedAt: handover.sighting?.sightedAt || null
+                });
+            }
+        }
+    }
+
+    return rows.sort((a, b) => a.dispensedAt - b.dispensedAt);
+};
+
+// Verification throughput per pharmacist - decisions made, time from order to decision and SLA hits
+OrderSchema.statics.getVerificationStats = function (startDate, endDate) {
+    const minutesToDecision = {
+        $divide: [{ $subtract: ['$prescriptionQueue.completedAt', '$createdAt'] }, 60000]
+    };
+
+    return this.aggregate([
+        {
+            $match: {
+                'prescriptionQueue.completedAt': {
+                    $gte: startDate,
+                    $lte: endDate
+                },
+                'prescriptionQueue.completedBy': { $ne: null }
+            }
+        },
+        {
+            $group: {
+                _id: '$prescriptionQueue.completedBy',
+                decisions: { $sum: 1 },
+                verified: { $sum: { $cond: [{ $eq: ['$prescriptionStatus', 'verified'] }, 1, 0] } },
+                rejected: { $sum: { $cond: [{ $eq: ['$prescriptionStatus', 'rejected'] }, 1, 0] } },
+                averageMinutes: { $avg: minutesToDecision },
+                longestMinutes: { $max: minutesToDecision },
+                withinSla: { $sum: { $cond: [{ $lte: [minutesToDecision, PRESCRIPTION_SLA_MINUTES] }, 1, 0] } }
+            }
+        },
+        {
+            $lookup: {
+                from: 'users',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'pharmacist'
+            }
+        },
+        {
+            $project: {
+                name: { $first: '$pharmacist.name' },
+                email: { $first: '$pharmacist.email' },
+                decisions: 1,
+                verified: 1,
+                rejected: 1,
+                averageMinutes: { $round: ['$averageMinutes', 1] },
+                longestMinutes: { $round: ['$longestMinutes', 1] },
+                withinSla: 1,
+                slaPercent: { $round: [{ $multiply: [{ $divide: ['$withinSla', '$decisions'] }, 100] }, 1] }
+            }
+        },
+        { $sort: { decisions: -1 } }
+    ]);
+};
+
+// Find orders that received stock from a batch (for recalls)
+OrderSchema.statics.findByBatchNumber = function (batchNumber) {
+    return this.find({ 'items.batchAllocations.batchNumber': batchNumber })
+        .populate('customer.user', 'name email phone')
+        .sort({ createdAt: -1 });
+};
+
 // Revenue analytics
+// Figures are net of completed refunds
 OrderSchema.statics.getRevenueStats = function (startDate, endDate) {
+    const refunded = { $ifNull: ['$revenue.refundedAmount', 0] };
+    const refundedNet = { $ifNull: ['$revenue.refundedNetRevenue', 0] };
+
     return this.aggregate([
         {
             $match: {
-                status: 'delivered',
+                status: { $in: REVENUE_STATUSES },
                 'revenue.recorded': true,
                 createdAt: {
                     $gte: startDate,
@@ -541,13 +2190,121 @@ OrderSchema.statics.getRevenueStats = function (startDate, endDate) {
         {
             $group: {
                 _id: null,
-                totalRevenue: { $sum: '$revenue.grossRevenue' },
-                totalProfit: { $sum: '$revenue.profit' },
+                totalRevenue: { $sum: { $subtract: ['$revenue.grossRevenue', refunded] } },
+                netRevenue: { $sum: { $subtract: ['$revenue.netRevenue', refundedNet] } },
+                totalCost: { $sum: '$revenue.totalCost' },
+                totalProfit: { $sum: { $subtract: ['$revenue.profit', refundedNet] } },
+                totalRefunds: { $sum: refunded },
                 totalOrders: { $sum: 1 },
+                costEstimatedOrders: { $sum: { $cond: ['$revenue.costEstimated', 1, 0] } },
                 averageOrderValue: { $avg: '$pricing.total' }
             }
+        },
+        {
+            $addFields: {
+                marginPercent: {
+                    $cond: [
+                        { $gt: ['$netRevenue', 0] },
+                        { $multiply: [{ $divide: ['$totalProfit', '$netRevenue'] }, 100] },
+                        0
+                    ]
+                }
+            }
         }
     ]);
 };
 
+// Margin report per product or per category - same orders as the revenue stats
+// Only what the customer kept counts: cancelled and returned units are left out, line revenue is after the
+// coupon discount and net of tax; items without a cost snapshot use the legacy estimate
+OrderSchema.statics.getMarginReport = function (startDate, endDate, groupBy = 'product') {
+    const groupKey = groupBy === 'category' ? '$items.productSnapshot.category' : '$items.product';
+    const hasCost = { $ne: [{ $ifNull: ['$items.totalCost', null] }, null] };
+    const netQuantity = {
+        $max: [0, {
+            $subtract: [
+                '$items.quantity',
+                { $add: [{ $ifNull: ['$items.cancelledQuantity', 0] }, { $ifNull: ['$items.returnedQuantity', 0] }] }
+            ]
+        }]
+    };
+    // Share of the line the customer kept
+    const keptShare = { $cond: [{ $gt: ['$items.quantity', 0] }, { $divide: ['$netQuantity', '$items.quantity'] }, 0] };
+    // Coupon discount spread over the lines in proportion to their amount
+    const discountRatio = {
+        $cond: [
+            { $gt: ['$pricing.subtotal', 0] },
+            { $min: [1, { $divide: [{ $ifNull: ['$pricing.discount', 0] }, '$pricing.subtotal'] }] },
+            0
+        ]
+    };
+    // Line revenue excludes tax collected on behalf of the government
+    const itemRevenue = {
+        $multiply: [
+            {
+                $subtract: [
+                    { $multiply: ['$items.totalPrice', { $subtract: [1, '$discountRatio'] }] },
+                    { $cond: [{ $eq: ['$pricing.taxMode', 'exclusive'] }, 0, { $ifNull: ['$items.taxAmount', 0] }] }
+                ]
+            },
+            '$keptShare'
+        ]
+    };
+    const itemCost = {
+        $multiply: [
+            { $cond: [hasCost, '$items.totalCost', { $multiply: ['$items.totalPrice', LEGACY_COST_RATIO] }] },
+            '$keptShare'
+        ]
+    };
+
+    return this.aggregate([
+        {
+            $match: {
+                status: { $in: REVENUE_STATUSES },
+                'revenue.recorded': true,
+                createdAt: {
+                    $gte: startDate,
+                    $lte: endDate
+                }
+            }
+        },
+        { $unwind: '$items' },
+        { $addFields: { netQuantity, discountRatio } },
+        { $match: { netQuantity: { $gt: 0 } } },
+        { $addFields: { keptShare } },
+        {
+            $group: {
+                _id: groupKey,
+                name: { $first: groupBy === 'category' ? '$items.productSnapshot.category' : '$items.productSnapshot.name' },
+                category: { $first: '$items.productSnapshot.category' },
+                quantitySold: { $sum: '$netQuantity' },
+                revenue: { $sum: itemRevenue },
+                cost: { $sum: itemCost },
+                orders: { $addToSet: '$_id' },
+                estimatedItems: { $sum: { $cond: [hasCost, 0, 1] } }
+            }
+        },
+        {
+            $project: {
+                name: 1,
+                category: 1,
+                quantitySold: 1,
+                revenue: 1,
+                cost: 1,
+                profit: { $subtract: ['$revenue', '$cost'] },
+                marginPercent: {
+                    $cond: [
+                        { $gt: ['$revenue', 0] },
+                        { $multiply: [{ $divide: [{ $subtract: ['$revenue', '$cost'] }, '$revenue'] }, 100] },
+                        0
+                    ]
+                },
+                orderCount: { $size: '$orders' },
+                estimatedItems: 1
+            }
+        },
+        { $sort: { profit: -1 } }
+    ]);
+};
+
 module.exports = mongoose.model('Order', OrderSchema);
\ No newline at end of file
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+// Days a prescription stays valid when no end date is given, counted from the issue date - also the longest it can be valid for
+const PRESCRIPTION_VALIDITY_DAYS = parseInt(process.env.PRESCRIPTION_VALIDITY_DAYS) || 180;
+
+// Prescription Schema - a patient's prescription kept in their vault and reused across orders
+const PrescriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    fileUrl: {
+        type: String,
+        required: [true, 'Prescription file is required']
+    },
+    fileName: String,
+
+    doctorName: {
+        type: String,
+        required: [true, 'Doctor name is required'],
+        trim: true
+    },
+    // Nepal Medical Council registration number of the prescribing doctor
+    doctorNmcNumber: {
+        type: String,
+        required: [true, 'Doctor NMC registration number is required'],
+        trim: true
+    },
+    hospitalName: {
+        type: String,
+        trim: true
+    },
+
+    issuedAt: {
+        type: Date,
+        required: [true, 'Prescription issue date is required']
+    },
+    validUntil: Date,
+
+    // Number of orders the prescription can be filled for - set by the pharmacist who checks it
+    allowedRefills: {
+        type: Number,
+        default: 1,
+        min: [1, 'A prescription covers at least one order']
+    },
+    // Orders filled against it - each one uses a refill
+    fills: [{
+        _id: false,
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order'
+        },
+        filledAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    // Products the prescription is for, recorded by the pharmacist - empty when not recorded
+    coveredProducts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+
+    // Pharmacist who checked the prescription and recorded its refills, validity and products
+    verification: {
+        verifiedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        verifiedAt: Date,
+        notes: String
+    },
+
+    notes: String,
+
+    status: {
+        type: String,
+        enum: ['active', 'archived'],
+        default: 'active'
+    },
+    archivedAt: Date
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+PrescriptionSchema.index({ user: 1, status: 1, createdAt: -1 });
+PrescriptionSchema.index({ 'fills.order': 1 });
+
+// Virtual for refills left
+PrescriptionSchema.virtual('remainingRefills').get(function () {
+    return Math.max(0, this.allowedRefills - (this.fills?.length || 0));
+});
+
+// Virtual for whether the prescription has run past its validity
+PrescriptionSchema.virtual('isExpired').get(function () {
+    return Boolean(this.validUntil) && this.validUntil < new Date();
+});
+
+// Default the validity from the issue date, and never let it run past PRESCRIPTION_VALIDITY_DAYS
+PrescriptionSchema.pre('save', function (next) {
+    if (this.issuedAt) {
+        const latestValidUntil = new Date(this.issuedAt.getTime() + PRESCRIPTION_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+        if (!this.validUntil || this.validUntil > latestValidUntil) {
+            this.validUntil = latestValidUntil;
+        }
+    }
+    next();
+});
+
+// Static Methods
+
+// Use a refill of each prescription for an order
+// Conditional update per prescription so concurrent orders cannot use more refills than allowed;
+// throws a 400 naming the first prescription that cannot be used (fills already taken are given back)
+PrescriptionSchema.statics.claimFills = async function (prescriptionIds, { userId, orderId, session = null }) {
+    const claimed = [];
+
+    for (const id of prescriptionIds) {
+        const updated = await this.findOneAndUpdate(
+            {
+                _id: id,
+                user: userId,
+                status: 'active',
+                validUntil: { $gte: new Date() },
+                'fills.order': { $ne: orderId },
+                $expr: { $lt: [{ $size: '$fills' }, '$allowedRefills'] }
+            },
+            { $push: { fills: { order: orderId } } },
+            { new: true, session }
+        );
+
+        if (!updated) {
+            if (!session && claimed.length > 0) {
+                await this.releaseFills(orderId);
+            }
+            throw Object.assign(
+                new Error(`Prescription ${id} cannot be used - it is archived, expired or has no refills left`),
+                { status: 400 }
+            );
+        }
+        claimed.push(updated);
+    }
+
+    return claimed;
+};
+
+// Give back the refills an order used (order cancelled)
+PrescriptionSchema.statics.releaseFills = function (orderId, session = null) {
+    return this.updateMany(
+        { 'fills.order': orderId },
+        { $pull: { fills: { order: orderId } } },
+        { session }
+    );
+};
+
+module.exports = mongoose.model('Prescription', PrescriptionSchema);
@@ -1,5 +1,95 @@
 const mongoose = require('mongoose');
-const { PRODUCT_CATEGORIES, MEDICINE_TYPES, PRODUCT_TYPES } = require('../constants/categories');
+const {
+    PRODUCT_CATEGORIES,
+    MEDICINE_TYPES,
+    PRODUCT_TYPES,
+    DRUG_SCHEDULES,
+    CONTROLLED_DRUG_SCHEDULES
+} = require('../constants/categories');
+require('./StockMovement');
+
+// Business rule violations carry a 400 status for the global error handler
+const stockError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Number of attempts for batch deductions that race with another writer
+const DEDUCT_RETRIES = 3;
+
+// Aggregation expression for the quantity held in batches that can no longer be sold (expired or delisted)
+const expiredStockExpr = (now) => ({
+    $sum: {
+        $map: {
+            input: {
+                $filter: {
+                    input: { $ifNull: ['$batches', []] },
+                    as: 'batch',
+                    cond: {
+                        $or: [
+                            { $lte: ['$$batch.expiryDate', now] },
+                            { $ne: [{ $ifNull: ['$$batch.delistedAt', null] }, null] }
+                        ]
+                    }
+                }
+            },
+            as: 'batch',
+            in: '$$batch.quantity'
+        }
+    }
+});
+
+// Batch Schema for lot and expiry tracking
+const BatchSchema = new mongoose.Schema({
+    batchNumber: {
+        type: String,
+        required: [true, 'Please add a batch number'],
+        trim: true
+    },
+    manufactureDate: {
+        type: Date
+    },
+    expiryDate: {
+        type: Date,
+        required: [true, 'Please add an expiry date']
+    },
+    // Quantity still on the shelf from this batch (in stock units)
+    quantity: {
+        type: Number,
+        required: [true, 'Please add batch quantity'],
+        min: 0
+    },
+    // Quantity originally received, kept for recall and audit purposes
+    receivedQuantity: {
+        type: Number,
+        min: 0
+    },
+    supplier: {
+        type: String,
+        trim: true
+    },
+    // Cost per stock unit paid for this batch
+    costPrice: {
+        type: Number,
+        min: 0
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Set by the expiry job once the batch has passed its expiry date
+    delistedAt: {
+        type: Date
+    }
+});
+
+// Virtual to check if the batch has expired
+BatchSchema.virtual('isExpired').get(function () {
+    return this.expiryDate <= new Date();
+});
+
+// Virtual to check if the batch can still be sold - a delisted batch stays off the shelf
+// even if its expiry date is later corrected
+BatchSchema.virtual('isSellable').get(function () {
+    return !this.isExpired && !this.delistedAt;
+});
 
 const ProductSchema = new mongoose.Schema({
     // Basic Information
@@ -31,6 +121,34 @@ const ProductSchema = new mongoose.Schema({
         required: [true, 'Please specify medicine type']
     },
 
+    // Drug schedule - controlled medicines need a signed-in customer, are limited per prescription
+    // and the original prescription must be seen when they are delivered
+    drugSchedule: {
+        type: String,
+        enum: DRUG_SCHEDULES,
+        default: 'none',
+        validate: {
+            validator: function (value) {
+                if (!CONTROLLED_DRUG_SCHEDULES.includes(value)) {
+                    return true;
+                }
+                // Update queries cannot see the other fields - controlled schedules are only set by saving the product
+                if (this instanceof mongoose.Query) {
+                    return false;
+                }
+                return this.medicineType === 'Prescription' && Boolean(this.maxQuantityPerPrescription);
+            },
+            message: 'Controlled medicines must be Prescription medicines with a maximum quantity per prescription'
+        }
+    },
+
+    // Most a customer can buy on one prescription - tablets/capsules for strip products, otherwise packs
+    maxQuantityPerPrescription: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+
     // Simplified Packaging - Only for tablets/capsules that can be sold individually
     productType: {
         type: String,
@@ -70,6 +188,21 @@ const ProductSchema = new mongoose.Schema({
         required: [true, 'Please add a price']
     },
 
+    // Tax class (see TaxRule) - null uses the category's tax class
+    taxClass: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: null
+    },
+
+    // Purchase cost per stock unit (strip, bottle, etc.) - updated from the latest batch received
+    costPrice: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+
     // Price unit - per tablet, per strip, per bottle, etc.
     priceUnit: {
         type: String,
@@ -95,6 +228,13 @@ const ProductSchema = new mongoose.Schema({
         min: 0
     },
 
+    // Batch/lot breakdown of stock. Stock not covered by any batch is treated
+    // as untracked (products created before batch tracking was introduced)
+    batches: {
+        type: [BatchSchema],
+        default: []
+    },
+
     // Minimum purchase quantities
     minOrderQuantity: {
         type: Number,
@@ -121,6 +261,19 @@ const ProductSchema = new mongoose.Schema({
         }
     },
 
+    // Shipping weight in grams per stock unit - used for delivery surcharges
+    weight: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+
+    // Must be kept refrigerated in transit (insulin, some vaccines, etc.)
+    requiresColdChain: {
+        type: Boolean,
+        default: false
+    },
+
     // Optional fields
     manufacturer: String,
     activeIngredient: String,
@@ -149,9 +302,21 @@ const ProductSchema = new mongoose.Schema({
     }
 });
 
+// Virtual for stock sitting in expired or delisted batches - never sellable
+ProductSchema.virtual('expiredStock').get(function () {
+    return (this.batches || [])
+        .filter(batch => !batch.isSellable)
+        .reduce((total, batch) => total + batch.quantity, 0);
+});
+
+// Virtual for stock that can still be sold (excludes expired and delisted batches)
+ProductSchema.virtual('sellableStock').get(function () {
+    return Math.max(0, this.stock - this.expiredStock);
+});
+
 // Virtual for available stock
 ProductSchema.virtual('availableStock').get(function () {
-    return Math.max(0, this.stock - this.reservedStock);
+    return Math.max(0, this.sellableStock - this.reservedStock);
 });
 
 // Virtual for available tablets/capsules (for unit sales)
@@ -162,6 +327,21 @@ ProductSchema.virtual('availableUnits').get(function () {
     return this.availableStock;
 });
 
+// Virtual for stock covered by batches
+ProductSchema.virtual('batchedStock').get(function () {
+    return (this.batches || []).reduce((total, batch) => total + batch.quantity, 0);
+});
+
+// Virtual for stock not covered by any batch
+ProductSchema.virtual('untrackedStock').get(function () {
+    return Math.max(0, this.stock - this.batchedStock);
+});
+
+// Virtual for controlled (narcotic or psychotropic) medicines
+ProductSchema.virtual('isControlled').get(function () {
+    return CONTROLLED_DRUG_SCHEDULES.includes(this.drugSchedule);
+});
+
 // Virtual for stock status
 ProductSchema.virtual('stockStatus').get(function () {
     const available = this.availableStock;
@@ -170,31 +350,337 @@ ProductSchema.virtual('stockStatus').get(function () {
     return 'in_stock';
 });
 
+// Quantity in the units maxQuantityPerPrescription is counted in
+ProductSchema.methods.getDispensedUnits = function (quantity, purchaseType) {
+    return purchaseType === 'package' && ['tablet', 'capsule'].includes(this.productType)
+        ? quantity * (this.unitsPerStrip || 1)
+        : quantity;
+};
+
+// Throw unless a customer may buy this many units of a controlled medicine
+// units is everything they are buying of the product, across all cart lines;
+// alreadyDispensed is what earlier orders supplied against the same prescription (see Order.getUnitsDispensedAgainst)
+ProductSchema.methods.assertControlledPurchase = function ({ units, isGuest = false, alreadyDispensed = 0 }) {
+    if (!this.isControlled) {
+        return;
+    }
+
+    const ruleError = (message) => Object.assign(new Error(message), {
+        status: 400,
+        code: 'CONTROLLED_DRUG_RULE',
+        details: {
+            code: 'CONTROLLED_DRUG_RULE',
+            drugSchedule: this.drugSchedule,
+            maxQuantityPerPrescription: this.maxQuantityPerPrescription
+        }
+    });
+
+    if (isGuest) {
+        throw ruleError(`${this.name} is a controlled medicine - please sign in to order it`);
+    }
+
+    if (this.maxQuantityPerPrescription && units + alreadyDispensed > this.maxQuantityPerPrescription) {
+        const unitName = ['tablet', 'capsule'].includes(this.productType) ? `${this.productType}s` : 'packs';
+        throw ruleError(alreadyDispensed > 0
+            ? `${this.name} is limited to ${this.maxQuantityPerPrescription} ${unitName} per prescription - ${alreadyDispensed} have already been supplied against it`
+            : `${this.name} is limited to ${this.maxQuantityPerPrescription} ${unitName} per prescription`);
+    }
+};
+
+// Copy stock fields from a freshly updated document without marking them modified,
+// so a later save() of this document cannot write stale stock back
+ProductSchema.methods.syncStock = function (fresh) {
+    for (const path of ['stock', 'reservedStock', 'batches', 'costPrice', 'updatedAt']) {
+        this.set(path, fresh.get(path));
+        this.unmarkModified(path);
+    }
+    return this;
+};
+
+// Method to write a stock ledger entry for a change already applied to this product
+// context: { reason, actor, reference: { kind, id }, batchNumbers, notes, session }
+ProductSchema.methods.recordMovement = async function (before, context = {}) {
+    const StockMovement = mongoose.model('StockMovement');
+
+    const movement = new StockMovement({
+        product: this._id,
+        reason: context.reason,
+        stockBefore: before.stock,
+        stockAfter: this.stock,
+        reservedBefore: before.reservedStock,
+        reservedAfter: this.reservedStock,
+        batchNumbers: context.batchNumbers || [],
+        actor: context.actor || null,
+        reference: context.reference || {},
+        notes: context.notes
+    });
+    return movement.save({ session: context.session || null });
+};
+
 // Method to reserve stock
-ProductSchema.methods.reserveStock = async function (quantity) {
-    if (this.availableStock < quantity) {
-        throw new Error('Insufficient stock available');
+// Single conditional update: only succeeds while sellable stock minus reservations covers the quantity
+ProductSchema.methods.reserveStock = async function (quantity, context = {}) {
+    const updated = await this.constructor.findOneAndUpdate(
+        {
+            _id: this._id,
+            $expr: {
+                $gte: [
+                    this.constructor.availableStockExpr(),
+                    quantity
+                ]
+            }
+        },
+        { $inc: { reservedStock: quantity }, $set: { updatedAt: new Date() } },
+        { new: true, session: context.session || null }
+    );
+
+    if (!updated) {
+        throw stockError(`Insufficient stock available for ${this.name}`);
     }
-    this.reservedStock += quantity;
-    await this.save();
+
+    const before = { stock: updated.stock, reservedStock: updated.reservedStock - quantity };
+    this.syncStock(updated);
+    await this.recordMovement(before, { reason: 'cart_reserve', ...context });
     return this;
 };
 
-// Method to release reserved stock
-ProductSchema.methods.releaseReservedStock = async function (quantity) {
-    this.reservedStock = Math.max(0, this.reservedStock - quantity);
-    await this.save();
+// Method to release reserved stock (never drops below zero)
+ProductSchema.methods.releaseReservedStock = async function (quantity, context = {}) {
+    const previous = await this.constructor.findOneAndUpdate(
+        { _id: this._id },
+        [{
+            $set: {
+                reservedStock: { $max: [0, { $subtract: ['$reservedStock', quantity] }] },
+                updatedAt: '$$NOW'
+            }
+        }],
+        { new: false, session: context.session || null }
+    );
+
+    if (!previous) {
+        throw stockError('Product not found');
+    }
+
+    const before = { stock: previous.stock, reservedStock: previous.reservedStock };
+    previous.reservedStock = Math.max(0, previous.reservedStock - quantity);
+    this.syncStock(previous);
+    await this.recordMovement(before, { reason: 'cart_release', ...context });
+    return this;
+};
+
+// Method to set stock to a counted figure (manual correction)
+// Only applies if nobody changed the stock since this document was read
+ProductSchema.methods.adjustStock = async function (newStock, context = {}) {
+    const previous = await this.constructor.findOneAndUpdate(
+        {
+            _id: this._id,
+            stock: this.stock,
+            $expr: { $lte: [{ $sum: { $ifNull: ['$batches.quantity', []] } }, newStock] }
+        },
+        [{
+            $set: {
+                stock: newStock,
+                reservedStock: { $min: ['$reservedStock', newStock] },
+                updatedAt: '$$NOW'
+            }
+        }],
+        { new: false, session: context.session || null }
+    );
+
+    if (!previous) {
+        throw Object.assign(new Error('Stock changed while adjusting, please reload and retry'), { status: 409 });
+    }
+
+    const before = { stock: previous.stock, reservedStock: previous.reservedStock };
+    previous.stock = newStock;
+    previous.reservedStock = Math.min(previous.reservedStock, newStock);
+    this.syncStock(previous);
+    await this.recordMovement(before, { reason: 'manual_adjustment', ...context });
+    return this;
+};
+
+// Method to pick batches first-expiry-first-out for a quantity
+// Returns [{ batch, quantity }]; any remainder comes from untracked stock.
+// Expired and delisted batches are never allocated.
+ProductSchema.methods.allocateBatches = function (quantity) {
+    const batches = this.batches
+        .filter(batch => batch.quantity > 0 && batch.isSellable)
+        .sort((a, b) => a.expiryDate - b.expiryDate);
+
+    const allocations = [];
+    let remaining = quantity;
+
+    for (const batch of batches) {
+        if (remaining <= 0) break;
+        const take = Math.min(batch.quantity, remaining);
+        allocations.push({ batch, quantity: take });
+        remaining -= take;
+    }
+
+    if (remaining > this.untrackedStock) {
+        throw stockError('Insufficient batch stock available');
+    }
+
+    return allocations;
+};
+
+// Method to receive a new batch into stock
+ProductSchema.methods.addBatch = async function ({ batchNumber, manufactureDate, expiryDate, quantity, supplier, costPrice }, context = {}) {
+    if (!quantity || quantity <= 0) {
+        throw stockError('Batch quantity must be greater than zero');
+    }
+
+    const set = { updatedAt: new Date() };
+    if (costPrice !== undefined && costPrice !== null) {
+        set.costPrice = costPrice;
+    }
+
+    const existingBatch = this.batches.find(batch => batch.batchNumber === batchNumber);
+    let updated;
+
+    if (existingBatch) {
+        // Same lot received again - expiry must match the lot already on the shelf
+        if (new Date(expiryDate).getTime() !== existingBatch.expiryDate.getTime()) {
+            throw stockError(`Batch ${batchNumber} already exists with a different expiry date`);
+        }
+        updated = await this.constructor.findOneAndUpdate(
+            { _id: this._id, 'batches._id': existingBatch._id },
+            {
+                $inc: {
+                    stock: quantity,
+                    'batches.$.quantity': quantity,
+                    'batches.$.receivedQuantity': quantity
+                },
+                $set: set
+            },
+            { new: true, session: context.session || null }
+        );
+    } else {
+        updated = await this.constructor.findOneAndUpdate(
+            { _id: this._id, 'batches.batchNumber': { $ne: batchNumber } },
+            {
+                $inc: { stock: quantity },
+                $push: {
+                    batches: {
+                        batchNumber,
+                        manufactureDate,
+                        expiryDate,
+                        quantity,
+                        receivedQuantity: quantity,
+                        supplier,
+                        costPrice
+                    }
+                },
+                $set: set
+            },
+            { new: true, runValidators: true, session: context.session || null }
+        );
+    }
+
+    if (!updated) {
+        throw stockError(`Batch ${batchNumber} was changed by another update, please retry`);
+    }
+
+    const before = { stock: updated.stock - quantity, reservedStock: updated.reservedStock };
+    this.syncStock(updated);
+    await this.recordMovement(before, { reason: 'batch_receipt', batchNumbers: [batchNumber], ...context });
     return this;
 };
 
 // Method to deduct stock after successful order
-ProductSchema.methods.deductStock = async function (quantity) {
-    if (this.reservedStock < quantity) {
-        throw new Error('Insufficient reserved stock');
+// Consumes batches first-expiry-first-out and returns the batch allocations.
+// The update only applies if every allocated batch and the reservation still hold
+// the quantities read, otherwise the allocation is recomputed from fresh data.
+ProductSchema.methods.deductStock = async function (quantity, context = {}) {
+    const session = context.session || null;
+
+    for (let attempt = 0; attempt < DEDUCT_RETRIES; attempt++) {
+        const current = await this.constructor.findById(this._id).session(session);
+        if (!current || current.reservedStock < quantity) {
+            throw stockError('Insufficient reserved stock');
+        }
+
+        const allocations = current.allocateBatches(quantity);
+        const fromBatches = allocations.reduce((total, allocation) => total + allocation.quantity, 0);
+
+        const filter = {
+            _id: this._id,
+            reservedStock: { $gte: quantity },
+            $expr: {
+                $gte: [
+                    { $subtract: ['$stock', { $sum: { $ifNull: ['$batches.quantity', []] } }] },
+                    quantity - fromBatches
+                ]
+            }
+        };
+        const inc = { stock: -quantity, reservedStock: -quantity };
+        const arrayFilters = [];
+
+        if (allocations.length > 0) {
+            filter.$and = allocations.map(allocation => ({
+                batches: { $elemMatch: { _id: allocation.batch._id, quantity: { $gte: allocation.quantity } } }
+            }));
+            allocations.forEach((allocation, index) => {
+                inc[`batches.$[b${index}].quantity`] = -allocation.quantity;
+                arrayFilters.push({ [`b${index}._id`]: allocation.batch._id });
+            });
+        }
+
+        const updated = await this.constructor.findOneAndUpdate(
+            filter,
+            { $inc: inc, $set: { updatedAt: new Date() } },
+            { new: true, arrayFilters: arrayFilters.length > 0 ? arrayFilters : undefined, session }
+        );
+
+        if (!updated) {
+            continue; // Lost a race with another writer - re-read and allocate again
+        }
+
+        const before = { stock: updated.stock + quantity, reservedStock: updated.reservedStock + quantity };
+        this.syncStock(updated);
+        await this.recordMovement(before, {
+            reason: 'order_sale',
+            batchNumbers: allocations.map(allocation => allocation.batch.batchNumber),
+            ...context
+        });
+
+        return allocations.map(allocation => ({
+            batchNumber: allocation.batch.batchNumber,
+            expiryDate: allocation.batch.expiryDate,
+            quantity: allocation.quantity
+        }));
     }
-    this.stock -= quantity;
-    this.reservedStock -= quantity;
-    await this.save();
+
+    throw Object.assign(new Error(`Stock for ${this.name} is changing too quickly, please retry`), { status: 409 });
+};
+
+// Method to put deducted stock back on the shelf (e.g. order cancelled after confirmation)
+ProductSchema.methods.restoreStock = async function (quantity, batchAllocations = [], context = {}) {
+    const inc = { stock: quantity };
+    const arrayFilters = [];
+
+    batchAllocations.forEach((allocation, index) => {
+        inc[`batches.$[b${index}].quantity`] = allocation.quantity;
+        arrayFilters.push({ [`b${index}.batchNumber`]: allocation.batchNumber });
+    });
+
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id },
+        { $inc: inc, $set: { updatedAt: new Date() } },
+        { new: true, arrayFilters: arrayFilters.length > 0 ? arrayFilters : undefined, session: context.session || null }
+    );
+
+    if (!updated) {
+        throw stockError('Product not found');
+    }
+
+    const before = { stock: updated.stock - quantity, reservedStock: updated.reservedStock };
+    this.syncStock(updated);
+    await this.recordMovement(before, {
+        reason: 'order_cancel_restock',
+        batchNumbers: batchAllocations.map(allocation => allocation.batchNumber),
+        ...context
+    });
     return this;
 };
 
@@ -207,6 +693,11 @@ ProductSchema.pre('save', function (next) {
         this.reservedStock = this.stock;
     }
 
+    // Batches can never hold more than the total stock
+    if (this.batchedStock > this.stock) {
+        return next(new Error('Batch quantities exceed total stock'));
+    }
+
     // Enforce unit sale restriction: only tablets and capsules can be sold per unit
     if (!['tablet', 'capsule'].includes(this.productType)) {
         this.allowUnitSale = false;
@@ -221,11 +712,21 @@ ProductSchema.pre('save', function (next) {
     next();
 });
 
+// Static Methods
+
+// Aggregation expression for availableStock, for queries that filter on what can actually be sold
+ProductSchema.statics.availableStockExpr = function (now = new Date()) {
+    return { $subtract: [{ $subtract: ['$stock', expiredStockExpr(now)] }, '$reservedStock'] };
+};
+
 // Indexes for better performance
 ProductSchema.index({ name: 'text', description: 'text' });
 ProductSchema.index({ category: 1 });
 ProductSchema.index({ medicineType: 1 });
+ProductSchema.index({ drugSchedule: 1 });
 ProductSchema.index({ status: 1 });
 ProductSchema.index({ createdAt: -1 });
+ProductSchema.index({ 'batches.batchNumber': 1 });
+ProductSchema.index({ 'batches.expiryDate': 1 });
 
 module.exports = mongoose.model('Product', ProductSchema);
\ No newline at end of file
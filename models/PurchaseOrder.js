@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+require('./Counter');
+
+// Business rule violations carry a 400 status for the global error handler
+const purchaseOrderError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Purchase Order Line Schema
+const PurchaseOrderLineSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    productName: String,
+    // Quantities are in the product's stock unit (strips, bottles, etc.)
+    quantityOrdered: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    quantityReceived: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Expected cost per stock unit
+    costPrice: {
+        type: Number,
+        min: 0
+    }
+});
+
+// Virtual for quantity still to be delivered
+PurchaseOrderLineSchema.virtual('quantityOutstanding').get(function () {
+    return Math.max(0, this.quantityOrdered - this.quantityReceived);
+});
+
+// Goods Received Schema - one entry per delivery from the supplier
+const GoodsReceiptSchema = new mongoose.Schema({
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    supplierInvoiceNumber: String,
+    notes: String,
+    lines: [{
+        _id: false,
+        line: mongoose.Schema.Types.ObjectId, // PurchaseOrderLine _id
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        quantity: Number,
+        costPrice: Number,
+        batchNumber: String,
+        manufactureDate: Date,
+        expiryDate: Date
+    }]
+});
+
+const PurchaseOrderSchema = new mongoose.Schema({
+    poNumber: {
+        type: String
+        // generated in pre-save
+    },
+
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: [true, 'Please specify a supplier']
+    },
+
+    lines: {
+        type: [PurchaseOrderLineSchema],
+        validate: {
+            validator: function (lines) {
+                return lines.length > 0;
+            },
+            message: 'A purchase order needs at least one line'
+        }
+    },
+
+    status: {
+        type: String,
+        enum: [
+            'draft',               // Being prepared, can still be edited
+            'sent',                // Sent to the supplier
+            'partially_received',  // Some goods received
+            'received',            // All goods received
+            'cancelled'            // Cancelled before being fully received
+        ],
+        default: 'draft'
+    },
+
+    expectedDeliveryDate: Date,
+    notes: String,
+
+    // Goods received history
+    receipts: [GoodsReceiptSchema],
+
+    // Expected total cost of all lines
+    totalCost: {
+        type: Number,
+        default: 0
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    sentAt: Date,
+
+    // Audit Trail
+    statusHistory: [{
+        status: String,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        },
+        notes: String
+    }],
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+PurchaseOrderSchema.index({ poNumber: 1 }, { unique: true, sparse: true });
+PurchaseOrderSchema.index({ supplier: 1 });
+PurchaseOrderSchema.index({ status: 1 });
+PurchaseOrderSchema.index({ createdAt: -1 });
+
+// Pre-save middleware - generate PO number and totals
+PurchaseOrderSchema.pre('save', async function (next) {
+    try {
+        if (this.isNew && !this.poNumber) {
+            const Counter = mongoose.model('Counter');
+            const year = new Date().getFullYear();
+            const seq = await Counter.next(`purchaseOrder-${year}`);
+            this.poNumber = `PO-${year}-${seq.toString().padStart(5, '0')}`;
+        }
+
+        this.totalCost = this.lines.reduce(
+            (total, line) => total + (line.costPrice || 0) * line.quantityOrdered,
+            0
+        );
+
+        this.updatedAt = new Date();
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Instance Methods
+
+// Change status with history tracking
+PurchaseOrderSchema.methods.setStatus = function (newStatus, changedBy, notes = '') {
+    this.status = newStatus;
+    this.statusHistory.push({
+        status: newStatus,
+        changedBy,
+        notes
+    });
+};
+
+// Mark the purchase order as sent to the supplier
+PurchaseOrderSchema.methods.markSent = async function (changedBy) {
+    if (this.status !== 'draft') {
+        throw purchaseOrderError('Only draft purchase orders can be sent');
+    }
+    this.sentAt = new Date();
+    this.setStatus('sent', changedBy, 'Purchase order sent to supplier');
+    return await this.save();
+};
+
+// Receive goods against the purchase order
+// receivedLines: [{ lineId, quantity, costPrice, batchNumber, manufactureDate, expiryDate }]
+PurchaseOrderSchema.methods.receiveGoods = async function (receivedLines, receivedBy, { supplierInvoiceNumber, notes } = {}) {
+    if (!['sent', 'partially_received'].includes(this.status)) {
+        throw purchaseOrderError(`Cannot receive goods on a ${this.status} purchase order`);
+    }
+
+    const Product = mongoose.model('Product');
+    const Supplier = mongoose.model('Supplier');
+    const supplier = await Supplier.findById(this.supplier);
+
+    // Validate every line before touching stock
+    const prepared = [];
+    const products = new Map(); // Reuse one document when several lines hit the same product
+    for (const received of receivedLines) {
+        const line = this.lines.id(received.lineId);
+        if (!line) {
+            throw purchaseOrderError(`Purchase order line ${received.lineId} not found`);
+        }
+
+        const quantity = Number(received.quantity);
+        if (!quantity || quantity <= 0) {
+            throw purchaseOrderError(`Received quantity for ${line.productName} must be greater than zero`);
+        }
+        if (quantity > line.quantityOutstanding) {
+            throw purchaseOrderError(`Cannot receive ${quantity} of ${line.productName}; only ${line.quantityOutstanding} outstanding`);
+        }
+        if (!received.batchNumber || !received.expiryDate) {
+            throw purchaseOrderError(`Batch number and expiry date are required for ${line.productName}`);
+        }
+
+        const productId = line.product.toString();
+        if (!products.has(productId)) {
+            products.set(productId, await Product.findById(line.product));
+        }
+        const product = products.get(productId);
+        if (!product) {
+            throw purchaseOrderError(`Product for ${line.productName} no longer exists`);
+        }
+
+        prepared.push({ line, product, quantity, received });
+    }
+
+    const receipt = {
+        receivedBy,
+        supplierInvoiceNumber,
+        notes,
+        lines: []
+    };
+
+    for (const { line, product, quantity, received } of prepared) {
+        const costPrice = received.costPrice !== undefined ? Number(received.costPrice) : line.costPrice;
+
+        await product.addBatch({
+            batchNumber: received.batchNumber.trim(),
+            manufactureDate: received.manufactureDate,
+            expiryDate: received.expiryDate,
+            quantity,
+            supplier: supplier?.name,
+            costPrice
+        }, {
+            reason: 'purchase_receipt',
+            actor: receivedBy,
+            reference: { kind: 'PurchaseOrder', id: this._id },
+            notes: `Received against ${this.poNumber}`
+        });
+
+        line.quantityReceived += quantity;
+
+        receipt.lines.push({
+            line: line._id,
+            product: product._id,
+            quantity,
+            costPrice,
+            batchNumber: received.batchNumber.trim(),
+            manufactureDate: received.manufactureDate,
+            expiryDate: received.expiryDate
+        });
+    }
+
+    this.receipts.push(receipt);
+
+    const fullyReceived = this.lines.every(line => line.quantityReceived >= line.quantityOrdered);
+    this.setStatus(
+        fullyReceived ? 'received' : 'partially_received',
+        receivedBy,
+        `Goods received${supplierInvoiceNumber ? ` (invoice ${supplierInvoiceNumber})` : ''}`
+    );
+
+    return await this.save();
+};
+
+module.exports = mongoose.model('PurchaseOrder', PurchaseOrderSchema);
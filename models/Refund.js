@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+require('./Counter');
+
+// Refund Schema - money paid back to a customer for a cancelled or returned order
+const RefundSchema = new mongoose.Schema({
+    refundNumber: {
+        type: String,
+        unique: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    orderNumber: String,
+    // Approved return this refund pays for
+    returnRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReturnRequest',
+        default: null
+    },
+
+    type: {
+        type: String,
+        enum: ['full', 'partial'],
+        required: true
+    },
+
+    // Items being refunded - empty for an amount-only partial refund
+    items: [{
+        _id: false,
+        orderItem: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        name: String,
+        quantity: {
+            type: Number,
+            min: 1
+        },
+        amount: Number
+    }],
+
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Refund amount must be greater than 0']
+    },
+    reason: {
+        type: String,
+        required: [true, 'Refund reason is required'],
+        trim: true
+    },
+
+    // How the money goes back to the customer
+    method: {
+        type: String,
+        enum: ['esewa', 'khalti', 'bank_transfer', 'cash'],
+        required: true
+    },
+    // Adapter that processed it (see utils/refundProviders.js)
+    provider: String,
+    providerReference: String,
+
+    // pending: created, not yet sent
+    // processing: submitted to the provider, waiting for confirmation
+    // completed: money returned, booked against the order's revenue
+    // failed: provider rejected it - the amount can be refunded again
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'failed'],
+        default: 'pending'
+    },
+    failureReason: String,
+    notes: String,
+
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    processedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    processedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+RefundSchema.index({ order: 1, status: 1 });
+RefundSchema.index({ status: 1, createdAt: -1 });
+
+// Refunds that count against what can still be refunded
+const ACTIVE_STATUSES = ['pending', 'processing', 'completed'];
+
+// Generate refund number before saving
+RefundSchema.pre('save', async function (next) {
+    try {
+        if (this.isNew && !this.refundNumber) {
+            const Counter = mongoose.model('Counter');
+            const year = new Date().getFullYear();
+            const seq = await Counter.next(`refund-${year}`);
+            this.refundNumber = `RF-${year}-${seq.toString().padStart(5, '0')}`;
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Static Methods
+
+// Quantity of each order item already refunded (or being refunded) - keyed by order item id
+RefundSchema.statics.getRefundedQuantities = async function (orderId) {
+    const refunds = await this.find({ order: orderId, status: { $in: ACTIVE_STATUSES } }).select('items');
+
+    const quantities = new Map();
+    for (const refund of refunds) {
+        for (const item of refund.items) {
+            const key = item.orderItem.toString();
+            quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+        }
+    }
+    return quantities;
+};
+
+module.exports = mongoose.model('Refund', RefundSchema);
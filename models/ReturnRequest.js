@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+require('./Counter');
+
+// Return Request Schema - a customer asking to send back delivered items (RMA)
+const ReturnRequestSchema = new mongoose.Schema({
+    returnNumber: {
+        type: String,
+        unique: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    orderNumber: String,
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    items: [{
+        _id: false,
+        orderItem: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        name: String,
+        purchaseType: String,
+        quantity: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        // Condition as reported by the customer
+        condition: {
+            type: String,
+            enum: ['unopened', 'opened', 'damaged', 'wrong_item', 'expired'],
+            default: 'unopened'
+        },
+        // Set on approval - whether the item goes back on the shelf
+        restock: {
+            type: Boolean,
+            default: false
+        },
+        restockedBatches: [{
+            _id: false,
+            batchNumber: String,
+            quantity: Number
+        }]
+    }],
+
+    reason: {
+        type: String,
+        required: [true, 'Return reason is required'],
+        trim: true
+    },
+    description: String,
+    photos: [String],
+
+    status: {
+        type: String,
+        enum: ['requested', 'approved', 'rejected'],
+        default: 'requested'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNotes: String,
+    rejectionReason: String,
+
+    // Refund issued for this return, if any
+    refund: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Refund',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+ReturnRequestSchema.index({ order: 1, status: 1 });
+ReturnRequestSchema.index({ customer: 1, createdAt: -1 });
+ReturnRequestSchema.index({ status: 1, createdAt: 1 });
+
+// Generate return number before saving
+ReturnRequestSchema.pre('save', async function (next) {
+    try {
+        if (this.isNew && !this.returnNumber) {
+            const Counter = mongoose.model('Counter');
+            const year = new Date().getFullYear();
+            const seq = await Counter.next(`return-${year}`);
+            this.returnNumber = `RT-${year}-${seq.toString().padStart(5, '0')}`;
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = mongoose.model('ReturnRequest', ReturnRequestSchema);
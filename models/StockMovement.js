@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+const STOCK_MOVEMENT_REASONS = [
+    'opening_balance',      // Stock present when the product (or ledger) was created
+    'cart_reserve',         // Reserved by a customer adding to cart
+    'cart_release',         // Released by a customer removing from cart
+    'cart_expiry_release',  // Released by the expired cart cleanup job
+    'order_sale',           // Deducted when an order is confirmed
+    'order_cancel_release', // Reservation released by an order cancellation
+    'order_cancel_restock', // Deducted stock put back by an order cancellation
+    'customer_return_restock', // Sellable stock put back by an approved customer return
+    'order_edit_reserve',   // Reserved (or deducted) for items added to an order by staff
+    'order_edit_release',   // Released or put back for items removed from an order by staff
+    'purchase_receipt',     // Goods received against a purchase order
+    'batch_receipt',        // Batch received outside a purchase order
+    'manual_adjustment'     // Admin stock correction
+];
+
+// Stock Movement Schema - append-only ledger of every stock change
+const StockMovementSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: STOCK_MOVEMENT_REASONS,
+        required: true
+    },
+
+    // Snapshot of the product before and after the change
+    stockBefore: {
+        type: Number,
+        required: true
+    },
+    stockAfter: {
+        type: Number,
+        required: true
+    },
+    reservedBefore: {
+        type: Number,
+        required: true
+    },
+    reservedAfter: {
+        type: Number,
+        required: true
+    },
+    stockChange: Number,
+    reservedChange: Number,
+
+    batchNumbers: [String],
+
+    // Who made the change - null for system jobs and guests
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    // Document that caused the change
+    reference: {
+        kind: {
+            type: String,
+            enum: ['Cart', 'Order', 'PurchaseOrder', 'ReturnRequest', null],
+            default: null
+        },
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'reference.kind',
+            default: null
+        }
+    },
+
+    notes: String,
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+StockMovementSchema.index({ product: 1, createdAt: -1 });
+StockMovementSchema.index({ 'reference.kind': 1, 'reference.id': 1 });
+StockMovementSchema.index({ reason: 1 });
+
+// Pre-validate middleware - derive the deltas and refuse edits to existing entries
+StockMovementSchema.pre('validate', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Stock movements are immutable'));
+    }
+    this.stockChange = this.stockAfter - this.stockBefore;
+    this.reservedChange = this.reservedAfter - this.reservedBefore;
+    next();
+});
+
+// The ledger is append-only: block every update and delete path
+const rejectMutation = function (next) {
+    next(new Error('Stock movements are immutable'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(op => {
+    StockMovementSchema.pre(op, rejectMutation);
+});
+['deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+    StockMovementSchema.pre(op, { document: false, query: true }, rejectMutation);
+});
+StockMovementSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+// Static Methods
+
+// Recompute stock from the ledger and compare with the product documents
+// Returns one entry per product; `drift` is product value minus ledger value
+StockMovementSchema.statics.reconcile = async function (productIds = null) {
+    const Product = mongoose.model('Product');
+
+    const productQuery = productIds ? { _id: { $in: productIds } } : {};
+    const products = await Product.find(productQuery).select('name stock reservedStock');
+
+    const match = productIds
+        ? { product: { $in: products.map(p => p._id) } }
+        : {};
+
+    const ledgerTotals = await this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$product',
+                ledgerStock: { $sum: '$stockChange' },
+                ledgerReserved: { $sum: '$reservedChange' },
+                movements: { $sum: 1 },
+                lastMovementAt: { $max: '$createdAt' }
+            }
+        }
+    ]);
+
+    const totalsByProduct = new Map(ledgerTotals.map(t => [t._id.toString(), t]));
+
+    return products.map(product => {
+        const totals = totalsByProduct.get(product._id.toString());
+        const ledgerStock = totals?.ledgerStock || 0;
+        const ledgerReserved = totals?.ledgerReserved || 0;
+        const stockDrift = product.stock - ledgerStock;
+        const reservedDrift = (product.reservedStock || 0) - ledgerReserved;
+
+        return {
+            productId: product._id,
+            name: product.name,
+            stock: product.stock,
+            reservedStock: product.reservedStock || 0,
+            ledgerStock,
+            ledgerReserved,
+            stockDrift,
+            reservedDrift,
+            movements: totals?.movements || 0,
+            lastMovementAt: totals?.lastMovementAt || null,
+            hasDrift: stockDrift !== 0 || reservedDrift !== 0
+        };
+    });
+};
+
+const StockMovement = mongoose.model('StockMovement', StockMovementSchema);
+StockMovement.REASONS = STOCK_MOVEMENT_REASONS;
+
+module.exports = StockMovement;
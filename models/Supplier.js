@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const SupplierSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please add a supplier name'],
+        trim: true
+    },
+    contactPerson: {
+        type: String,
+        trim: true
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    // PAN/VAT registration number
+    panNumber: {
+        type: String,
+        trim: true
+    },
+    // Wholesale drug licence issued by the Department of Drug Administration
+    licenseNumber: {
+        type: String,
+        trim: true
+    },
+    paymentTerms: {
+        type: String,
+        trim: true
+    },
+    notes: String,
+
+    status: {
+        type: String,
+        enum: ['active', 'inactive'],
+        default: 'active'
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Pre-save middleware
+SupplierSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Indexes
+SupplierSchema.index({ name: 1 });
+SupplierSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Supplier', SupplierSchema);
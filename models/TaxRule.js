@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { PRODUCT_CATEGORIES } = require('../constants/categories');
+
+// Tax Rule Schema - one tax class (e.g. standard VAT, exempt medicines)
+const TaxRuleSchema = new mongoose.Schema({
+    // Identifier products refer to through `taxClass`
+    taxClass: {
+        type: String,
+        required: [true, 'Please add a tax class'],
+        lowercase: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Please add a name'],
+        trim: true
+    },
+    // Percentage, e.g. 13 for Nepal's standard VAT
+    rate: {
+        type: Number,
+        required: [true, 'Please add a tax rate'],
+        min: 0,
+        max: 100
+    },
+
+    // Categories taxed with this class unless the product sets its own class
+    categories: [{
+        type: String,
+        enum: PRODUCT_CATEGORIES
+    }],
+
+    // Applies to products that match no other rule
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+
+    status: {
+        type: String,
+        enum: ['active', 'inactive'],
+        default: 'active'
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+TaxRuleSchema.index({ taxClass: 1 }, { unique: true });
+
+// Pre-save middleware
+TaxRuleSchema.pre('save', async function (next) {
+    try {
+        this.updatedAt = Date.now();
+
+        // Only one rule can be the fallback
+        if (this.isDefault && this.isModified('isDefault')) {
+            await this.constructor.updateMany(
+                { _id: { $ne: this._id }, isDefault: true },
+                { $set: { isDefault: false } }
+            );
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Static Methods
+
+// Load the active rules once and return a function that resolves the rule for a product
+// Resolution order: product tax class, then category, then the default rule.
+// Products matching nothing are untaxed.
+TaxRuleSchema.statics.getResolver = async function () {
+    const rules = await this.find({ status: 'active' });
+
+    const byClass = new Map(rules.map(rule => [rule.taxClass, rule]));
+    const byCategory = new Map();
+    rules.forEach(rule => rule.categories.forEach(category => byCategory.set(category, rule)));
+    const defaultRule = rules.find(rule => rule.isDefault) || null;
+
+    return (product) => {
+        const rule = (product.taxClass && byClass.get(product.taxClass)) ||
+            byCategory.get(product.category) ||
+            defaultRule;
+
+        return rule
+            ? { taxClass: rule.taxClass, rate: rule.rate }
+            : { taxClass: null, rate: 0 };
+    };
+};
+
+module.exports = mongoose.model('TaxRule', TaxRuleSchema);
@@ -91,4 +91,126 @@ router.post('/promo-banner/features/reorder', protect, authorize('admin'), reord
 router.get('/promo-banner/config', protect, authorize('admin'), getPromoConfig);
 router.put('/promo-banner/config', protect, authorize('admin'), updatePromoConfig);
 
-module.exports = router;
+// Supplier Management Routes
+const {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier
+} = require('../controllers/supplierController');
+
+router.get('/suppliers', protect, authorize('admin', 'pharmacist'), getSuppliers);
+router.get('/suppliers/:id', protect, authorize('admin', 'pharmacist'), getSupplier);
+router.post('/suppliers', protect, authorize('admin', 'pharmacist'), createSupplier);
+router.put('/suppliers/:id', protect, authorize('admin', 'pharmacist'), updateSupplier);
+router.delete('/suppliers/:id', protect, authorize('admin'), deleteSupplier);
+
+// Purchase Order Routes (restocking goes through goods received, not manual stock edits)
+const {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder
+} = require('../controllers/purchaseOrderController');
+
+router.get('/purchase-orders', protect, authorize('admin', 'pharmacist'), getPurchaseOrders);
+router.get('/purchase-orders/:id', protect, authorize('admin', 'pharmacist'), getPurchaseOrder);
+router.post('/purchase-orders', protect, authorize('admin', 'pharmacist'), createPurchaseOrder);
+router.put('/purchase-orders/:id', protect, authorize('admin', 'pharmacist'), updatePurchaseOrder);
+router.put('/purchase-orders/:id/send', protect, authorize('admin', 'pharmacist'), sendPurchaseOrder);
+// Body: { lines: [{ lineId, quantity, costPrice, batchNumber, manufactureDate, expiryDate }], supplierInvoiceNumber, notes }
+router.post('/purchase-orders/:id/receive', protect, authorize('admin', 'pharmacist'), receivePurchaseOrder);
+router.put('/purchase-orders/:id/cancel', protect, authorize('admin', 'pharmacist'), cancelPurchaseOrder);
+
+// Stock Ledger Routes
+const {
+  getStockMovements,
+  reconcileStock,
+  createOpeningBalances
+} = require('../controllers/stockMovementController');
+
+router.get('/stock-movements', protect, authorize('admin', 'pharmacist'), getStockMovements);
+router.get('/stock-movements/reconcile', protect, authorize('admin'), reconcileStock);
+router.post('/stock-movements/opening-balances', protect, authorize('admin'), createOpeningBalances);
+
+// Coupon Management Routes
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+
+router.get('/coupons', protect, authorize('admin'), getCoupons);
+router.get('/coupons/:id', protect, authorize('admin'), getCoupon);
+router.post('/coupons', protect, authorize('admin'), createCoupon);
+router.put('/coupons/:id', protect, authorize('admin'), updateCoupon);
+router.delete('/coupons/:id', protect, authorize('admin'), deleteCoupon);
+
+// Delivery Zone Management Routes
+const {
+  getDeliveryZones,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone
+} = require('../controllers/deliveryController');
+
+router.get('/delivery-zones', protect, authorize('admin'), getDeliveryZones);
+router.post('/delivery-zones', protect, authorize('admin'), createDeliveryZone);
+router.put('/delivery-zones/:id', protect, authorize('admin'), updateDeliveryZone);
+router.delete('/delivery-zones/:id', protect, authorize('admin'), deleteDeliveryZone);
+
+// Tax Rule Management Routes
+const {
+  getTaxRules,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule
+} = require('../controllers/taxRuleController');
+
+router.get('/tax-rules', protect, authorize('admin'), getTaxRules);
+router.post('/tax-rules', protect, authorize('admin'), createTaxRule);
+router.put('/tax-rules/:id', protect, authorize('admin'), updateTaxRule);
+router.delete('/tax-rules/:id', protect, authorize('admin'), deleteTaxRule);
+
+// Bank Transfer Reconciliation Routes
+const {
+  getTransferProofQueue,
+  reviewTransferProof,
+  importBankStatement
+} = require('../controllers/bankTransferController');
+const { bankStatementUpload, handleUploadError } = require('../utils/multer');
+
+router.get('/bank-transfers', protect, authorize('admin'), getTransferProofQueue);
+router.put('/bank-transfers/:orderId/proofs/:proofId', protect, authorize('admin'), reviewTransferProof);
+router.post('/bank-transfers/statement', protect, authorize('admin'), bankStatementUpload.single('statement'), handleUploadError, importBankStatement);
+
+// Refund Management Routes
+const {
+  getRefunds,
+  getRefund,
+  createRefund,
+  completeRefund
+} = require('../controllers/refundController');
+
+router.get('/refunds', protect, authorize('admin'), getRefunds);
+router.get('/refunds/:id', protect, authorize('admin'), getRefund);
+router.post('/refunds', protect, authorize('admin'), createRefund);
+router.put('/refunds/:id/complete', protect, authorize('admin'), completeRefund);
+
+// Customer Return Routes
+const {
+  getReturnRequests,
+  getReturnRequest,
+  reviewReturnRequest
+} = require('../controllers/returnController');
+
+router.get('/returns', protect, authorize('admin'), getReturnRequests);
+router.get('/returns/:id', protect, authorize('admin'), getReturnRequest);
+router.put('/returns/:id', protect, authorize('admin'), reviewReturnRequest);
+
@@ -1,14 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
-const { signatureUpload } = require("../utils/multer");
+const { signatureUpload, handleUploadError, verifyUploads } = require("../utils/multer");
 
 const {
     getAllOrders,
     getOrderById,
+    getOrderInvoice,
+    issueOrderInvoice,
     updateOrder
 } = require('../controllers/adminOrderController');
 
+const {
+    createShipment,
+    updateShipment,
+    cancelOrderItems
+} = require('../controllers/shipmentController');
+
 // Protect & authorize to admin
 router.use(protect, authorize('admin'));
 
@@ -18,7 +26,20 @@ router.get('/', getAllOrders);
 // GET single order by ID
 router.get('/:orderId', getOrderById);
 
+// GET PDF tax invoice
+router.get('/:orderId/invoice', getOrderInvoice);
+
+// Issue the tax invoice for a paid or delivered order that has none (e.g. orders from before invoicing)
+router.post('/:orderId/invoice', issueOrderInvoice);
+
 // Use ONE single PUT route that includes Multer's middleware:
-router.put('/:orderId', signatureUpload.single('customerSignature'), updateOrder);
+router.put('/:orderId', signatureUpload.single('customerSignature'), handleUploadError, verifyUploads, updateOrder);
+
+// Split shipments - POST creates one from items not yet shipped, PUT moves it along
+router.post('/:orderId/shipments', createShipment);
+router.put('/:orderId/shipments/:shipmentId', signatureUpload.single('customerSignature'), handleUploadError, verifyUploads, updateShipment);
+
+// Cancel lines that cannot be fulfilled, releasing their stock
+router.post('/:orderId/items/cancel', cancelOrderItems);
 
 module.exports = router;
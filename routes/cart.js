@@ -6,7 +6,9 @@ const {
     updateCartItem,
     removeFromCart,
     clearCart,
-    checkAvailability
+    checkAvailability,
+    applyCoupon,
+    removeCoupon
 } = require('../controllers/cartController');
 
 const { optionalAuth } = require('../middleware/auth');
@@ -40,6 +42,16 @@ router.delete('/remove', optionalAuth, removeFromCart);
 // Body: { guestId? }
 router.delete('/clear', optionalAuth, clearCart);
 
+// Apply coupon code
+// POST /api/cart/coupon
+// Body: { code, guestId? }
+router.post('/coupon', optionalAuth, applyCoupon);
+
+// Remove coupon
+// DELETE /api/cart/coupon
+// Body: { guestId? }
+router.delete('/coupon', optionalAuth, removeCoupon);
+
 // Check product availability (before adding to cart)
 // POST /api/cart/check-availability
 // Body: { productId, quantity, purchaseType }
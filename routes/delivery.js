@@ -0,0 +1,12 @@
+const express = require('express');
+const { getDeliveryQuote } = require('../controllers/deliveryController');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public route - Quote delivery fee before checkout
+// GET /api/delivery/quote?city=Biratnagar&area=Main Road
+// Headers: x-guest-id (for guest users) or Authorization (for authenticated users)
+router.get('/quote', optionalAuth, getDeliveryQuote);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const { downloadPrivateFile } = require('../controllers/fileController');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Download a prescription, delivery signature or bank deposit slip
+// GET /api/files/prescriptions/:fileName, /api/files/signatures/:fileName, /api/files/payment-proofs/:fileName
+// Headers: Authorization (customers and staff) or x-guest-id (guest cart)
+// Query: orderNumber & phone (guest orders)
+router.get('/:kind/:fileName', optionalAuth, downloadPrivateFile);
+
+module.exports = router;
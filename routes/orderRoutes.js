@@ -5,19 +5,39 @@ const {
     createOrder,
     getUserOrders,
     getOrder,
+    getOrderInvoice,
     updateOrder,
     updateOrderStatus,
     cancelOrder,
     verifyPrescription,
     getAllOrders,
     getPendingPrescriptions,
+    claimPrescriptionOrder,
+    releasePrescriptionOrder,
+    getVerificationStats,
+    getControlledRegister,
+    getOrdersByBatch,
     assignDeliveryPerson,
     getRevenueAnalytics,
+    getMarginReport,
     getOrderAnalytics,
     trackOrder
 } = require('../controllers/orderController');
 
+const {
+    createReturnRequest,
+    getOrderReturns
+} = require('../controllers/returnController');
+
+const {
+    editOrderItems,
+    respondToRevision
+} = require('../controllers/orderEditController');
+
+const { reorder } = require('../controllers/cartController');
+
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { returnPhotoUpload, handleUploadError, verifyUploads } = require('../utils/multer');
 
 // ==========================================
 // PUBLIC ROUTES
@@ -31,6 +51,10 @@ router.post('/', optionalAuth, createOrder);
 // GET /api/orders/track/:orderNumber
 router.get('/track/:orderNumber', trackOrder);
 
+// Accept or reject a revised order (guests confirm their phone or email)
+// POST /api/orders/:id/revisions/:revisionId/respond
+router.post('/:id/revisions/:revisionId/respond', optionalAuth, respondToRevision);
+
 // ==========================================
 // SPECIFIC ROUTES (MUST COME BEFORE /:id)
 // ==========================================
@@ -43,14 +67,30 @@ router.get('/all', protect, authorize('admin', 'pharmacist'), getAllOrders);
 // GET /api/orders/pending-prescriptions
 router.get('/pending-prescriptions', protect, authorize('admin', 'pharmacist'), getPendingPrescriptions);
 
+// Trace orders supplied from a batch (for recalls)
+// GET /api/orders/batch/:batchNumber
+router.get('/batch/:batchNumber', protect, authorize('admin', 'pharmacist'), getOrdersByBatch);
+
+// Controlled-substance register for inspections
+// GET /api/orders/controlled-register
+router.get('/controlled-register', protect, authorize('admin', 'pharmacist'), getControlledRegister);
+
 // Get revenue analytics
 // GET /api/orders/analytics/revenue
 router.get('/analytics/revenue', protect, authorize('admin'), getRevenueAnalytics);
 
+// Get margin report by product or category
+// GET /api/orders/analytics/margins?groupBy=product|category
+router.get('/analytics/margins', protect, authorize('admin'), getMarginReport);
+
 // Get order analytics
 // GET /api/orders/analytics/orders
 router.get('/analytics/orders', protect, authorize('admin'), getOrderAnalytics);
 
+// Get prescription verification throughput per pharmacist
+// GET /api/orders/analytics/verifications
+router.get('/analytics/verifications', protect, authorize('admin'), getVerificationStats);
+
 // ==========================================
 // PROTECTED ROUTES (Require Authentication)
 // ==========================================
@@ -63,18 +103,44 @@ router.get('/', protect, getUserOrders);
 // GET /api/orders/:id
 router.get('/:id', protect, getOrder);
 
+// Download PDF tax invoice
+// GET /api/orders/:id/invoice
+router.get('/:id/invoice', protect, getOrderInvoice);
+
+// Request a return for delivered items (multipart, up to 5 photos in "photos")
+// POST /api/orders/:id/returns
+router.post('/:id/returns', protect, returnPhotoUpload.array('photos', 5), handleUploadError, verifyUploads, createReturnRequest);
+
+// Return requests for an order
+// GET /api/orders/:id/returns
+router.get('/:id/returns', protect, getOrderReturns);
+
+// Rebuild the cart from a previous order
+// POST /api/orders/:id/reorder
+router.post('/:id/reorder', protect, reorder);
+
 // Cancel order (user can cancel their own orders)
 // PUT /api/orders/:id/cancel
 router.put('/:id/cancel', protect, cancelOrder);
 
-// Update order status
+// Update order status (delivery staff can mark their assigned orders delivered)
 // PUT /api/orders/:id/status
-router.put('/:id/status', protect, authorize('admin', 'pharmacist'), updateOrderStatus);
+router.put('/:id/status', protect, authorize('admin', 'pharmacist', 'delivery'), updateOrderStatus);
+
+// Claim an order for prescription verification, or hand it back
+// POST /api/orders/:id/claim
+// DELETE /api/orders/:id/claim
+router.post('/:id/claim', protect, authorize('admin', 'pharmacist'), claimPrescriptionOrder);
+router.delete('/:id/claim', protect, authorize('admin', 'pharmacist'), releasePrescriptionOrder);
 
 // Verify prescription
 // PUT /api/orders/:id/verify-prescription
 router.put('/:id/verify-prescription', protect, authorize('admin', 'pharmacist'), verifyPrescription);
 
+// Add, remove or substitute items before the order is packed
+// PUT /api/orders/:id/items
+router.put('/:id/items', protect, authorize('admin', 'pharmacist'), editOrderItems);
+
 // Assign delivery person
 // PUT /api/orders/:id/assign-delivery
 router.put('/:id/assign-delivery', protect, authorize('admin'), assignDeliveryPerson);
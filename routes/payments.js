@@ -0,0 +1,53 @@
+const express = require('express');
+const {
+    initiateEsewaPayment,
+    esewaSuccess,
+    esewaFailure,
+    initiateKhaltiPayment,
+    khaltiCallback,
+    uploadTransferProof
+} = require('../controllers/paymentController');
+const { optionalAuth } = require('../middleware/auth');
+const { paymentProofUpload, handleUploadError, verifyUploads } = require('../utils/multer');
+
+const router = express.Router();
+
+// ==========================================
+// ESEWA
+// ==========================================
+
+// Get the signed eSewa form for an order
+// POST /api/payments/esewa/initiate
+// Body: { orderId } - guests also send the order's phone or email
+router.post('/esewa/initiate', optionalAuth, initiateEsewaPayment);
+
+// eSewa redirects the customer back here
+// GET /api/payments/esewa/success?data=<base64>
+router.get('/esewa/success', esewaSuccess);
+
+// GET /api/payments/esewa/failure?transaction_uuid=
+router.get('/esewa/failure', esewaFailure);
+
+// ==========================================
+// KHALTI
+// ==========================================
+
+// Get the Khalti payment URL for an order
+// POST /api/payments/khalti/initiate
+// Body: { orderId } - guests also send the order's phone or email
+router.post('/khalti/initiate', optionalAuth, initiateKhaltiPayment);
+
+// Khalti redirects the customer back here; the payment is confirmed with a lookup
+// GET /api/payments/khalti/callback?pidx=
+router.get('/khalti/callback', khaltiCallback);
+
+// ==========================================
+// BANK TRANSFER
+// ==========================================
+
+// Upload a deposit slip (multipart, field "proof")
+// POST /api/payments/bank-transfer/proof
+// Body: { orderId, reference, amount, transferredAt } - guests also send the order's phone or email
+router.post('/bank-transfer/proof', optionalAuth, paymentProofUpload.single('proof'), handleUploadError, verifyUploads, uploadTransferProof);
+
+module.exports = router;
@@ -5,9 +5,13 @@ const {
     uploadPrescription,
     uploadMultiplePrescriptions,
     handleUploadError,
+    verifyUploads,
+    requirePrescriptionUploader,
     uploadPrescriptionFile,
     uploadMultiplePrescriptionFiles
 } = require('../middleware/prescriptionUpload');
+const { verifyVaultPrescription } = require('../controllers/prescriptionController');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
 
 // ==========================================
 // PRESCRIPTION UPLOAD ROUTES
@@ -15,12 +19,23 @@ const {
 
 // Upload single prescription
 // POST /api/prescriptions/upload
+// Headers: Authorization (customers) or x-guest-id (guests with an active cart)
 // Form data: prescription (file)
-router.post('/upload', uploadPrescription, handleUploadError, uploadPrescriptionFile);
+router.post('/upload', optionalAuth, requirePrescriptionUploader, uploadPrescription, handleUploadError, verifyUploads, uploadPrescriptionFile);
 
 // Upload multiple prescriptions
 // POST /api/prescriptions/upload-multiple
+// Headers: Authorization (customers) or x-guest-id (guests with an active cart)
 // Form data: prescriptions[] (files)
-router.post('/upload-multiple', uploadMultiplePrescriptions, handleUploadError, uploadMultiplePrescriptionFiles);
+router.post('/upload-multiple', optionalAuth, requirePrescriptionUploader, uploadMultiplePrescriptions, handleUploadError, verifyUploads, uploadMultiplePrescriptionFiles);
+
+// ==========================================
+// SAVED PRESCRIPTION CHECKS
+// ==========================================
+
+// Record the refills, validity and products of a customer's saved prescription
+// PUT /api/prescriptions/:id/verify
+// Body: { allowedRefills, validUntil, coveredProducts, notes }
+router.put('/:id/verify', protect, authorize('admin', 'pharmacist'), verifyVaultPrescription);
 
 module.exports = router;
\ No newline at end of file
@@ -7,11 +7,14 @@ const {
     createProduct,
     updateProduct,
     updateStock,
+    getBatches,
+    addBatch,
     getLowStockProducts,
     deleteProduct
 } = require('../controllers/productController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
 const { uploadProductImages } = require('../middleware/upload');
+const { verifyUploads } = require('../utils/multer');
 
 // ==========================================
 // PUBLIC ROUTES (No authentication required)
@@ -19,13 +22,13 @@ const { uploadProductImages } = require('../middleware/upload');
 
 // Get all products with filtering and search
 // GET /api/products?search=paracetamol&category=Pain Relief&medicineType=OTC&inStock=true&page=1&limit=20
-router.get('/', getProducts);
+router.get('/', optionalAuth, getProducts);
 
 router.get('/categories', getCategories);
 
 // Get single product details
 // GET /api/products/60f1b2b3c4d5e6f7g8h9i0j1
-router.get('/:id', getProduct);
+router.get('/:id', optionalAuth, getProduct);
 
 // ==========================================
 // ADMIN/PHARMACIST ROUTES (Authentication required)
@@ -40,16 +43,25 @@ router.use(authorize('admin', 'pharmacist'));
 
 // Create new product (with image upload)
 // POST /api/products
-router.post('/', uploadProductImages, createProduct);
+router.post('/', uploadProductImages, verifyUploads, createProduct);
 
 // Update existing product (with image upload)
 // PUT /api/products/60f1b2b3c4d5e6f7g8h9i0j1
-router.put('/:id', uploadProductImages, updateProduct);
+router.put('/:id', uploadProductImages, verifyUploads, updateProduct);
 
-// Update product stock only
+// Update product stock only (admin corrections - restocking goes through purchase orders)
 // PATCH /api/products/60f1b2b3c4d5e6f7g8h9i0j1/stock
-// Body: { stock: 50 }
-router.patch('/:id/stock', updateStock);
+// Body: { stock: 50, reason: 'Stock count correction' }
+router.patch('/:id/stock', authorize('admin'), updateStock);
+
+// Get batches of a product (sorted by expiry)
+// GET /api/products/60f1b2b3c4d5e6f7g8h9i0j1/batches
+router.get('/:id/batches', getBatches);
+
+// Receive a new batch into stock
+// POST /api/products/60f1b2b3c4d5e6f7g8h9i0j1/batches
+// Body: { batchNumber, manufactureDate, expiryDate, quantity, supplier }
+router.post('/:id/batches', addBatch);
 
 // Soft delete product (mark as discontinued)
 // DELETE /api/products/60f1b2b3c4d5e6f7g8h9i0j1
@@ -10,16 +10,21 @@ const {
     getUserAddresses,
     updateUserPreferences
 } = require('../controllers/userController');
+const {
+    getMyPrescriptions,
+    uploadPrescription,
+    archivePrescription
+} = require('../controllers/prescriptionController');
 
 // Multer config for user profile pictures
-const { profileUpload } = require("../utils/multer");
+const { profileUpload, prescriptionUpload, handleUploadError, verifyUploads } = require("../utils/multer");
 
 // All user routes are protected (require authentication)
 router.use(protect);
 
 // Profile routes
 router.get('/profile', getUserProfile);
-router.put('/profile', profileUpload.single('profilePicture'), updateUserProfile);
+router.put('/profile', profileUpload.single('profilePicture'), handleUploadError, verifyUploads, updateUserProfile);
 
 // Account management
 router.delete('/account', deleteUserAccount);
@@ -33,4 +38,9 @@ router.get('/addresses', getUserAddresses);
 // Preferences
 router.put('/preferences', updateUserPreferences);
 
+// Prescription vault
+router.get('/prescriptions', getMyPrescriptions);
+router.post('/prescriptions', prescriptionUpload.single('prescription'), handleUploadError, verifyUploads, uploadPrescription);
+router.put('/prescriptions/:id/archive', archivePrescription);
+
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ require('dotenv').config();
 const connectToDatabase = require('./database/db');
 const { seedHeroBanner } = require('./seeds/heroBannerSeeds');
 const { seedPromoBannerData } = require('./seeds/promoBannerSeeds');
+const { seedDeliveryZoneData } = require('./seeds/deliveryZoneSeeds');
 
 const runSeeds = async () => {
   try {
@@ -14,6 +15,7 @@ const runSeeds = async () => {
     // Run seeds
     await seedHeroBanner();
     await seedPromoBannerData();
+    await seedDeliveryZoneData();
     
     console.log('🎉 All seeds completed successfully');
     process.exit(0);
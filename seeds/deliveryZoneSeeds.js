@@ -0,0 +1,46 @@
+const DeliveryZone = require('../models/DeliveryZone');
+
+// The fees charged before delivery zones were configurable:
+// Rs 50 within Biratnagar and Itahari, Rs 100 everywhere else
+const seedDeliveryZones = [
+  {
+    name: 'Biratnagar & Itahari',
+    cities: ['biratnagar', 'itahari'],
+    flatFee: 50,
+    estimatedDeliveryDays: 1
+  },
+  {
+    name: 'Rest of Nepal',
+    flatFee: 100,
+    isDefault: true,
+    estimatedDeliveryDays: 3
+  }
+];
+
+const seedDeliveryZoneData = async () => {
+  try {
+    console.log('🌱 Starting Delivery Zone seeding...');
+
+    // Zones are managed by admins once they exist - never overwrite them
+    const existingZones = await DeliveryZone.countDocuments();
+    if (existingZones > 0) {
+      console.log(`⏭️  ${existingZones} delivery zones already exist, skipping`);
+      return [];
+    }
+
+    // create() rather than insertMany() so the zone pre-save checks run
+    const createdZones = [];
+    for (const zone of seedDeliveryZones) {
+      createdZones.push(await DeliveryZone.create(zone));
+    }
+    console.log(`✅ Created ${createdZones.length} delivery zones`);
+
+    return createdZones;
+
+  } catch (error) {
+    console.error('❌ Error seeding delivery zones:', error);
+    throw error;
+  }
+};
+
+module.exports = { seedDeliveryZoneData };
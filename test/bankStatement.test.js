@@ -0,0 +1,80 @@
+// Bank statement import - CSV parsing and matching credit lines to bank transfer orders
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    parseCsv,
+    parseStatement,
+    getOrderReferences,
+    matchStatementEntry
+} = require('../utils/bankStatement');
+
+const order = (orderNumber, total, references = []) => ({
+    orderNumber,
+    pricing: { total },
+    bankTransfer: {
+        proofs: references.map(reference => ({ reference, status: 'pending_review' }))
+    }
+});
+
+const candidatesFor = (orders) => orders.map(o => ({ order: o, references: getOrderReferences(o) }));
+
+test('parses quoted fields, escaped quotes and CRLF line endings', () => {
+    const rows = parseCsv('a,"b, c","say ""hi"""\r\n1,2,3\r\n\r\n');
+    assert.deepStrictEqual(rows, [['a', 'b, c', 'say "hi"'], ['1', '2', '3']]);
+});
+
+test('finds columns by header name and keeps only credits', () => {
+    const csv = [
+        '\uFEFFTxn Date,Narration,Cheque No,Debit,Credit',
+        '2026-10-01,"Deposit FP2610010042 Ram",,,"1,250.00"',
+        '2026-10-02,ATM withdrawal,,500.00,',
+        '2026-10-03,Refund,,,(300)'
+    ].join('\n');
+
+    const entries = parseStatement(csv);
+
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].line, 2);
+    assert.strictEqual(entries[0].amount, 1250);
+    assert.strictEqual(entries[0].description, 'Deposit FP2610010042 Ram');
+    assert.strictEqual(entries[0].date.getFullYear(), 2026);
+});
+
+test('rejects statements without an amount or description column', () => {
+    assert.throws(() => parseStatement('Date,Balance\n2026-10-01,100'), { status: 400 });
+    assert.throws(() => parseStatement(''), { status: 400 });
+});
+
+test('matches on the reference first and then the amount', () => {
+    const candidates = candidatesFor([
+        order('FP2610010042', 1250),
+        order('FP2610010051', 1250),
+        order('FP2610010069', 800, ['NIC-7781'])
+    ]);
+
+    // Order number in the narration, spacing and case ignored
+    const exact = matchStatementEntry({ description: 'deposit fp 2610010042', amount: 1250 }, candidates);
+    assert.strictEqual(exact.byAmount.length, 1);
+    assert.strictEqual(exact.byAmount[0].order.orderNumber, 'FP2610010042');
+
+    // Bank reference from the deposit slip
+    const bySlip = matchStatementEntry({ description: 'NIC 7781 transfer', amount: 800 }, candidates);
+    assert.strictEqual(bySlip.byAmount[0].order.orderNumber, 'FP2610010069');
+
+    // Right reference, wrong amount
+    const mismatch = matchStatementEntry({ description: 'FP2610010042', amount: 1200 }, candidates);
+    assert.strictEqual(mismatch.byReference.length, 1);
+    assert.strictEqual(mismatch.byAmount.length, 0);
+
+    // The amount alone is not enough
+    const amountOnly = matchStatementEntry({ description: 'cash deposit', amount: 1250 }, candidates);
+    assert.strictEqual(amountOnly.byReference.length, 0);
+});
+
+test('ignores rejected slips and references too short to trust', () => {
+    const o = order('FP2610010042', 500, ['AB1']);
+    o.bankTransfer.proofs.push({ reference: 'REJECTED-99', status: 'rejected' });
+
+    assert.deepStrictEqual(getOrderReferences(o), ['FP2610010042']);
+});
@@ -0,0 +1,113 @@
+// Concurrency harness for stock reservation
+// Fires parallel POST /api/cart/add calls at an in-memory MongoDB replica set (so transactions are used)
+// and checks the product can never be reserved beyond its stock
+// The MongoDB binary is downloaded once into the cache (version pinned in package.json); where
+// downloads are blocked, point MONGOMS_SYSTEM_BINARY at an installed mongod instead
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const cartRoutes = require('../routes/cart');
+
+const STOCK = 5;
+const PARALLEL_REQUESTS = 25;
+
+let replSet;
+let server;
+let baseUrl;
+
+before(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/cart', cartRoutes);
+    app.use((err, _req, res, _next) => {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    });
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+});
+
+const createProduct = () => Product.create({
+    name: 'Paracetamol 500mg',
+    description: 'Concurrency test product',
+    brand: 'Test Pharma',
+    category: 'Analgesic/Antipyretic',
+    medicineType: 'OTC',
+    productType: 'syrup',
+    price: 100,
+    stock: STOCK,
+    batches: [{
+        batchNumber: 'TEST-001',
+        expiryDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+        quantity: STOCK
+    }]
+});
+
+const addToCart = (guestId, productId, quantity) => fetch(`${baseUrl}/api/cart/add`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-guest-id': guestId },
+    body: JSON.stringify({ productId, quantity, purchaseType: 'package' })
+});
+
+test('parallel adds from different carts never reserve more than the stock', async () => {
+    const product = await createProduct();
+
+    const responses = await Promise.all(
+        Array.from({ length: PARALLEL_REQUESTS }, (_, i) => addToCart(`guest-${i}`, product._id, 1))
+    );
+    const succeeded = responses.filter(res => res.status === 200).length;
+
+    const stored = await Product.findById(product._id);
+    const carts = await Cart.find({ 'items.product': product._id });
+    const cartReserved = carts.reduce(
+        (sum, cart) => sum + cart.items.reduce((total, item) => total + item.reservedStock, 0),
+        0
+    );
+
+    assert.strictEqual(succeeded, STOCK);
+    assert.strictEqual(stored.stock, STOCK);
+    assert.strictEqual(stored.reservedStock, STOCK);
+    assert.ok(stored.stock - stored.reservedStock >= 0, 'available stock went negative');
+    assert.strictEqual(cartReserved, stored.reservedStock);
+});
+
+test('parallel adds to one cart keep the reservation in step with the cart', async () => {
+    const product = await createProduct();
+
+    const responses = await Promise.all(
+        Array.from({ length: PARALLEL_REQUESTS }, () => addToCart('guest-shared', product._id, 1))
+    );
+
+    const succeeded = responses.filter(res => res.status === 200).length;
+
+    const stored = await Product.findById(product._id);
+    const carts = await Cart.find({ guestId: 'guest-shared', 'items.product': product._id });
+    const lines = carts.flatMap(cart => cart.items.filter(item => item.product.equals(product._id)));
+    const cartQuantity = lines.reduce((total, item) => total + item.quantity, 0);
+    const cartReserved = lines.reduce((total, item) => total + item.reservedStock, 0);
+
+    // Every add that succeeded is in the cart exactly once, and each unit holds one unit of stock
+    assert.ok(succeeded > 0);
+    assert.ok(succeeded <= STOCK);
+    assert.strictEqual(cartQuantity, succeeded);
+    assert.ok(lines.every(item => item.reservedStock === item.quantity), 'a cart line holds the wrong reservation');
+    assert.strictEqual(stored.stock, STOCK);
+    assert.strictEqual(stored.reservedStock, cartReserved);
+    assert.ok(stored.stock - stored.reservedStock >= 0, 'available stock went negative');
+});
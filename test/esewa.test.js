@@ -0,0 +1,87 @@
+// eSewa ePay v2 - HMAC signing of the payment form and verification of the success callback
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { buildPaymentForm, verifyCallback } = require('../utils/esewa');
+
+const SECRET_KEY = 'test-secret-key';
+const PRODUCT_CODE = 'EPAYTEST';
+
+const hmac = (message) => crypto.createHmac('sha256', SECRET_KEY).update(message).digest('base64');
+
+// The base64 JSON eSewa appends to the success redirect
+const encodeCallback = (data, signedFieldNames = 'transaction_code,status,total_amount,transaction_uuid,product_code,signed_field_names') => {
+    const payload = { ...data, signed_field_names: signedFieldNames };
+    payload.signature = hmac(signedFieldNames.split(',').map(field => `${field}=${payload[field]}`).join(','));
+    return Buffer.from(JSON.stringify(payload)).toString('base64');
+};
+
+const callback = {
+    transaction_code: '000AWEO',
+    status: 'COMPLETE',
+    total_amount: '1,250.0',
+    transaction_uuid: 'FP2610010042-1760000000000',
+    product_code: PRODUCT_CODE
+};
+
+const savedEnv = {};
+
+before(() => {
+    for (const key of ['ESEWA_SECRET_KEY', 'ESEWA_PRODUCT_CODE', 'ESEWA_BASE_URL']) {
+        savedEnv[key] = process.env[key];
+    }
+    process.env.ESEWA_SECRET_KEY = SECRET_KEY;
+    process.env.ESEWA_PRODUCT_CODE = PRODUCT_CODE;
+    process.env.ESEWA_BASE_URL = 'https://esewa.test/';
+});
+
+after(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+});
+
+test('signs the payment form over the signed fields in order', () => {
+    const form = buildPaymentForm({
+        amount: 1250.5,
+        transactionUuid: 'FP2610010042-1760000000000',
+        successUrl: 'https://shop.test/success',
+        failureUrl: 'https://shop.test/failure'
+    });
+
+    assert.strictEqual(form.action, 'https://esewa.test/api/epay/main/v2/form');
+    assert.strictEqual(form.fields.total_amount, '1250.5');
+    assert.strictEqual(form.fields.signed_field_names, 'total_amount,transaction_uuid,product_code');
+    assert.strictEqual(
+        form.fields.signature,
+        hmac('total_amount=1250.5,transaction_uuid=FP2610010042-1760000000000,product_code=EPAYTEST')
+    );
+});
+
+test('accepts a correctly signed callback and parses the amount', () => {
+    const data = verifyCallback(encodeCallback(callback));
+
+    assert.strictEqual(data.status, 'COMPLETE');
+    assert.strictEqual(data.transaction_uuid, callback.transaction_uuid);
+    assert.strictEqual(data.total_amount, 1250);
+});
+
+test('rejects a callback changed after signing', () => {
+    const payload = JSON.parse(Buffer.from(encodeCallback(callback), 'base64').toString('utf8'));
+    payload.total_amount = '1.0';
+    const tampered = Buffer.from(JSON.stringify(payload)).toString('base64');
+
+    assert.throws(() => verifyCallback(tampered), { status: 400, message: 'eSewa signature verification failed' });
+});
+
+test('rejects a callback for another merchant', () => {
+    const otherMerchant = encodeCallback({ ...callback, product_code: 'OTHERSHOP' });
+    assert.throws(() => verifyCallback(otherMerchant), { status: 400, message: 'eSewa product code mismatch' });
+});
+
+test('rejects data that is not a signed eSewa response', () => {
+    assert.throws(() => verifyCallback('not base64 json'), { status: 400 });
+    assert.throws(() => verifyCallback(Buffer.from('{"status":"COMPLETE"}').toString('base64')), { status: 400 });
+});
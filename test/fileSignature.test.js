@@ -0,0 +1,118 @@
+// Upload checks - magic byte sniffing and EXIF/metadata stripping
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { detectFileType, stripImageMetadata } = require('../utils/fileSignature');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// JPEG segment: marker, big-endian length (including itself), payload
+const jpegSegment = (marker, payload) => {
+    const header = Buffer.from([0xff, marker, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+};
+
+// PNG chunk: length, type, data, CRC (not checked when stripping)
+const pngChunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+};
+
+// WebP chunk: FourCC, little-endian size, data padded to an even length
+const webpChunk = (fourCC, data) => {
+    const size = Buffer.alloc(4);
+    size.writeUInt32LE(data.length);
+    return Buffer.concat([Buffer.from(fourCC, 'latin1'), size, data, Buffer.alloc(data.length % 2)]);
+};
+
+const riff = (chunks) => {
+    const body = Buffer.concat(chunks);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(body.length + 4, 4);
+    header.write('WEBP', 8, 'latin1');
+    return Buffer.concat([header, body]);
+};
+
+const GPS = Buffer.from('Exif\0\0GPS 27.7172N 85.3240E', 'latin1');
+
+test('identifies accepted types from their leading bytes', () => {
+    assert.strictEqual(detectFileType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0])), 'jpeg');
+    assert.strictEqual(detectFileType(Buffer.concat([PNG_SIGNATURE, Buffer.alloc(4)])), 'png');
+    assert.strictEqual(detectFileType(Buffer.from('GIF89a....', 'latin1')), 'gif');
+    assert.strictEqual(detectFileType(riff([webpChunk('VP8L', Buffer.alloc(4))])), 'webp');
+    assert.strictEqual(detectFileType(Buffer.from('%PDF-1.7\n', 'latin1')), 'pdf');
+});
+
+test('rejects files whose content is not an accepted type', () => {
+    assert.strictEqual(detectFileType(Buffer.from('<html><script>alert(1)</script>', 'latin1')), null);
+    assert.strictEqual(detectFileType(Buffer.from('RIFF\0\0\0\0WAVE', 'latin1')), null);
+    assert.strictEqual(detectFileType(Buffer.from([0xff, 0xd8])), null);
+    assert.strictEqual(detectFileType(null), null);
+});
+
+test('strips EXIF and comments from a JPEG and keeps the image data', () => {
+    const jfif = jpegSegment(0xe0, Buffer.from('JFIF\0\x01\x01', 'latin1'));
+    const scan = Buffer.concat([jpegSegment(0xda, Buffer.alloc(4)), Buffer.from([1, 2, 3, 0xff, 0xd9])]);
+    const jpeg = Buffer.concat([
+        Buffer.from([0xff, 0xd8]),
+        jfif,
+        jpegSegment(0xe1, GPS),
+        jpegSegment(0xfe, Buffer.from('taken by Ram', 'latin1')),
+        scan
+    ]);
+
+    const stripped = stripImageMetadata(jpeg, 'jpeg');
+
+    assert.deepStrictEqual(stripped, Buffer.concat([Buffer.from([0xff, 0xd8]), jfif, scan]));
+    assert.ok(!stripped.includes('GPS'));
+});
+
+test('rejects a truncated JPEG', () => {
+    const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8]), jpegSegment(0xe1, GPS).subarray(0, 10)]);
+    assert.throws(() => stripImageMetadata(jpeg, 'jpeg'), { status: 400 });
+});
+
+test('strips EXIF, text and time chunks from a PNG', () => {
+    const ihdr = pngChunk('IHDR', Buffer.alloc(13));
+    const idat = pngChunk('IDAT', Buffer.from([1, 2, 3]));
+    const iend = pngChunk('IEND', Buffer.alloc(0));
+    const png = Buffer.concat([
+        PNG_SIGNATURE,
+        ihdr,
+        pngChunk('eXIf', GPS),
+        pngChunk('tEXt', Buffer.from('Author\0Ram', 'latin1')),
+        pngChunk('tIME', Buffer.alloc(7)),
+        idat,
+        iend,
+        Buffer.from('trailing')
+    ]);
+
+    assert.deepStrictEqual(stripImageMetadata(png, 'png'), Buffer.concat([PNG_SIGNATURE, ihdr, idat, iend]));
+});
+
+test('strips EXIF and XMP from a WebP, clears their flags and fixes the RIFF size', () => {
+    const vp8x = Buffer.alloc(10);
+    vp8x[0] = 0x08 | 0x04 | 0x10; // EXIF, XMP and alpha
+    const image = webpChunk('VP8L', Buffer.from([1, 2, 3, 4, 5]));
+    const webp = riff([
+        webpChunk('VP8X', vp8x),
+        image,
+        webpChunk('EXIF', GPS),
+        webpChunk('XMP ', Buffer.from('<x:xmpmeta/>', 'latin1'))
+    ]);
+
+    const stripped = stripImageMetadata(webp, 'webp');
+
+    const expectedVp8x = Buffer.from(vp8x);
+    expectedVp8x[0] = 0x10;
+    assert.deepStrictEqual(stripped, riff([webpChunk('VP8X', expectedVp8x), image]));
+    assert.strictEqual(stripped.readUInt32LE(4), stripped.length - 8);
+});
+
+test('leaves GIFs and PDFs unchanged', () => {
+    const pdf = Buffer.from('%PDF-1.7\n%%EOF', 'latin1');
+    assert.strictEqual(stripImageMetadata(pdf, 'pdf'), pdf);
+});
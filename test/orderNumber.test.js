@@ -0,0 +1,50 @@
+// Order numbers - Luhn check digit, formatting and validation
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    computeCheckDigit,
+    formatOrderNumber,
+    isValidOrderNumber,
+    validateOrderNumberFormat
+} = require('../utils/orderNumber');
+
+const DATE = new Date(2026, 9, 8); // 8 October 2026
+
+test('check digit follows the Luhn algorithm', () => {
+    assert.strictEqual(computeCheckDigit('7992739871'), 3);
+    assert.strictEqual(computeCheckDigit('0'), 0);
+    // Letters are ignored
+    assert.strictEqual(computeCheckDigit('FP7992739871'), 3);
+});
+
+test('formats the date and zero-padded sequence and appends the check digit', () => {
+    const orderNumber = formatOrderNumber(DATE, 42, 'FP{YY}{MM}{DD}{SEQ:4}');
+    assert.strictEqual(orderNumber.slice(0, -1), 'FP2610080042');
+    assert.strictEqual(Number(orderNumber.slice(-1)), computeCheckDigit('FP2610080042'));
+
+    assert.strictEqual(formatOrderNumber(DATE, 7, 'ORD-{YYYY}{MM}{DD}-{SEQ}').slice(0, -1), 'ORD-20261008-7');
+});
+
+test('accepts issued and legacy numbers and rejects mistyped ones', () => {
+    const orderNumber = formatOrderNumber(DATE, 42, 'FP{YY}{MM}{DD}{SEQ:4}');
+    assert.ok(isValidOrderNumber(orderNumber));
+    assert.ok(isValidOrderNumber(orderNumber.toLowerCase()));
+    assert.ok(isValidOrderNumber('FP261008123'));
+
+    const wrongDigit = `${orderNumber.slice(0, -1)}${(Number(orderNumber.slice(-1)) + 1) % 10}`;
+    assert.ok(!isValidOrderNumber(wrongDigit));
+    // Two neighbouring digits swapped
+    const swapped = orderNumber.slice(0, 2) + orderNumber[3] + orderNumber[2] + orderNumber.slice(4);
+    assert.ok(!isValidOrderNumber(swapped));
+    assert.ok(!isValidOrderNumber(''));
+});
+
+test('format must include the sequence and the full date', () => {
+    assert.doesNotThrow(() => validateOrderNumberFormat('FP{YY}{MM}{DD}{SEQ:4}'));
+    assert.doesNotThrow(() => validateOrderNumberFormat('ORD-{YYYY}{MM}{DD}-{SEQ}'));
+
+    assert.throws(() => validateOrderNumberFormat('FP{YY}{MM}{DD}'), /\{SEQ\}/);
+    assert.throws(() => validateOrderNumberFormat('FP{YY}{MM}{SEQ:4}'), /\{DD\}/);
+    assert.throws(() => validateOrderNumberFormat('FP{SEQ:6}'), /\{YY\} or \{YYYY\}, \{MM\}, \{DD\}/);
+});
@@ -0,0 +1,64 @@
+// Product stock - expired and delisted batches are never counted as sellable or allocated
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const Product = require('../models/Product');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const buildProduct = (batches, { stock = 30, reservedStock = 0 } = {}) => new Product({
+    name: 'Amoxicillin 500mg',
+    description: 'Stock test product',
+    brand: 'Test Pharma',
+    category: 'Antibiotic',
+    medicineType: 'OTC',
+    productType: 'syrup',
+    price: 100,
+    stock,
+    reservedStock,
+    batches
+});
+
+const batch = (batchNumber, expiresInDays, quantity, extra = {}) => ({
+    batchNumber,
+    expiryDate: new Date(Date.now() + expiresInDays * DAY),
+    quantity,
+    ...extra
+});
+
+test('expired and delisted batches are excluded from available stock', () => {
+    const product = buildProduct([
+        batch('EXPIRED', -1, 10),
+        batch('DELISTED', 60, 5, { delistedAt: new Date() }),
+        batch('GOOD', 90, 15)
+    ], { reservedStock: 4 });
+
+    assert.strictEqual(product.expiredStock, 15);
+    assert.strictEqual(product.sellableStock, 15);
+    assert.strictEqual(product.availableStock, 11);
+});
+
+test('batches are allocated first-expiry-first-out, skipping expired and delisted ones', () => {
+    const product = buildProduct([
+        batch('LATE', 120, 10),
+        batch('EXPIRED', -1, 10),
+        batch('DELISTED', 30, 5, { delistedAt: new Date() }),
+        batch('EARLY', 60, 5)
+    ]);
+
+    const allocations = product.allocateBatches(8);
+
+    assert.deepStrictEqual(
+        allocations.map(allocation => [allocation.batch.batchNumber, allocation.quantity]),
+        [['EARLY', 5], ['LATE', 3]]
+    );
+});
+
+test('allocation refuses to fall back on expired stock', () => {
+    const product = buildProduct([
+        batch('EXPIRED', -1, 10),
+        batch('GOOD', 90, 5)
+    ], { stock: 15 });
+
+    assert.throws(() => product.allocateBatches(6), { status: 400 });
+});
@@ -0,0 +1,99 @@
+// Tax - inclusive and exclusive pricing, and order discounts spread over the lines
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const TaxRule = require('../models/TaxRule');
+const { calculateTax, getTaxMode } = require('../utils/tax');
+
+const RULES = [
+    { taxClass: 'vat', rate: 13, categories: [], isDefault: true, status: 'active' },
+    { taxClass: 'exempt', rate: 0, categories: ['Vitamins & Supplements'], isDefault: false, status: 'active' }
+];
+
+const medicine = { category: 'Analgesic/Antipyretic' };
+const vitamin = { category: 'Vitamins & Supplements' };
+
+let originalMode;
+
+beforeEach(() => {
+    originalMode = process.env.TAX_PRICING_MODE;
+    mock.method(TaxRule, 'find', async () => RULES);
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    if (originalMode === undefined) {
+        delete process.env.TAX_PRICING_MODE;
+    } else {
+        process.env.TAX_PRICING_MODE = originalMode;
+    }
+});
+
+test('prices include tax unless the mode is exclusive', () => {
+    delete process.env.TAX_PRICING_MODE;
+    assert.strictEqual(getTaxMode(), 'inclusive');
+
+    process.env.TAX_PRICING_MODE = 'EXCLUSIVE';
+    assert.strictEqual(getTaxMode(), 'exclusive');
+
+    process.env.TAX_PRICING_MODE = 'sometimes';
+    assert.strictEqual(getTaxMode(), 'inclusive');
+});
+
+test('inclusive prices already contain the tax', async () => {
+    process.env.TAX_PRICING_MODE = 'inclusive';
+
+    const result = await calculateTax([{ product: medicine, amount: 113 }]);
+
+    assert.strictEqual(result.mode, 'inclusive');
+    assert.deepStrictEqual(result.lines, [{ taxClass: 'vat', taxRate: 13, taxAmount: 13 }]);
+    assert.strictEqual(result.totalTax, 13);
+});
+
+test('exclusive prices have the tax added on top', async () => {
+    process.env.TAX_PRICING_MODE = 'exclusive';
+
+    const result = await calculateTax([{ product: medicine, amount: 100 }]);
+
+    assert.strictEqual(result.mode, 'exclusive');
+    assert.strictEqual(result.totalTax, 13);
+});
+
+test('exempt lines carry no tax and the discount lowers the taxable amount', async () => {
+    process.env.TAX_PRICING_MODE = 'exclusive';
+
+    const result = await calculateTax(
+        [{ product: medicine, amount: 100 }, { product: vitamin, amount: 100 }],
+        { discount: 50 }
+    );
+
+    // Rs. 50 off Rs. 200 leaves Rs. 75 of the medicine taxable
+    assert.deepStrictEqual(result.lines, [
+        { taxClass: 'vat', taxRate: 13, taxAmount: 9.75 },
+        { taxClass: 'exempt', taxRate: 0, taxAmount: 0 }
+    ]);
+    assert.strictEqual(result.totalTax, 9.75);
+
+    process.env.TAX_PRICING_MODE = 'inclusive';
+    const inclusive = await calculateTax(
+        [{ product: medicine, amount: 100 }, { product: vitamin, amount: 100 }],
+        { discount: 50 }
+    );
+    assert.strictEqual(inclusive.totalTax, 8.63);
+});
+
+test('the discount only lowers the tax on lines the coupon covers', async () => {
+    process.env.TAX_PRICING_MODE = 'exclusive';
+
+    const result = await calculateTax(
+        [
+            { product: medicine, amount: 100, discountable: true },
+            { product: medicine, amount: 100, discountable: false }
+        ],
+        { discount: 50 }
+    );
+
+    // All Rs. 50 comes off the covered line, the other is taxed in full
+    assert.deepStrictEqual(result.lines.map(line => line.taxAmount), [6.5, 13]);
+    assert.strictEqual(result.totalTax, 19.5);
+});
@@ -0,0 +1,149 @@
+// Bank statement CSV parsing for bank transfer reconciliation
+// Banks export different layouts, so columns are recognised by their header names
+
+const COLUMN_ALIASES = {
+    date: ['date', 'transaction date', 'txn date', 'value date', 'posting date', 'tran date'],
+    description: ['description', 'narration', 'remarks', 'particulars', 'details', 'transaction details', 'reference', 'ref', 'ref no', 'reference no', 'cheque no'],
+    amount: ['amount', 'credit', 'credit amount', 'deposit', 'deposit amount', 'cr', 'cr amount']
+};
+
+// Statement amounts are in rupees with paisa
+const AMOUNT_TOLERANCE = 0.01;
+
+const statementError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+const normaliseHeader = (header) => header.replace(/^\uFEFF/, '').trim().toLowerCase().replace(/[_.]/g, ' ').replace(/\s+/g, ' ');
+
+// "Rs. 1,250.00" -> 1250, "(500)" / "-500" -> -500
+function parseAmount(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    const match = text.replace(/,/g, '').match(/\d+(\.\d+)?/);
+    if (!match) return null;
+    const amount = parseFloat(match[0]);
+
+    return negative ? -amount : amount;
+}
+
+function parseDate(value) {
+    const date = new Date(String(value || '').trim());
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Parse a statement into credit lines
+// Returns [{ line, date, description, amount }] - line is the 1-based row number in the file
+function parseStatement(text) {
+    const rows = parseCsv(String(text || ''));
+    if (rows.length < 2) {
+        throw statementError('The bank statement is empty');
+    }
+
+    const headers = rows[0].map(normaliseHeader);
+    const columnsFor = (key) => headers
+        .map((header, index) => (COLUMN_ALIASES[key].includes(header) ? index : -1))
+        .filter(index => index !== -1);
+
+    const dateColumn = columnsFor('date')[0];
+    const amountColumn = columnsFor('amount')[0];
+    const descriptionColumns = columnsFor('description');
+
+    if (amountColumn === undefined || descriptionColumns.length === 0) {
+        throw statementError(
+            'Could not find the amount and description columns. ' +
+            `Expected headers such as "${COLUMN_ALIASES.amount[0]}" and "${COLUMN_ALIASES.description[0]}"`
+        );
+    }
+
+    return rows.slice(1)
+        .map((cells, index) => ({
+            line: index + 2,
+            date: dateColumn === undefined ? null : parseDate(cells[dateColumn]),
+            description: descriptionColumns.map(column => (cells[column] || '').trim()).filter(Boolean).join(' '),
+            amount: parseAmount(cells[amountColumn])
+        }))
+        // Only money coming in can settle an order
+        .filter(entry => entry.amount !== null && entry.amount > 0);
+}
+
+// Compare references ignoring case, spaces and punctuation
+const normaliseReference = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// References a statement line may carry for an order: the order number, plus any bank reference from the slips
+const getOrderReferences = (order) => [
+    order.orderNumber,
+    ...order.bankTransfer.proofs
+        .filter(proof => proof.status !== 'rejected')
+        .map(proof => proof.reference)
+]
+    .map(normaliseReference)
+    // Very short references match too much text to be trusted
+    .filter(reference => reference.length >= 4);
+
+// Orders a credit line could pay for - candidates: [{ order, references }]
+// Reference first, then amount - the same amount alone is far too common to match on.
+// The line settles an order only when byAmount holds exactly one candidate.
+function matchStatementEntry(entry, candidates) {
+    const description = normaliseReference(entry.description);
+
+    const byReference = candidates.filter(candidate =>
+        candidate.references.some(reference => description.includes(reference))
+    );
+    const byAmount = byReference.filter(({ order }) =>
+        Math.abs(order.pricing.total - entry.amount) <= AMOUNT_TOLERANCE
+    );
+
+    return { byReference, byAmount };
+}
+
+module.exports = {
+    parseCsv,
+    parseStatement,
+    normaliseReference,
+    getOrderReferences,
+    matchStatementEntry
+};
@@ -1,6 +1,7 @@
 const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs').promises;
+const { generateInvoicePdf } = require('./invoice');
 
 class EmailService {
     constructor() {
@@ -103,14 +104,24 @@ class EmailService {
             `;
         }).join('');
 
-        // Generate tax row if applicable
+        // Generate tax row if applicable - inclusive tax is already part of the item prices
+        const taxLabel = orderDetails.pricing.taxMode === 'exclusive' ? 'VAT' : 'VAT (included in prices)';
         const taxRow = tax > 0 ? `
             <tr>
-                <td style="color: #666;">Tax</td>
+                <td style="color: #666;">${taxLabel}</td>
                 <td style="text-align: right;">Rs. ${tax}</td>
             </tr>
         ` : '';
 
+        // Generate discount row if a coupon was applied
+        const discount = orderDetails.pricing.discount ? parseFloat(orderDetails.pricing.discount).toFixed(2) : 0;
+        const discountRow = discount > 0 ? `
+            <tr>
+                <td style="color: #666;">Discount${orderDetails.coupon?.code ? ` (${orderDetails.coupon.code})` : ''}</td>
+                <td style="text-align: right;">- Rs. ${discount}</td>
+            </tr>
+        ` : '';
+
         // Generate landmark info if available
         const landmarkInfo = orderDetails.deliveryAddress.landmark 
             ? `<small style="color: #666;">Near: ${orderDetails.deliveryAddress.landmark}</small><br>`
@@ -170,6 +181,7 @@ class EmailService {
                 subtotal: subtotal,
                 deliveryFee: deliveryFee,
                 taxRow: taxRow,
+                discountRow: discountRow,
                 totalAmount: totalAmount,
                 'deliveryAddress.name': orderDetails.deliveryAddress.name,
                 'deliveryAddress.street': orderDetails.deliveryAddress.street,
@@ -355,6 +367,21 @@ class EmailService {
             day: 'numeric'
         });
 
+        // Attach the tax invoice to the delivered email
+        const attachments = [];
+        if (newStatus === 'delivered' && orderDetails.invoice?.number) {
+            try {
+                attachments.push({
+                    filename: `Invoice-${orderDetails.invoice.number}.pdf`,
+                    content: await generateInvoicePdf(orderDetails),
+                    contentType: 'application/pdf'
+                });
+            } catch (error) {
+                // Still send the update without the invoice
+                console.error('Error generating invoice PDF:', error);
+            }
+        }
+
         return this.sendEmail({
             to: userEmail,
             subject: `Order Update: ${config.title} - #${orderDetails.orderNumber}`,
@@ -380,6 +407,139 @@ class EmailService {
                 websiteUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
                 supportEmail: process.env.SUPPORT_EMAIL || 'support@fixpharmacy.com',
                 supportPhone: process.env.SUPPORT_PHONE || '+977-1-4445566'
+            },
+            attachments
+        });
+    }
+
+    async sendOrderRevision(userEmail, orderDetails, revision) {
+        const formatMoney = (value) => `Rs. ${parseFloat(value || 0).toFixed(2)}`;
+
+        const describeChange = (change) => {
+            switch (change.action) {
+                case 'add':
+                    return `Added ${change.productName} × ${change.quantity}`;
+                case 'remove':
+                    return `Removed ${change.previousProductName} × ${change.previousQuantity}`;
+                case 'quantity':
+                    return `${change.productName}: quantity changed from ${change.previousQuantity} to ${change.quantity}`;
+                case 'substitute':
+                    return `${change.previousProductName} × ${change.previousQuantity} replaced with ${change.productName} × ${change.quantity}`;
+                default:
+                    return change.action;
+            }
+        };
+
+        const changesHTML = revision.changes.map(change => `
+            <tr>
+                <td>${describeChange(change)}</td>
+            </tr>
+        `).join('');
+
+        const itemsHTML = orderDetails.items.map(item => `
+            <tr>
+                <td>${item.productSnapshot.name}</td>
+                <td>${item.quantity - (item.cancelledQuantity || 0)}</td>
+                <td style="text-align: right;">${formatMoney(item.totalPrice)}</td>
+            </tr>
+        `).join('');
+
+        const reviewUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/orders/${orderDetails._id}/revisions/${revision._id}`;
+
+        return this.sendEmail({
+            to: userEmail,
+            subject: `Changes to your order ${orderDetails.orderNumber} - please review`,
+            template: 'order-revision',
+            variables: {
+                customerName: orderDetails.customer.user?.name || orderDetails.customer.guestDetails?.name || 'Customer',
+                orderNumber: orderDetails.orderNumber,
+                reason: revision.reason,
+                changesHTML: changesHTML,
+                itemsHTML: itemsHTML,
+                previousTotal: formatMoney(revision.previousTotal),
+                newTotal: formatMoney(revision.newTotal),
+                reviewUrl: reviewUrl,
+                appName: process.env.APP_NAME || 'FixPharmacy',
+                supportEmail: process.env.SUPPORT_EMAIL || 'support@fixpharmacy.com'
+            }
+        });
+    }
+
+    async sendStockExpiryReport(recipients, { expired, expiring, windowDays }) {
+        const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+
+        const emptyRow = (columns) => `
+            <tr>
+                <td colspan="${columns}" style="color: #666; text-align: center;">None</td>
+            </tr>
+        `;
+
+        const expiredRowsHTML = expired.length > 0 ? expired.map(entry => `
+            <tr>
+                <td>${entry.productName}</td>
+                <td>${entry.batchNumber}</td>
+                <td style="color: #f44336; font-weight: 600;">${formatDate(entry.expiryDate)}</td>
+                <td>${entry.quantity} ${entry.stockUnit}</td>
+            </tr>
+        `).join('') : emptyRow(4);
+
+        const expiringRowsHTML = expiring.length > 0 ? expiring.map(entry => `
+            <tr>
+                <td>${entry.productName}</td>
+                <td>${entry.batchNumber}</td>
+                <td>${formatDate(entry.expiryDate)}</td>
+                <td>${entry.daysLeft}</td>
+                <td>${entry.quantity} ${entry.stockUnit}</td>
+            </tr>
+        `).join('') : emptyRow(5);
+
+        return this.sendEmail({
+            to: recipients.join(', '),
+            subject: `Stock Expiry Report - ${expired.length} expired, ${expiring.length} expiring soon`,
+            template: 'stock-expiry-report',
+            variables: {
+                reportDate: formatDate(new Date()),
+                windowDays: windowDays,
+                expiredCount: expired.length,
+                expiringCount: expiring.length,
+                expiredRowsHTML: expiredRowsHTML,
+                expiringRowsHTML: expiringRowsHTML,
+                appName: process.env.APP_NAME || 'FixPharmacy'
+            }
+        });
+    }
+
+    async sendPrescriptionEscalation(recipients, { orders, slaMinutes }) {
+        const formatDateTime = (date) => new Date(date).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        const orderRowsHTML = orders.map(order => `
+            <tr>
+                <td>${order.orderNumber}</td>
+                <td>${formatDateTime(order.createdAt)}</td>
+                <td style="color: #f44336; font-weight: 600;">${order.minutesWaiting} min</td>
+                <td>${order.claimedBy || 'Unclaimed'}</td>
+            </tr>
+        `).join('');
+
+        return this.sendEmail({
+            to: recipients.join(', '),
+            subject: `Prescription Verification Overdue - ${orders.length} order(s) past ${slaMinutes} minutes`,
+            template: 'prescription-escalation',
+            variables: {
+                orderCount: orders.length,
+                slaMinutes: slaMinutes,
+                orderRowsHTML: orderRowsHTML,
+                queueUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/admin/prescriptions`,
+                appName: process.env.APP_NAME || 'FixPharmacy'
             }
         });
     }
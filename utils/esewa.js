@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+// eSewa ePay v2
+// Defaults to the eSewa sandbox outside production; set ESEWA_BASE_URL to a local mock server to test offline.
+// ESEWA_PRODUCT_CODE and ESEWA_SECRET_KEY are always required - for the sandbox use the test merchant
+// credentials from the eSewa developer documentation
+const SANDBOX_BASE_URL = 'https://rc-epay.esewa.com.np';
+const LIVE_BASE_URL = 'https://epay.esewa.com.np';
+
+const SIGNED_FIELD_NAMES = 'total_amount,transaction_uuid,product_code';
+const REQUEST_TIMEOUT_MS = 10000;
+
+const configError = (message) => Object.assign(new Error(message), { status: 503 });
+const verificationError = (message) => Object.assign(new Error(message), { status: 400 });
+
+function getConfig() {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const config = {
+        baseUrl: (process.env.ESEWA_BASE_URL || (isProduction ? LIVE_BASE_URL : SANDBOX_BASE_URL)).replace(/\/+$/, ''),
+        productCode: process.env.ESEWA_PRODUCT_CODE,
+        secretKey: process.env.ESEWA_SECRET_KEY
+    };
+
+    if (!config.productCode || !config.secretKey) {
+        throw configError('eSewa payments are not configured');
+    }
+    return config;
+}
+
+// eSewa expects amounts as plain decimal strings, and may send them back with thousands separators
+const formatAmount = (amount) => (Math.round(Number(amount) * 100) / 100).toString();
+const parseAmount = (amount) => Number(String(amount).replace(/,/g, ''));
+
+// HMAC-SHA256 (base64) over "field=value,field=value" in signed_field_names order
+function sign(data, signedFieldNames, secretKey) {
+    const message = signedFieldNames
+        .split(',')
+        .map(field => `${field}=${data[field]}`)
+        .join(',');
+    return crypto.createHmac('sha256', secretKey).update(message).digest('base64');
+}
+
+// Build the form the client POSTs to eSewa
+function buildPaymentForm({ amount, transactionUuid, successUrl, failureUrl }) {
+    const { baseUrl, productCode, secretKey } = getConfig();
+
+    const fields = {
+        amount: formatAmount(amount),
+        tax_amount: '0',
+        total_amount: formatAmount(amount),
+        transaction_uuid: transactionUuid,
+        product_code: productCode,
+        product_service_charge: '0',
+        product_delivery_charge: '0',
+        success_url: successUrl,
+        failure_url: failureUrl,
+        signed_field_names: SIGNED_FIELD_NAMES
+    };
+    fields.signature = sign(fields, SIGNED_FIELD_NAMES, secretKey);
+
+    return {
+        action: `${baseUrl}/api/epay/main/v2/form`,
+        method: 'POST',
+        fields
+    };
+}
+
+// Decode and verify the base64 `data` eSewa appends to the success redirect
+// Returns { transaction_code, status, total_amount, transaction_uuid, product_code, ... }
+function verifyCallback(encodedData) {
+    const { productCode, secretKey } = getConfig();
+
+    let data;
+    try {
+        data = JSON.parse(Buffer.from(String(encodedData || ''), 'base64').toString('utf8'));
+    } catch (error) {
+        throw verificationError('Invalid eSewa response');
+    }
+
+    if (!data || !data.signature || !data.signed_field_names) {
+        throw verificationError('Invalid eSewa response');
+    }
+
+    const expected = Buffer.from(sign(data, data.signed_field_names, secretKey));
+    const received = Buffer.from(String(data.signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw verificationError('eSewa signature verification failed');
+    }
+
+    if (data.product_code !== productCode) {
+        throw verificationError('eSewa product code mismatch');
+    }
+
+    return { ...data, total_amount: parseAmount(data.total_amount) };
+}
+
+// Server-to-server status lookup, so a replayed redirect alone cannot mark an order paid
+// Returns { status, ref_id, ... } - status is COMPLETE for a settled payment
+async function checkTransactionStatus({ transactionUuid, totalAmount }) {
+    const { baseUrl, productCode } = getConfig();
+
+    const url = new URL(`${baseUrl}/api/epay/transaction/status/`);
+    url.searchParams.set('product_code', productCode);
+    url.searchParams.set('total_amount', formatAmount(totalAmount));
+    url.searchParams.set('transaction_uuid', transactionUuid);
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    if (!response.ok) {
+        throw Object.assign(
+            new Error(`eSewa status check failed with HTTP ${response.status}`),
+            { status: 502 }
+        );
+    }
+    return response.json();
+}
+
+module.exports = {
+    buildPaymentForm,
+    verifyCallback,
+    checkTransactionStatus,
+    parseAmount
+};
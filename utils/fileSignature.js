@@ -0,0 +1,179 @@
+// Content sniffing and metadata stripping for uploaded files
+// The browser-supplied MIME type and the file extension are both client-controlled,
+// so uploads are checked against the file's leading bytes as well
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// File types we accept, keyed by what the extension and MIME type claim
+const EXTENSION_TYPES = {
+    '.jpg': 'jpeg',
+    '.jpeg': 'jpeg',
+    '.png': 'png',
+    '.gif': 'gif',
+    '.webp': 'webp',
+    '.pdf': 'pdf'
+};
+
+const MIME_TYPES = {
+    'image/jpeg': 'jpeg',
+    'image/jpg': 'jpeg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'application/pdf': 'pdf'
+};
+
+// PNG chunks that carry EXIF, free text (often camera or author details) or timestamps
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'iTXt', 'zTXt', 'tIME'];
+
+// WebP chunks that carry EXIF and XMP
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP '];
+
+const invalidImage = (type) => Object.assign(new Error(`The ${type.toUpperCase()} image is corrupt or truncated`), { status: 400 });
+
+// Identify a file from its magic bytes - returns null for anything we do not accept
+const detectFileType = (buffer) => {
+    if (!buffer || buffer.length < 4) return null;
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+
+    const header = buffer.toString('latin1', 0, Math.min(buffer.length, 12));
+    if (header.startsWith('GIF87a') || header.startsWith('GIF89a')) return 'gif';
+    if (header.startsWith('RIFF') && header.slice(8, 12) === 'WEBP') return 'webp';
+    if (header.startsWith('%PDF-')) return 'pdf';
+
+    return null;
+};
+
+// JPEG: drop APP1 (EXIF, XMP), APP13 (Photoshop/IPTC) and comment segments
+// JFIF, ICC colour profiles and Adobe segments are kept as they affect how the image renders
+const stripJpegMetadata = (buffer) => {
+    const parts = [buffer.subarray(0, 2)];
+    let offset = 2;
+
+    while (offset < buffer.length) {
+        if (buffer[offset] !== 0xff) throw invalidImage('jpeg');
+
+        // Markers may be padded with any number of 0xFF fill bytes
+        let markerOffset = offset;
+        while (markerOffset < buffer.length && buffer[markerOffset] === 0xff) markerOffset++;
+        if (markerOffset >= buffer.length) throw invalidImage('jpeg');
+
+        const marker = buffer[markerOffset];
+        const segmentStart = markerOffset - 1;
+
+        // Standalone markers have no length field
+        if (marker === 0xd9) {
+            parts.push(buffer.subarray(segmentStart));
+            break;
+        }
+        if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+            parts.push(buffer.subarray(segmentStart, markerOffset + 1));
+            offset = markerOffset + 1;
+            continue;
+        }
+
+        if (markerOffset + 2 >= buffer.length) throw invalidImage('jpeg');
+        const length = buffer.readUInt16BE(markerOffset + 1);
+        const segmentEnd = markerOffset + 1 + length;
+        if (length < 2 || segmentEnd > buffer.length) throw invalidImage('jpeg');
+
+        // Start of scan - the compressed image data follows, metadata only comes before it
+        if (marker === 0xda) {
+            parts.push(buffer.subarray(segmentStart));
+            break;
+        }
+
+        if (marker !== 0xe1 && marker !== 0xed && marker !== 0xfe) {
+            parts.push(buffer.subarray(segmentStart, segmentEnd));
+        }
+        offset = segmentEnd;
+    }
+
+    return Buffer.concat(parts);
+};
+
+// PNG: drop the EXIF, text and timestamp chunks
+const stripPngMetadata = (buffer) => {
+    const parts = [PNG_SIGNATURE];
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset < buffer.length) {
+        if (offset + 12 > buffer.length) throw invalidImage('png');
+
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const chunkEnd = offset + 12 + length;
+        if (chunkEnd > buffer.length) throw invalidImage('png');
+
+        if (!PNG_METADATA_CHUNKS.includes(type)) {
+            parts.push(buffer.subarray(offset, chunkEnd));
+        }
+        offset = chunkEnd;
+
+        // Anything after the end chunk is not part of the image
+        if (type === 'IEND') break;
+    }
+
+    return Buffer.concat(parts);
+};
+
+// WebP: drop the EXIF and XMP chunks, clear their flags in the extended header and fix the RIFF size
+const stripWebpMetadata = (buffer) => {
+    if (buffer.length < 12) throw invalidImage('webp');
+
+    const riffEnd = Math.min(buffer.length, 8 + buffer.readUInt32LE(4));
+    const parts = [];
+    let offset = 12;
+
+    while (offset < riffEnd) {
+        if (offset + 8 > riffEnd) throw invalidImage('webp');
+
+        const fourCC = buffer.toString('latin1', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        // Chunks are padded to an even length
+        if (offset + 8 + size > riffEnd) throw invalidImage('webp');
+        const chunkEnd = offset + 8 + size + (size % 2);
+
+        if (!WEBP_METADATA_CHUNKS.includes(fourCC)) {
+            const chunk = Buffer.alloc(chunkEnd - offset);
+            buffer.copy(chunk, 0, offset, Math.min(chunkEnd, buffer.length));
+            if (fourCC === 'VP8X' && size > 0) {
+                chunk[8] &= ~(0x08 | 0x04); // EXIF and XMP present flags
+            }
+            parts.push(chunk);
+        }
+        offset = chunkEnd;
+    }
+
+    const body = Buffer.concat(parts);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(body.length + 4, 4);
+    header.write('WEBP', 8, 'latin1');
+
+    return Buffer.concat([header, body]);
+};
+
+// Remove EXIF/GPS and similar metadata from an image
+// GIFs carry no EXIF and PDFs are not images, so both are returned unchanged
+const stripImageMetadata = (buffer, type) => {
+    switch (type) {
+        case 'jpeg':
+            return stripJpegMetadata(buffer);
+        case 'png':
+            return stripPngMetadata(buffer);
+        case 'webp':
+            return stripWebpMetadata(buffer);
+        default:
+            return buffer;
+    }
+};
+
+module.exports = {
+    EXTENSION_TYPES,
+    MIME_TYPES,
+    detectFileType,
+    stripImageMetadata
+};
@@ -0,0 +1,163 @@
+const PDFDocument = require('pdfkit');
+
+// Registration details printed on every invoice
+const getPharmacyDetails = () => ({
+    name: process.env.PHARMACY_NAME || process.env.APP_NAME || 'FixPharmacy',
+    address: process.env.PHARMACY_ADDRESS || '',
+    phone: process.env.PHARMACY_PHONE || process.env.SUPPORT_PHONE || '',
+    email: process.env.PHARMACY_EMAIL || process.env.SUPPORT_EMAIL || '',
+    panNumber: process.env.PHARMACY_PAN_NUMBER || '',
+    licenseNumber: process.env.PHARMACY_LICENSE_NUMBER || ''
+});
+
+const formatMoney = (amount) => `Rs. ${(Number(amount) || 0).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+});
+
+const PAYMENT_METHOD_LABELS = {
+    cod: 'Cash on Delivery',
+    esewa: 'eSewa',
+    khalti: 'Khalti',
+    bank_transfer: 'Bank Transfer'
+};
+
+// Table columns: [label, x, width, align]
+const COLUMNS = [
+    ['#', 50, 20, 'left'],
+    ['Description', 72, 218, 'left'],
+    ['Qty', 292, 40, 'right'],
+    ['Rate', 334, 70, 'right'],
+    ['VAT', 406, 40, 'right'],
+    ['Amount', 448, 97, 'right']
+];
+
+const drawRow = (doc, values, y, options = {}) => {
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    let height = 0;
+    COLUMNS.forEach(([, x, width, align], index) => {
+        doc.text(values[index], x, y, { width, align });
+        height = Math.max(height, doc.heightOfString(values[index], { width }));
+    });
+    return y + height + 6;
+};
+
+// Render a tax invoice for an order; resolves with the PDF as a Buffer
+// The order must already have an invoice number (see Order.assignInvoiceNumber and Order.issueInvoice)
+const generateInvoicePdf = (order) => new Promise((resolve, reject) => {
+    const pharmacy = getPharmacyDetails();
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Pharmacy header
+    doc.font('Helvetica-Bold').fontSize(18).text(pharmacy.name, 50, 50);
+    doc.font('Helvetica').fontSize(9);
+    [
+        pharmacy.address,
+        [pharmacy.phone, pharmacy.email].filter(Boolean).join(' | '),
+        pharmacy.panNumber && `PAN/VAT No: ${pharmacy.panNumber}`,
+        pharmacy.licenseNumber && `DDA Licence No: ${pharmacy.licenseNumber}`
+    ].filter(Boolean).forEach(line => doc.text(line));
+
+    doc.font('Helvetica-Bold').fontSize(14).text('TAX INVOICE', 50, 50, { align: 'right' });
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Invoice No: ${order.invoice.number}`, { align: 'right' });
+    doc.text(`Invoice Date: ${formatDate(order.invoice.issuedAt)}`, { align: 'right' });
+    doc.text(`Order No: ${order.orderNumber}`, { align: 'right' });
+    doc.text(`Order Date: ${formatDate(order.createdAt)}`, { align: 'right' });
+
+    // Customer
+    const customerName = order.deliveryAddress?.name ||
+        order.customer.user?.name ||
+        order.customer.guestDetails?.name ||
+        'Customer';
+    const address = order.deliveryAddress || {};
+
+    let y = 150;
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To', 50, y);
+    doc.font('Helvetica').fontSize(9)
+        .text(customerName)
+        .text([address.street, address.area, address.city].filter(Boolean).join(', '))
+        .text(address.phone ? `Phone: ${address.phone}` : '');
+
+    // Items
+    y = 220;
+    y = drawRow(doc, COLUMNS.map(([label]) => label), y, { bold: true });
+    doc.moveTo(50, y - 3).lineTo(545, y - 3).stroke();
+
+    order.items.forEach((item, index) => {
+        const snapshot = item.productSnapshot || {};
+        const batches = (item.batchAllocations || []).map(allocation => allocation.batchNumber);
+        const description = [
+            `${snapshot.name || 'Item'}${snapshot.brand ? ` (${snapshot.brand})` : ''}`,
+            item.purchaseType === 'unit' ? 'Loose units' : null,
+            batches.length > 0 ? `Batch: ${batches.join(', ')}` : null
+        ].filter(Boolean).join('\n');
+
+        if (y > 720) {
+            doc.addPage();
+            y = 50;
+        }
+
+        y = drawRow(doc, [
+            String(index + 1),
+            description,
+            String(item.quantity),
+            formatMoney(item.pricePerItem),
+            item.taxRate ? `${item.taxRate}%` : 'Exempt',
+            formatMoney(item.totalPrice)
+        ], y);
+    });
+
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    y += 10;
+
+    // Totals
+    const pricing = order.pricing;
+    const taxLabel = pricing.taxMode === 'exclusive' ? 'VAT' : 'VAT (included above)';
+    const totals = [
+        ['Subtotal', formatMoney(pricing.subtotal)],
+        pricing.discount > 0 && [`Discount${order.coupon?.code ? ` (${order.coupon.code})` : ''}`, `- ${formatMoney(pricing.discount)}`],
+        ['Delivery Fee', formatMoney(pricing.deliveryFee)],
+        [taxLabel, formatMoney(pricing.tax)],
+        ['Total', formatMoney(pricing.total)]
+    ].filter(Boolean);
+
+    if (y > 680) {
+        doc.addPage();
+        y = 50;
+    }
+
+    totals.forEach(([label, value], index) => {
+        const isTotal = index === totals.length - 1;
+        doc.font(isTotal ? 'Helvetica-Bold' : 'Helvetica').fontSize(isTotal ? 11 : 9);
+        doc.text(label, 334, y, { width: 110, align: 'right' });
+        doc.text(value, 448, y, { width: 97, align: 'right' });
+        y += isTotal ? 18 : 14;
+    });
+
+    // Payment / receipt
+    y += 10;
+    const isPaid = order.payment?.status === 'paid';
+    doc.font('Helvetica').fontSize(9)
+        .text(`Payment Method: ${PAYMENT_METHOD_LABELS[order.payment?.method] || order.payment?.method || 'N/A'}`, 50, y)
+        .text(`Payment Status: ${isPaid ? 'Paid' : (order.payment?.status || 'pending').replace(/_/g, ' ')}`);
+    if (isPaid && order.payment.paidAt) {
+        doc.text(`Received on ${formatDate(order.payment.paidAt)} - this invoice also serves as your receipt.`);
+    }
+
+    doc.moveDown(2).fontSize(8).fillColor('#666666')
+        .text('This is a computer generated invoice and does not require a signature.', { align: 'center' })
+        .text(`Thank you for choosing ${pharmacy.name}.`, { align: 'center' });
+
+    doc.end();
+});
+
+module.exports = { generateInvoicePdf, getPharmacyDetails };
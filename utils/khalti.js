@@ -0,0 +1,105 @@
+// Khalti ePayment (KPG-2)
+// Defaults to the Khalti sandbox outside production; set KHALTI_BASE_URL to a local mock server to test offline
+const SANDBOX_BASE_URL = 'https://dev.khalti.com';
+const LIVE_BASE_URL = 'https://khalti.com';
+
+const REQUEST_TIMEOUT_MS = 10000;
+const AMOUNT_TOLERANCE = 0.01;
+
+// Unpaid Khalti orders are cancelled and their stock released after this long
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.KHALTI_PAYMENT_TIMEOUT_MINUTES) || 60;
+
+function getConfig() {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const config = {
+        baseUrl: (process.env.KHALTI_BASE_URL || (isProduction ? LIVE_BASE_URL : SANDBOX_BASE_URL)).replace(/\/+$/, ''),
+        secretKey: process.env.KHALTI_SECRET_KEY
+    };
+
+    if (!config.secretKey) {
+        throw Object.assign(new Error('Khalti payments are not configured'), { status: 503 });
+    }
+    return config;
+}
+
+// Khalti works in paisa
+const toPaisa = (amount) => Math.round(Number(amount) * 100);
+const fromPaisa = (paisa) => Number(paisa) / 100;
+
+async function request(path, body) {
+    const { baseUrl, secretKey } = getConfig();
+
+    const response = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Key ${secretKey}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const detail = data.detail || data.error_key || `HTTP ${response.status}`;
+        throw Object.assign(new Error(`Khalti request failed: ${detail}`), { status: 502 });
+    }
+    return data;
+}
+
+// Start a payment - resolves with { pidx, payment_url, expires_at, expires_in }
+function initiatePayment({ amount, purchaseOrderId, purchaseOrderName, returnUrl, websiteUrl, customerInfo }) {
+    return request('/api/v2/epayment/initiate/', {
+        return_url: returnUrl,
+        website_url: websiteUrl,
+        amount: toPaisa(amount),
+        purchase_order_id: purchaseOrderId,
+        purchase_order_name: purchaseOrderName,
+        customer_info: customerInfo
+    });
+}
+
+// Look up a payment - status is one of Completed, Pending, Initiated, Refunded, Expired, User canceled
+// total_amount is converted back to rupees
+async function lookupPayment(pidx) {
+    const data = await request('/api/v2/epayment/lookup/', { pidx });
+    return { ...data, total_amount: fromPaisa(data.total_amount) };
+}
+
+// Confirm an order's Khalti payment with a server-side lookup
+// Marks the order paid only when Khalti reports it Completed for the full order total
+// Resolves with the lookup result
+async function confirmOrderPayment(order) {
+    const lookup = await lookupPayment(order.payment.gatewayReference);
+
+    if (lookup.status === 'Completed') {
+        if (Math.abs(lookup.total_amount - order.pricing.total) > AMOUNT_TOLERANCE) {
+            // Money was taken, so the order is neither paid nor failed - leave it for staff
+            const message = `Paid amount ${lookup.total_amount} does not match order total ${order.pricing.total}`;
+            await order.flagPaymentForReview(message);
+            throw Object.assign(new Error(message), { status: 400 });
+        }
+        await order.markPaid({ transactionId: lookup.transaction_id });
+    }
+
+    return lookup;
+}
+
+// Refund a completed payment, fully or in part - resolves with Khalti's response
+// Khalti needs the customer's Khalti mobile number for partial refunds
+function refundPayment({ transactionId, amount, mobile }) {
+    const body = amount === undefined ? {} : { amount: toPaisa(amount), mobile };
+    return request(`/api/merchant-transaction/${encodeURIComponent(transactionId)}/refund/`, body);
+}
+
+// Lookup statuses after which the pidx can no longer be paid
+const isClosedStatus = (status) => ['Expired', 'User canceled'].includes(status);
+
+module.exports = {
+    PAYMENT_TIMEOUT_MINUTES,
+    initiatePayment,
+    lookupPayment,
+    confirmOrderPayment,
+    refundPayment,
+    isClosedStatus
+};
@@ -2,6 +2,12 @@ const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 const crypto = require("crypto");
+const { EXTENSION_TYPES, MIME_TYPES, detectFileType, stripImageMetadata } = require("./fileSignature");
+
+// Public uploads are served statically from /uploads; private ones (prescriptions, signatures, deposit slips)
+// live outside it and are only handed out by the authorized download endpoint
+const PUBLIC_UPLOAD_ROOT = path.join(__dirname, "../uploads");
+const PRIVATE_UPLOAD_ROOT = path.join(__dirname, "../private_uploads");
 
 // Allowed file types
 const ALLOWED_IMAGE_MIMETYPES = [
@@ -20,8 +26,8 @@ const ALLOWED_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
 const ALLOWED_DOCUMENT_EXTENSIONS = ['.pdf'];
 
 // Create upload configuration function
-const createUploadConfig = (subDir = 'general', fileSizeLimit = 2 * 1024 * 1024, allowDocuments = false) => {
-    const uploadDir = path.join(__dirname, "../uploads", subDir);
+const createUploadConfig = (subDir = 'general', fileSizeLimit = 2 * 1024 * 1024, allowDocuments = false, isPrivate = false) => {
+    const uploadDir = path.join(isPrivate ? PRIVATE_UPLOAD_ROOT : PUBLIC_UPLOAD_ROOT, subDir);
 
     // Ensure the directory exists
     try {
@@ -101,10 +107,27 @@ const createUploadConfig = (subDir = 'general', fileSizeLimit = 2 * 1024 * 1024,
 };
 
 // Pre-configured upload instances
-const signatureUpload = createUploadConfig('clientSignatures', 1 * 1024 * 1024); // 1MB for signatures
+const signatureUpload = createUploadConfig('clientSignatures', 1 * 1024 * 1024, false, true); // 1MB for signatures, private
 const productUpload = createUploadConfig('productImages', 5 * 1024 * 1024); // 5MB for product images
 const profileUpload = createUploadConfig('userProfiles', 2 * 1024 * 1024); // 2MB for user profiles
-const prescriptionUpload = createUploadConfig('prescriptions', 2 * 1024 * 1024, true); // 2MB for prescriptions, allow PDFs
+const prescriptionUpload = createUploadConfig('prescriptions', 2 * 1024 * 1024, true, true); // 2MB for prescriptions, allow PDFs, private
+const paymentProofUpload = createUploadConfig('paymentProofs', 2 * 1024 * 1024, true, true); // 2MB for bank deposit slips, allow PDFs, private
+const returnPhotoUpload = createUploadConfig('returnPhotos', 2 * 1024 * 1024); // 2MB per photo of returned items
+
+// Bank statements are parsed straight from memory and never written to disk
+const bankStatementUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024,
+        files: 1
+    },
+    fileFilter: (_req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() !== '.csv') {
+            return cb(new Error("Invalid file type. Only CSV bank statements are allowed"), false);
+        }
+        cb(null, true);
+    }
+});
 
 // Reusable error handling middleware
 const handleUploadError = (err, _req, res, next) => {
@@ -143,13 +166,58 @@ const handleUploadError = (err, _req, res, next) => {
     next(err);
 };
 
+// Check stored uploads against their magic bytes and strip EXIF/GPS metadata from images
+// Runs after multer has written the files; on failure every file from the request is removed
+const verifyUploads = async (req, res, next) => {
+    const files = req.file
+        ? [req.file]
+        : Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+
+    try {
+        for (const file of files) {
+            const buffer = await fs.promises.readFile(file.path);
+            const detectedType = detectFileType(buffer);
+            const claimedType = EXTENSION_TYPES[path.extname(file.filename).toLowerCase()];
+
+            if (!detectedType || detectedType !== claimedType || detectedType !== MIME_TYPES[file.mimetype.toLowerCase()]) {
+                throw Object.assign(
+                    new Error(`File content of ${file.originalname} does not match its type`),
+                    { status: 400 }
+                );
+            }
+
+            const stripped = stripImageMetadata(buffer, detectedType);
+            if (!stripped.equals(buffer)) {
+                await fs.promises.writeFile(file.path, stripped);
+                file.size = stripped.length;
+            }
+        }
+        next();
+    } catch (error) {
+        await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+
+        if (error.status === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        next(error);
+    }
+};
+
 module.exports = {
+    PRIVATE_UPLOAD_ROOT,
     createUploadConfig,
     handleUploadError,
+    verifyUploads,
     signatureUpload,
     productUpload,
     profileUpload,
     prescriptionUpload,
+    paymentProofUpload,
+    returnPhotoUpload,
+    bankStatementUpload,
     // Backward compatibility
     default: signatureUpload
 };
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+require('../models/Counter');
+
+// Order numbers come from a daily counter, so they never collide, and end in a check digit
+// so mistyped numbers can be rejected without a database lookup.
+//
+// ORDER_NUMBER_FORMAT tokens: {YYYY} {YY} {MM} {DD} {SEQ} or {SEQ:n} (sequence zero-padded to n digits)
+// The sequence and the full date are required - checked at startup by validateOrderNumberFormat.
+// The check digit is appended after the formatted number. Keep letters uppercase - order numbers
+// are looked up uppercased.
+const DEFAULT_FORMAT = 'FP{YY}{MM}{DD}{SEQ:4}';
+
+// Numbers issued before check digits: FP + yymmdd + 3 random digits
+const LEGACY_ORDER_NUMBER = /^FP\d{9}$/;
+
+const getFormat = () => process.env.ORDER_NUMBER_FORMAT || DEFAULT_FORMAT;
+
+// Luhn check digit over the digits of the number (letters are ignored)
+function computeCheckDigit(value) {
+    const digits = String(value).replace(/\D/g, '');
+    let sum = 0;
+
+    for (let i = 0; i < digits.length; i++) {
+        // Double every second digit counting from the right, where the check digit will sit
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 0) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+
+    return (10 - (sum % 10)) % 10;
+}
+
+function formatOrderNumber(date, seq, format = getFormat()) {
+    const year = date.getFullYear().toString();
+    const base = format
+        .replace(/\{YYYY\}/g, year)
+        .replace(/\{YY\}/g, year.slice(-2))
+        .replace(/\{MM\}/g, (date.getMonth() + 1).toString().padStart(2, '0'))
+        .replace(/\{DD\}/g, date.getDate().toString().padStart(2, '0'))
+        .replace(/\{SEQ(?::(\d+))?\}/g, (_match, width) => seq.toString().padStart(Number(width) || 1, '0'));
+
+    return `${base}${computeCheckDigit(base)}`;
+}
+
+// Throw unless the format gives every order a unique number - the counter restarts each day,
+// so the number needs the sequence and the full date
+function validateOrderNumberFormat(format = getFormat()) {
+    const missing = [];
+    if (!/\{SEQ(?::\d+)?\}/.test(format)) missing.push('{SEQ}');
+    if (!/\{YY(?:YY)?\}/.test(format)) missing.push('{YY} or {YYYY}');
+    if (!format.includes('{MM}')) missing.push('{MM}');
+    if (!format.includes('{DD}')) missing.push('{DD}');
+
+    if (missing.length > 0) {
+        throw new Error(`ORDER_NUMBER_FORMAT "${format}" must include ${missing.join(', ')}`);
+    }
+}
+
+// Next order number for today
+async function generateOrderNumber(date = new Date()) {
+    const dayKey = [
+        date.getFullYear(),
+        (date.getMonth() + 1).toString().padStart(2, '0'),
+        date.getDate().toString().padStart(2, '0')
+    ].join('');
+
+    const seq = await mongoose.model('Counter').next(`order-${dayKey}`);
+    return formatOrderNumber(date, seq);
+}
+
+// True for a well-formed order number: a legacy number, or one whose check digit matches
+function isValidOrderNumber(orderNumber) {
+    const value = String(orderNumber || '').trim().toUpperCase();
+    if (LEGACY_ORDER_NUMBER.test(value)) {
+        return true;
+    }
+
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 2) {
+        return false;
+    }
+
+    return computeCheckDigit(value.slice(0, -1)) === Number(value.slice(-1));
+}
+
+module.exports = {
+    generateOrderNumber,
+    formatOrderNumber,
+    isValidOrderNumber,
+    validateOrderNumberFormat,
+    computeCheckDigit
+};
@@ -0,0 +1,25 @@
+// Price per item and stock needed for a product sold by the unit or by the package
+const calculatePricing = (product, purchaseType, quantity) => {
+    let pricePerItem;
+    let stockNeeded;
+
+    if (purchaseType === 'unit' && (product.productType === 'tablet' || product.productType === 'capsule')) {
+        // Buying individual tablets/capsules
+        if (!product.allowUnitSale) {
+            throw new Error('This product cannot be sold as individual units');
+        }
+        pricePerItem = product.price / (product.unitsPerStrip || 10);
+        stockNeeded = Math.ceil(quantity / (product.unitsPerStrip || 10)); // Strips needed
+    } else {
+        // Buying packages (strips, bottles, etc.)
+        pricePerItem = product.price;
+        stockNeeded = quantity;
+    }
+
+    return {
+        pricePerItem: parseFloat(pricePerItem.toFixed(2)),
+        stockNeeded
+    };
+};
+
+module.exports = { calculatePricing };
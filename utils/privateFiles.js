@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const Order = require('../models/Order');
+const Prescription = require('../models/Prescription');
+const Cart = require('../models/Cart');
+const FileUpload = require('../models/FileUpload');
+const { PRIVATE_UPLOAD_ROOT } = require('./multer');
+
+// Private file kinds and the folder each is stored in
+const PRIVATE_FILE_KINDS = {
+    prescriptions: 'prescriptions',
+    signatures: 'clientSignatures',
+    'payment-proofs': 'paymentProofs'
+};
+
+// Names multer generates (UUID-timestamp, or a bare timestamp for older files)
+const FILE_NAME_PATTERN = /^[a-zA-Z0-9-]+\.(jpe?g|png|gif|webp|pdf)$/i;
+
+// Download URL saved on records - files from before private storage are saved as /uploads/<folder>/<name>
+const PRIVATE_FILE_URL_PATTERN = /^\/(?:api\/files\/(prescriptions|signatures|payment-proofs)|uploads\/(prescriptions|clientSignatures|paymentProofs))\/([^/]+)$/;
+
+const isValidFileName = (fileName) => typeof fileName === 'string' && FILE_NAME_PATTERN.test(fileName);
+
+// URL clients download a private file from
+const privateFileUrl = (kind, fileName) => `/api/files/${kind}/${fileName}`;
+
+// Split a saved URL into { kind, fileName } - null when it is not one of our private files
+const parsePrivateFileUrl = (url) => {
+    const match = typeof url === 'string' ? url.match(PRIVATE_FILE_URL_PATTERN) : null;
+    if (!match || !isValidFileName(match[3])) return null;
+
+    const kind = match[1] || Object.keys(PRIVATE_FILE_KINDS).find(key => PRIVATE_FILE_KINDS[key] === match[2]);
+    return { kind, fileName: match[3] };
+};
+
+// Path of the file on disk, or null when it does not exist
+// Files uploaded before private storage may still sit in the old public folder
+const resolvePrivateFilePath = async (kind, fileName) => {
+    const folder = PRIVATE_FILE_KINDS[kind];
+    if (!folder || !isValidFileName(fileName)) return null;
+
+    const candidates = [
+        path.join(PRIVATE_UPLOAD_ROOT, folder, fileName),
+        path.join(__dirname, '../uploads', folder, fileName)
+    ];
+
+    for (const candidate of candidates) {
+        try {
+            await fs.promises.access(candidate, fs.constants.R_OK);
+            return candidate;
+        } catch (error) {
+            // Try the next location
+        }
+    }
+    return null;
+};
+
+// Records that point at a private file - used to decide who may download it and whether it is orphaned
+// Matches on the file name so both current and pre-migration URLs are found
+const findFileReferences = async (kind, fileName) => {
+    const references = { orders: [], prescriptions: [], carts: [], uploads: [] };
+    if (!PRIVATE_FILE_KINDS[kind] || !isValidFileName(fileName)) return references;
+
+    const pattern = new RegExp(`/${fileName.replace(/\./g, '\\.')}$`);
+
+    if (kind === 'prescriptions') {
+        [references.orders, references.prescriptions, references.carts, references.uploads] = await Promise.all([
+            Order.find({ 'prescriptions.imageUrl': pattern }).select('orderNumber customer').lean(),
+            Prescription.find({ fileUrl: pattern }).select('user').lean(),
+            Cart.find({ 'prescriptions.imageUrl': pattern }).select('user guestId status').lean(),
+            FileUpload.find({ kind, fileName }).select('user guestId').lean()
+        ]);
+    } else if (kind === 'signatures') {
+        references.orders = await Order.find({
+            $or: [{ customerSignature: pattern }, { 'shipments.customerSignature': pattern }]
+        }).select('orderNumber customer').lean();
+    } else {
+        references.orders = await Order.find({ 'bankTransfer.proofs.fileUrl': pattern }).select('orderNumber customer').lean();
+    }
+
+    return references;
+};
+
+// An upload record alone does not keep a file - it is orphaned until something uses it
+const hasFileReferences = async (kind, fileName) => {
+    const { orders, prescriptions, carts } = await findFileReferences(kind, fileName);
+    return orders.length + prescriptions.length + carts.length > 0;
+};
+
+module.exports = {
+    PRIVATE_FILE_KINDS,
+    isValidFileName,
+    privateFileUrl,
+    parsePrivateFileUrl,
+    resolvePrivateFilePath,
+    findFileReferences,
+    hasFileReferences
+};
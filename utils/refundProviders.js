@@ -0,0 +1,93 @@
+const khalti = require('./khalti');
+
+// Refund providers
+// A provider is an object with a name and refund({ order, refund }) which resolves with
+//   { status: 'completed' | 'processing', reference }
+// 'completed'  - the money has been returned
+// 'processing' - submitted, to be confirmed later through PUT /api/admin/refunds/:id/complete
+// Throwing marks the refund failed and frees the amount to be refunded again.
+
+// Cash and bank transfer refunds are paid out by staff; the admin records the reference
+const manualProvider = {
+    name: 'manual',
+    async refund({ refund }) {
+        return { status: 'completed', reference: refund.providerReference || null };
+    }
+};
+
+const khaltiProvider = {
+    name: 'khalti',
+    async refund({ order, refund }) {
+        if (!order.payment.transactionId) {
+            throw new Error('The order has no Khalti transaction to refund');
+        }
+
+        const isFullRefund = Math.abs(refund.amount - order.pricing.total) < 0.01;
+        const response = await khalti.refundPayment({
+            transactionId: order.payment.transactionId,
+            amount: isFullRefund ? undefined : refund.amount,
+            mobile: order.deliveryAddress?.phone
+        });
+
+        return { status: 'completed', reference: response.idx || response.pidx || order.payment.transactionId };
+    }
+};
+
+// eSewa ePay has no merchant refund API - refunds are requested from the eSewa merchant portal
+const esewaProvider = {
+    name: 'esewa',
+    async refund() {
+        return { status: 'processing', reference: null };
+    }
+};
+
+const providers = {
+    manual: manualProvider,
+    khalti: khaltiProvider,
+    esewa: esewaProvider
+};
+
+// Refund method -> provider
+const METHOD_PROVIDERS = {
+    cash: 'manual',
+    bank_transfer: 'manual',
+    khalti: 'khalti',
+    esewa: 'esewa'
+};
+
+// Register or replace a provider (e.g. a test double)
+function registerRefundProvider(name, provider) {
+    if (!provider || typeof provider.refund !== 'function') {
+        throw new Error('A refund provider must implement refund({ order, refund })');
+    }
+    providers[name] = { name, ...provider };
+}
+
+// Test double for an online provider - register it in place of one, e.g.
+// registerRefundProvider('khalti', createMockRefundProvider('processing'))
+// outcome: completed (default), processing or failed
+function createMockRefundProvider(outcome = 'completed') {
+    return {
+        async refund({ refund }) {
+            if (outcome === 'failed') {
+                throw new Error('Mock provider rejected the refund');
+            }
+            return { status: outcome, reference: `MOCK-${refund.refundNumber || Date.now()}` };
+        }
+    };
+}
+
+function getRefundProvider(method) {
+    const name = METHOD_PROVIDERS[method];
+    const provider = providers[name];
+    if (!provider) {
+        throw Object.assign(new Error(`No refund provider for ${method}`), { status: 400 });
+    }
+    return provider;
+}
+
+module.exports = {
+    getRefundProvider,
+    registerRefundProvider,
+    createMockRefundProvider
+};
@@ -0,0 +1,53 @@
+const TaxRule = require('../models/TaxRule');
+
+const TAX_PRICING_MODES = ['inclusive', 'exclusive'];
+
+// Product prices either already include tax (inclusive, the default) or have tax added on top
+function getTaxMode() {
+    const mode = (process.env.TAX_PRICING_MODE || 'inclusive').toLowerCase();
+    return TAX_PRICING_MODES.includes(mode) ? mode : 'inclusive';
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Tax contained in (inclusive) or due on top of (exclusive) an amount
+function taxForAmount(amount, rate, mode) {
+    if (!rate || amount <= 0) return 0;
+    return mode === 'exclusive'
+        ? round(amount * rate / 100)
+        : round(amount - amount / (1 + rate / 100));
+}
+
+// Calculate tax line by line
+// lines: [{ product, amount, discountable }] - product needs `taxClass` and `category`;
+// discountable is false for lines the coupon does not cover
+// discount: order level discount, spread over the discountable lines in proportion to their amount
+// Returns { mode, lines: [{ taxClass, taxRate, taxAmount }], totalTax }
+async function calculateTax(lines, { discount = 0 } = {}) {
+    const mode = getTaxMode();
+    const resolveRule = await TaxRule.getResolver();
+
+    const isDiscountable = (line) => line.discountable !== false;
+    const discountableSubtotal = lines
+        .filter(isDiscountable)
+        .reduce((total, line) => total + line.amount, 0);
+    const discountRatio = discountableSubtotal > 0 ? Math.min(1, discount / discountableSubtotal) : 0;
+
+    const taxedLines = lines.map(line => {
+        const { taxClass, rate } = resolveRule(line.product);
+        const taxableAmount = isDiscountable(line) ? line.amount * (1 - discountRatio) : line.amount;
+        return {
+            taxClass,
+            taxRate: rate,
+            taxAmount: taxForAmount(taxableAmount, rate, mode)
+        };
+    });
+
+    return {
+        mode,
+        lines: taxedLines,
+        totalTax: round(taxedLines.reduce((total, line) => total + line.taxAmount, 0))
+    };
+}
+
+module.exports = { calculateTax, getTaxMode, TAX_PRICING_MODES };
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Transactions need a replica set or sharded cluster. A standalone server
+// (typical local development setup) runs the work without a session instead,
+// relying on the conditional stock updates alone.
+function supportsTransactions() {
+    const topologyType = mongoose.connection.getClient()?.topology?.description?.type;
+    return ['ReplicaSetWithPrimary', 'Sharded', 'LoadBalanced'].includes(topologyType);
+}
+
+// Run `work(session)` inside a transaction when the deployment supports it.
+// `session` is null when transactions are unavailable.
+async function withTransaction(work) {
+    if (!supportsTransactions()) {
+        return work(null);
+    }
+
+    // connection.transaction() retries transient errors and resets document state between attempts
+    return mongoose.connection.transaction(session => work(session));
+}
+
+module.exports = { withTransaction, supportsTransactions };